@@ -0,0 +1,599 @@
+#!/usr/bin/env node
+import {
+    readFile,
+    writeFile,
+} from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import {
+    CELL_BACKGROUND_MODES,
+    DEFAULT_CONVERT_OPTIONS,
+    DITHER_MODES,
+    OPTION_RANGES,
+    PRESETS,
+    convert,
+    sanitizeConvertOptions,
+} from "../src/lib/ascii.js";
+import {
+    ANSI_COLOR_MODES,
+    buildAnsiShellScript,
+    buildAnsiText,
+    buildAsciiSvgDocument,
+    buildAsciiText,
+    buildColorAsciiDocument,
+    buildColorClassCss,
+    buildCompactColorHtml,
+    DEFAULT_COLOR_TOLERANCE,
+    DEFAULT_EXPORT_THEME,
+    EXPORT_THEMES,
+    MAX_EXPORT_PADDING,
+    resolveExportTheme,
+    MAX_COLOR_TOLERANCE,
+    getAsciiFontSize,
+    getAsciiLineHeight,
+} from "../src/lib/exporters.js";
+import {
+    PALETTES,
+    parsePalette,
+    rgbToHex,
+} from "../src/lib/palettes.js";
+import { parseFont } from "../src/lib/fonts.js";
+
+const FORMATS = {
+    txt: "txt",
+    html: "html",
+    svg: "svg",
+    ans: "ans",
+    sh: "sh",
+};
+
+// Numeric Style flags and the engine options they set. Their ranges come
+// from OPTION_RANGES, the same limits the app's sliders use.
+const NUMBER_OPTIONS = {
+    columns: "columns",
+    "line-height": "lineHeightRatio",
+    "density-bias": "densityBias",
+    brightness: "brightness",
+    contrast: "contrast",
+    gamma: "gamma",
+    "black-level": "blackLevel",
+    "white-level": "whiteLevel",
+    "edge-threshold": "edgeThreshold",
+};
+
+// "from <min> to <max> (default: <value>)" for a numeric Style flag.
+const describeOption = (name) => {
+    const key = NUMBER_OPTIONS[name];
+    const [min, max] = OPTION_RANGES[key];
+    return `from ${min} to ${max} (default: ${DEFAULT_CONVERT_OPTIONS[key]})`;
+};
+
+const USAGE = `Usage: pixelmuse [options] <image...>
+
+Convert PNG or JPEG images to ASCII art using the PixelMuse mapping.
+
+Options:
+  -f, --format <format>        txt, html, svg, ans (ANSI colors) or sh (a printf
+                               script printing the ANSI art) (default: txt)
+  --ansi-mode <mode>           ANSI colors: ${ANSI_COLOR_MODES.map(({ value }) => value).join(", ")}
+                               (default: truecolor)
+  --color-tolerance <n>        Merge html color runs whose channels differ by at
+                               most n, 0 to ${MAX_COLOR_TOLERANCE} (default: ${DEFAULT_COLOR_TOLERANCE})
+  --theme <name>               html/svg colors: ${Object.keys(EXPORT_THEMES).join(", ")}
+                               (default: ${DEFAULT_EXPORT_THEME.theme})
+  --foreground <#rrggbb>       Text color, overriding the theme
+  --background <#rrggbb>       Background color, overriding the theme
+  --padding <px>               Padding around html/svg output (default: ${DEFAULT_EXPORT_THEME.padding})
+  --font <file.ttf>            TrueType font embedded as a subset in svg output
+  --svg-outline                Draw svg glyphs as paths from --font (for cutters
+                               and plotters)
+  -o, --output <file>          Output file for a single input, "-" for stdout
+  -d, --out-dir <dir>          Directory for outputs (default: next to each input)
+  --columns <n>                Columns ${describeOption("columns")}
+  --line-height <ratio>        Cell height to width ratio
+                               ${describeOption("line-height")}
+  --charset <chars|preset>     Glyphs from light to dark, or a preset name:
+                               ${Object.keys(PRESETS).join(", ")}
+  --density-bias <n>           Luminance offset ${describeOption("density-bias")}
+  --brightness <n>             Brightness ${describeOption("brightness")}
+  --contrast <n>               Contrast ${describeOption("contrast")}
+  --gamma <n>                  Gamma ${describeOption("gamma")}
+  --black-level <n>            Input black level ${describeOption("black-level")}
+  --white-level <n>            Input white level ${describeOption("white-level")}
+  --auto-levels                Stretch levels to the image's tonal range
+  --equalize                   Equalize the luminance histogram
+  --invert                     Invert the luminance mapping
+  --dither <mode>              Dithering: ${DITHER_MODES.map(({ value }) => value).join(", ")}
+                               (default: none)
+  --palette <name|file>        Quantize html/svg colors to ${Object.keys(PALETTES).join(", ")},
+                               or a .gpl / hex list file
+  --palette-dither             Dither the quantized colors
+  --cell-background <mode>     Fill html/svg cells behind the glyphs: ${CELL_BACKGROUND_MODES.map(({ value }) => value).join(", ")}
+                               (default: none)
+  --edges                      Place directional glyphs (| / - \\ _) along strokes
+  --edge-threshold <n>         Edge strength ${describeOption("edge-threshold")}
+  -h, --help                   Show this help`;
+
+class UsageError extends Error {}
+
+const parseNumber = (
+    name,
+    value,
+    { min, max, integer }
+) => {
+    const number = Number(value);
+    if (
+        value === "" ||
+        !Number.isFinite(number) ||
+        (integer && !Number.isInteger(number)) ||
+        number < min ||
+        number > max
+    ) {
+        throw new UsageError(
+            `--${name} must be ${
+                integer
+                    ? "an integer"
+                    : "a number"
+            } between ${min} and ${max}, got "${value}"`
+        );
+    }
+    return number;
+};
+
+// A built-in palette name, or a path to a GPL / hex list file.
+const resolvePalette = async (value) => {
+    if (value === undefined) return {};
+    const name = value.toLowerCase();
+    if (Object.hasOwn(PALETTES, name))
+        return { palette: name };
+    let text;
+    try {
+        text = await readFile(value, "utf8");
+    } catch {
+        throw new UsageError(
+            `--palette "${value}" is neither a palette (${Object.keys(
+                PALETTES
+            ).join(", ")}) nor a readable file`
+        );
+    }
+    const colors = parsePalette(text);
+    if (!colors.length)
+        throw new UsageError(
+            `no colors found in palette file "${value}"`
+        );
+    return {
+        palette: "custom",
+        customPalette: colors.map(rgbToHex),
+    };
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Export colors and padding. --foreground / --background override the
+// theme's colors, which makes it a custom pair.
+const resolveTheme = (values) => {
+    const name = (
+        values.theme ?? DEFAULT_EXPORT_THEME.theme
+    ).toLowerCase();
+    if (!Object.hasOwn(EXPORT_THEMES, name))
+        throw new UsageError(
+            `unknown --theme "${values.theme}"`
+        );
+    for (const key of [
+        "foreground",
+        "background",
+    ]) {
+        if (
+            values[key] !== undefined &&
+            !HEX_COLOR.test(values[key])
+        )
+            throw new UsageError(
+                `--${key} must be a #rrggbb color, got "${values[key]}"`
+            );
+    }
+    const base = EXPORT_THEMES[name];
+    return resolveExportTheme({
+        theme: "custom",
+        foreground:
+            values.foreground ?? base.foreground,
+        background:
+            values.background ?? base.background,
+        padding:
+            values.padding === undefined
+                ? DEFAULT_EXPORT_THEME.padding
+                : parseNumber(
+                      "padding",
+                      values.padding,
+                      {
+                          min: 0,
+                          max: MAX_EXPORT_PADDING,
+                          integer: true,
+                      }
+                  ),
+    });
+};
+
+// A TrueType font for the SVG export, or null without --font.
+const loadFont = async (value) => {
+    if (value === undefined) return null;
+    let data;
+    try {
+        data = await readFile(value);
+    } catch {
+        throw new UsageError(
+            `cannot read --font "${value}"`
+        );
+    }
+    try {
+        return parseFont(
+            data.buffer.slice(
+                data.byteOffset,
+                data.byteOffset + data.byteLength
+            )
+        );
+    } catch (error) {
+        throw new UsageError(
+            `--font "${value}": ${error.message}`
+        );
+    }
+};
+
+// Parses a numeric Style flag within its OPTION_RANGES entry, falling
+// back to the engine default for the matching option.
+const parseOption = (values, name) => {
+    const key = NUMBER_OPTIONS[name];
+    if (values[name] === undefined)
+        return DEFAULT_CONVERT_OPTIONS[key];
+    const [min, max] = OPTION_RANGES[key];
+    return parseNumber(name, values[name], {
+        min,
+        max,
+        integer: key === "columns",
+    });
+};
+
+const resolveCharset = (value) => {
+    if (value === undefined)
+        return DEFAULT_CONVERT_OPTIONS.charset;
+    const preset = Object.keys(PRESETS).find(
+        (name) =>
+            name.toLowerCase() ===
+            value.toLowerCase()
+    );
+    if (preset) return PRESETS[preset];
+    if (!value)
+        throw new UsageError(
+            "--charset is empty"
+        );
+    return value;
+};
+
+const decodeImage = (buffer, file) => {
+    if (
+        buffer.length >= 8 &&
+        buffer.readUInt32BE(0) === 0x89504e47
+    ) {
+        return PNG.sync.read(buffer);
+    }
+    if (
+        buffer.length >= 3 &&
+        buffer[0] === 0xff &&
+        buffer[1] === 0xd8 &&
+        buffer[2] === 0xff
+    ) {
+        return jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+        });
+    }
+    throw new Error(
+        `${file}: not a PNG or JPEG image`
+    );
+};
+
+const render = (
+    imageData,
+    options,
+    format,
+    {
+        ansiMode,
+        colorTolerance,
+        font,
+        svgOutline,
+        theme,
+    }
+) => {
+    const { rows, colorMatrix } = convert(
+        imageData,
+        options
+    );
+    const fontSize = getAsciiFontSize(
+        options.columns
+    );
+    if (format === FORMATS.html) {
+        const { html, classes } =
+            buildCompactColorHtml(colorMatrix, {
+                tolerance: colorTolerance,
+            });
+        return buildColorAsciiDocument(
+            html,
+            fontSize,
+            {
+                styles: buildColorClassCss(
+                    classes
+                ),
+                theme,
+            }
+        );
+    }
+    if (format === FORMATS.svg) {
+        return buildAsciiSvgDocument({
+            lines: rows,
+            fontSize,
+            lineHeight:
+                getAsciiLineHeight(fontSize),
+            colorMatrix,
+            ...theme,
+            font,
+            outline: svgOutline,
+            embedFont: Boolean(
+                font && !svgOutline
+            ),
+        });
+    }
+    if (
+        format === FORMATS.ans ||
+        format === FORMATS.sh
+    ) {
+        const ansi = buildAnsiText(colorMatrix, {
+            mode: ansiMode,
+        });
+        return format === FORMATS.sh
+            ? buildAnsiShellScript(ansi)
+            : ansi;
+    }
+    return buildAsciiText(rows);
+};
+
+const getOutputPath = (file, format, values) => {
+    if (values.output) return values.output;
+    const name = `${path.parse(file).name}.${format}`;
+    return path.join(
+        values["out-dir"] ?? path.dirname(file),
+        name
+    );
+};
+
+const main = async (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: {
+                type: "string",
+                short: "f",
+            },
+            output: {
+                type: "string",
+                short: "o",
+            },
+            "out-dir": {
+                type: "string",
+                short: "d",
+            },
+            columns: { type: "string" },
+            "line-height": { type: "string" },
+            charset: { type: "string" },
+            "density-bias": { type: "string" },
+            brightness: { type: "string" },
+            contrast: { type: "string" },
+            gamma: { type: "string" },
+            "black-level": { type: "string" },
+            "white-level": { type: "string" },
+            "auto-levels": { type: "boolean" },
+            equalize: { type: "boolean" },
+            invert: { type: "boolean" },
+            dither: { type: "string" },
+            edges: { type: "boolean" },
+            palette: { type: "string" },
+            "ansi-mode": { type: "string" },
+            "color-tolerance": { type: "string" },
+            font: { type: "string" },
+            theme: { type: "string" },
+            foreground: { type: "string" },
+            background: { type: "string" },
+            padding: { type: "string" },
+            "svg-outline": { type: "boolean" },
+            "palette-dither": { type: "boolean" },
+            "cell-background": { type: "string" },
+            "edge-threshold": { type: "string" },
+            help: { type: "boolean", short: "h" },
+        },
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!positionals.length)
+        throw new UsageError(
+            "no input images given"
+        );
+    if (values.output && positionals.length > 1)
+        throw new UsageError(
+            "--output only works with a single input, use --out-dir"
+        );
+
+    const format = (
+        values.format ?? "txt"
+    ).toLowerCase();
+    if (!Object.hasOwn(FORMATS, format))
+        throw new UsageError(
+            `unknown --format "${values.format}"`
+        );
+    const ansiMode =
+        values["ansi-mode"] ?? "truecolor";
+    if (
+        !ANSI_COLOR_MODES.some(
+            ({ value }) => value === ansiMode
+        )
+    )
+        throw new UsageError(
+            `unknown --ansi-mode "${ansiMode}"`
+        );
+
+    const colorTolerance =
+        values["color-tolerance"] === undefined
+            ? DEFAULT_COLOR_TOLERANCE
+            : parseNumber(
+                  "color-tolerance",
+                  values["color-tolerance"],
+                  {
+                      min: 0,
+                      max: MAX_COLOR_TOLERANCE,
+                      integer: true,
+                  }
+              );
+
+    const dither = (
+        values.dither ??
+        DEFAULT_CONVERT_OPTIONS.dither
+    ).toLowerCase();
+    if (
+        !DITHER_MODES.some(
+            ({ value }) => value === dither
+        )
+    )
+        throw new UsageError(
+            `unknown --dither "${values.dither}"`
+        );
+
+    const cellBackground = (
+        values["cell-background"] ??
+        DEFAULT_CONVERT_OPTIONS.cellBackground
+    ).toLowerCase();
+    if (
+        !CELL_BACKGROUND_MODES.some(
+            ({ value }) =>
+                value === cellBackground
+        )
+    )
+        throw new UsageError(
+            `unknown --cell-background "${values["cell-background"]}"`
+        );
+
+    const palette = await resolvePalette(
+        values.palette
+    );
+    const theme = resolveTheme(values);
+    const font = await loadFont(values.font);
+    const svgOutline = Boolean(
+        values["svg-outline"]
+    );
+    if (svgOutline && !font)
+        throw new UsageError(
+            "--svg-outline needs a --font to take the glyph outlines from"
+        );
+
+    const options = {
+        columns: parseOption(values, "columns"),
+        lineHeightRatio: parseOption(
+            values,
+            "line-height"
+        ),
+        charset: resolveCharset(values.charset),
+        densityBias: parseOption(
+            values,
+            "density-bias"
+        ),
+        invert: Boolean(values.invert),
+        dither,
+        brightness: parseOption(
+            values,
+            "brightness"
+        ),
+        contrast: parseOption(values, "contrast"),
+        gamma: parseOption(values, "gamma"),
+        blackLevel: parseOption(
+            values,
+            "black-level"
+        ),
+        whiteLevel: parseOption(
+            values,
+            "white-level"
+        ),
+        autoLevels: Boolean(
+            values["auto-levels"]
+        ),
+        equalize: Boolean(values.equalize),
+        ...palette,
+        paletteDither: Boolean(
+            values["palette-dither"]
+        ),
+        cellBackground,
+        edges: Boolean(values.edges),
+        edgeThreshold: parseOption(
+            values,
+            "edge-threshold"
+        ),
+    };
+
+    if (options.whiteLevel <= options.blackLevel)
+        throw new UsageError(
+            "--white-level must be above --black-level"
+        );
+    // The same clean-up a saved project or share link gets in the app.
+    const style = sanitizeConvertOptions(options);
+
+    for (const file of positionals) {
+        const imageData = decodeImage(
+            await readFile(file),
+            file
+        );
+        const output = render(
+            imageData,
+            style,
+            format,
+            {
+                ansiMode,
+                colorTolerance,
+                font,
+                svgOutline,
+                theme,
+            }
+        );
+        const target = getOutputPath(
+            file,
+            format,
+            values
+        );
+        if (target === "-") {
+            process.stdout.write(output);
+        } else {
+            // Shell scripts are created executable.
+            await writeFile(
+                target,
+                output,
+                format === FORMATS.sh
+                    ? { mode: 0o755 }
+                    : undefined
+            );
+            console.error(`${file} -> ${target}`);
+        }
+    }
+};
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(`pixelmuse: ${error.message}`);
+    if (
+        error instanceof UsageError ||
+        error.code?.startsWith("ERR_PARSE_ARGS")
+    ) {
+        console.error(
+            'Run "pixelmuse --help" for usage.'
+        );
+    }
+    process.exitCode = 1;
+});
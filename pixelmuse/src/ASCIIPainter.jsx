@@ -1,4 +1,5 @@
 import React, {
+    useCallback,
     useEffect,
     useMemo,
     useRef,
@@ -39,7 +40,136 @@ import {
     PenTool,
     Image as ImageIcon,
     Loader2,
+    Undo2,
+    Redo2,
+    Layers,
+    Lock,
+    Unlock,
+    FlipHorizontal2,
+    FlipVertical2,
+    Crop,
+    RotateCcw,
+    Check,
+    AlertCircle,
+    X,
+    SlidersHorizontal,
+    Eye,
+    Terminal,
+    Film,
+    FolderOpen,
+    Save,
+    Share2,
+    Bookmark,
 } from "lucide-react";
+import {
+    CELL_BACKGROUND_MODES,
+    DITHER_MODES,
+    PRESETS,
+    sanitizeConvertOptions,
+} from "@/lib/ascii";
+import {
+    DEFAULT_TONE,
+    getToneHistograms,
+} from "@/lib/tone";
+import TonalPanel from "@/components/TonalPanel";
+import CharsetEditor from "@/components/CharsetEditor";
+import LivePreview from "@/components/LivePreview";
+import PalettePicker from "@/components/PalettePicker";
+import PngExportOptions from "@/components/PngExportOptions";
+import ExportThemePicker from "@/components/ExportThemePicker";
+import AnimationDialog from "@/components/AnimationDialog";
+import StylePresetsDialog from "@/components/StylePresetsDialog";
+import {
+    LAYER_KINDS,
+    createLayer,
+    insertLayer,
+    moveLayer,
+    removeLayer,
+    renderLayers,
+    resizeLayerCanvas,
+    updateLayer,
+} from "@/lib/layers";
+import LayersPanel from "@/components/LayersPanel";
+import {
+    createFitTransform,
+    drawTransformOverlay,
+    drawTransformedImage,
+    hitTestTransform,
+    moveTransform,
+    resizeTransform,
+    rotateTransform,
+} from "@/lib/transform";
+import {
+    capturePatch,
+    clampRect,
+    createHistory,
+    getPatchBytes,
+    restorePatch,
+} from "@/lib/history";
+import {
+    ANSI_COLOR_MODES,
+    ASCII_CHAR_ASPECT_RATIO,
+    ASCII_TARGET_WIDTH,
+    buildAsciiSvgDocument,
+    buildAnsiShellScript,
+    buildAnsiText,
+    buildAsciiText,
+    buildColorAsciiDocument,
+    DEFAULT_EXPORT_THEME,
+    DEFAULT_PNG_SETTINGS,
+    resolveExportTheme,
+    MAX_PNG_SIDE,
+    getPngLayout,
+    getPngTargetSize,
+    setPngDpi,
+    ASCII_FONT_FAMILY,
+    buildColorClassCss,
+    buildColorHtml,
+    buildCompactColorHtml,
+    DEFAULT_COLOR_TOLERANCE,
+    MAX_COLOR_TOLERANCE,
+    getAsciiFontSize,
+    getAsciiLineHeight,
+} from "@/lib/exporters";
+import { parseFont } from "@/lib/fonts";
+import {
+    DEFAULT_BRUSH,
+    MAX_BRUSH_SIZE,
+    PROJECT_FILE_EXTENSION,
+    loadImage,
+    captureProject,
+    parseProject,
+    readCapturedProject,
+    serializeProject,
+} from "@/lib/project";
+import {
+    createAutosaver,
+    createSessionId,
+    deleteSession,
+    getLatestSession,
+    saveSession,
+} from "@/lib/autosave";
+import {
+    MAX_SHARED_ASCII_LENGTH,
+    buildShareUrl,
+    decodeSharedAscii,
+    encodeSharedAscii,
+    readShareUrl,
+} from "@/lib/shareLink";
+import {
+    loadStylePresets,
+    storeStylePresets,
+} from "@/lib/stylePresets";
+
+const getByteSize = (text) =>
+    new TextEncoder().encode(text).length;
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024)
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
 
 function drawDots(
     ctx,
@@ -78,31 +208,17 @@ function drawDots(
     ctx.restore();
 }
 
-const escapeForHtml = (char) => {
-    if (char === "&") return "&amp;";
-    if (char === "<") return "&lt;";
-    if (char === ">") return "&gt;";
-    if (char === '"') return "&quot;";
-    if (char === "'") return "&#39;";
-    if (char === " ") return "&nbsp;";
-    return char;
-};
+const ASCII_DIALOG_MAX_WIDTH = 1100;
+const PREVIEW_DEBOUNCE_MS = 150;
 
-const escapeForSvg = (char) => {
-    if (char === "&") return "&amp;";
-    if (char === "<") return "&lt;";
-    if (char === ">") return "&gt;";
-    if (char === '"') return "&quot;";
-    if (char === "'") return "&#39;";
-    return char;
-};
+const isSupportedImage = (file) =>
+    file.type.startsWith("image/");
 
-const ASCII_TARGET_WIDTH = 900;
-const ASCII_DIALOG_MAX_WIDTH = 1100;
-const ASCII_MAX_FONT_SIZE = 12;
-const ASCII_MIN_FONT_SIZE = 3;
-const ASCII_CHAR_ASPECT_RATIO = 0.6;
-const ASCII_BASE_LINE_HEIGHT = 1.1;
+const TRANSFORM_CURSORS = {
+    move: "move",
+    scale: "crosshair",
+    rotate: "grab",
+};
 
 const INTRO_STEPS = [
     {
@@ -125,7 +241,7 @@ const INTRO_STEPS = [
         id: "upload",
         title: "Bring in Assets",
         description:
-            "Drop in any image to convert it into a guide layer, clear it anytime, or keep painting on top.",
+            "Drop, paste (Ctrl+V) or pick any image to turn it into a guide layer, clear it anytime, or keep painting on top.",
         icon: Upload,
         accent: "from-sky-500/20 via-sky-500/10 to-transparent",
     },
@@ -139,155 +255,98 @@ const INTRO_STEPS = [
     },
 ];
 
-const buildColorAsciiDocument = (
-    content,
-    requestedFontSize = ASCII_MAX_FONT_SIZE
-) => {
-    const normalizedFontSize = Math.max(
-        ASCII_MIN_FONT_SIZE,
-        Math.min(
-            ASCII_MAX_FONT_SIZE,
-            requestedFontSize
-        )
-    );
-    const fontSize = Number(
-        normalizedFontSize.toFixed(2)
-    );
-    const lineHeight = Number(
-        ASCII_BASE_LINE_HEIGHT *
-            Math.max(
-                0.75,
-                fontSize / ASCII_MAX_FONT_SIZE
-            )
-    ).toFixed(2);
-
-    return `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <title>Colored ASCII Art</title>
-    <style>
-      body {
-        background: #f8fafc;
-        color: #0f172a;
-        margin: 0;
-        min-height: 100vh;
-        padding: clamp(24px, 5vw, 72px);
-        display: flex;
-        justify-content: center;
-        align-items: center;
-      }
-      .ascii-wrapper {
-        width: min(100%, 1400px);
-      }
-      pre {
-        font-family: "JetBrains Mono", "Fira Code", "Cascadia Code", monospace;
-        font-size: ${fontSize}px;
-        line-height: ${lineHeight};
-        margin: 0;
-        white-space: pre;
-        overflow: auto;
-        width: 100%;
-      }
-    </style>
-  </head>
-  <body>
-    <div class="ascii-wrapper">
-      <pre>${content}</pre>
-    </div>
-  </body>
-</html>`;
-};
-
-const PNG_EXPORT_SIZES = [
-    { label: "Compact", value: 0.75 },
-    { label: "Default", value: 1 },
-    { label: "Large", value: 1.5 },
-    { label: "XL", value: 2 },
-];
-
-const buildAsciiSvgDocument = ({
-    lines,
-    fontSize,
-    lineHeight,
-    colorMatrix,
-    background = "#ffffff",
-    foreground = "#0f172a",
-}) => {
-    const padding = 24;
-    const charWidth =
-        fontSize * ASCII_CHAR_ASPECT_RATIO;
-    const lineHeightPx = fontSize * lineHeight;
-    const maxColumns = lines.reduce(
-        (max, line) => Math.max(max, line.length),
-        0
-    );
-    const width =
-        Math.max(1, maxColumns * charWidth) +
-        padding * 2;
-    const height =
-        Math.max(1, lines.length * lineHeightPx) +
-        padding * 2;
-    const fontFamily =
-        "'JetBrains Mono', 'Fira Code', 'Cascadia Code', monospace";
-
-    const elements = [];
-    for (let y = 0; y < lines.length; y++) {
-        const row = lines[y];
-        const rowCells = colorMatrix?.[y];
-        const yPos = padding + y * lineHeightPx;
-        for (let x = 0; x < row.length; x++) {
-            const char = row[x];
-            if (char === " ") continue;
-            const color =
-                rowCells?.[x]?.color ??
-                foreground;
-            const xPos = padding + x * charWidth;
-            elements.push(
-                `<text x="${xPos.toFixed(
-                    2
-                )}" y="${yPos.toFixed(
-                    2
-                )}" fill="${color}" dominant-baseline="hanging">${escapeForSvg(
-                    char
-                )}</text>`
-            );
-        }
-    }
-
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${width.toFixed(
-        2
-    )}" height="${height.toFixed(
-        2
-    )}" viewBox="0 0 ${width.toFixed(
-        2
-    )} ${height.toFixed(
-        2
-    )}" font-family="${fontFamily}" font-size="${fontSize}" xml:space="preserve">
-  <rect width="100%" height="100%" fill="${background}" />
-  ${elements.join("\n  ")}
-</svg>`;
-};
-
 export default function ASCIIPainter() {
     const canvasRef = useRef(null);
-    const ghostRef = useRef(null);
     const artRef = useRef(null);
     const fileRef = useRef(null);
+    const projectInputRef = useRef(null);
+    const svgFontInputRef = useRef(null);
     const drawing = useRef(false);
     const last = useRef(null);
     const canvasCtxRef = useRef(null);
     const artCtxRef = useRef(null);
-    const ghostCtxRef = useRef(null);
     const resizeFrameRef = useRef(null);
-    const colorMatrixRef = useRef(null);
     const generationIdRef = useRef(0);
+    const workerRef = useRef(null);
+    const historyRef = useRef(null);
+    if (!historyRef.current)
+        historyRef.current = createHistory();
+    const strokeRef = useRef(null);
+    const snapshotRef = useRef(null);
+    const backgroundRef = useRef(null);
+    const layersRef = useRef([]);
+    const layerCountRef = useRef(1);
+    const overlayRef = useRef(null);
+    const transformDragRef = useRef(null);
+    const dragDepthRef = useRef(0);
+    const importFilesRef = useRef(null);
+    const previewWorkerRef = useRef(null);
+    const previewJobRef = useRef(0);
+    const previewTimerRef = useRef(null);
+    const previewDirtyRef = useRef(true);
+    const previewRowsRef = useRef([]);
+    const runPreviewRef = useRef(null);
+    const toneWorkerRef = useRef(null);
+    const toneJobRef = useRef(0);
+    const toneTimerRef = useRef(null);
+    const toneDirtyRef = useRef(true);
+    const runToneHistogramRef = useRef(null);
+    // Autosaves go to a record of their own per page load; restoring a
+    // session continues writing to that session's record instead.
+    const sessionIdRef = useRef(null);
+    if (!sessionIdRef.current)
+        sessionIdRef.current = createSessionId();
+    const saveSessionRef = useRef(null);
+    const autosaverRef = useRef(null);
+    if (!autosaverRef.current)
+        autosaverRef.current = createAutosaver(
+            () => saveSessionRef.current?.()
+        );
+    const autosaveValuesRef = useRef(null);
+    // Read once, before the mount effect strips it from the address bar.
+    const shareLinkRef = useRef(undefined);
+    if (shareLinkRef.current === undefined)
+        shareLinkRef.current = readShareUrl(
+            window.location.href
+        );
+    const openShareLinkRef = useRef(null);
 
-    const [brushColor, setBrushColor] =
-        useState("#000000");
-    const [brushSize, setBrushSize] = useState(8);
-    const [eraser, setEraser] = useState(false);
+    const [brushColor, setBrushColor] = useState(
+        DEFAULT_BRUSH.color
+    );
+    const [brushSize, setBrushSize] = useState(
+        DEFAULT_BRUSH.size
+    );
+    const [eraser, setEraser] = useState(
+        DEFAULT_BRUSH.eraser
+    );
+    const [layers, setLayers] = useState([]);
+    const [activeLayerId, setActiveLayerId] =
+        useState(null);
+    const [
+        convertSelectedOnly,
+        setConvertSelectedOnly,
+    ] = useState(false);
+    const [
+        transformLayerId,
+        setTransformLayerId,
+    ] = useState(null);
+    const [cropping, setCropping] =
+        useState(false);
+    const [isDraggingFile, setIsDraggingFile] =
+        useState(false);
+    const [importError, setImportError] =
+        useState(null);
+    const [uniformScale, setUniformScale] =
+        useState(true);
+    const [canvasSize, setCanvasSize] = useState({
+        width: 0,
+        height: 0,
+    });
+    const [historyState, setHistoryState] =
+        useState(() =>
+            historyRef.current.getState()
+        );
     const [columns, setColumns] = useState(100);
     const [lineHeightRatio, setLineHeightRatio] =
         useState(2);
@@ -296,46 +355,151 @@ export default function ASCIIPainter() {
     const [invert, setInvert] = useState(false);
     const [densityBias, setDensityBias] =
         useState(0);
+    const [dither, setDither] = useState("none");
+    const [cellBackground, setCellBackground] =
+        useState("none");
+    const [edges, setEdges] = useState(false);
+    const [edgeThreshold, setEdgeThreshold] =
+        useState(0.2);
+    const [shapeMatching, setShapeMatching] =
+        useState(false);
+    const [
+        showCharsetEditor,
+        setShowCharsetEditor,
+    ] = useState(false);
+    const [tone, setTone] =
+        useState(DEFAULT_TONE);
+    const [colorPalette, setColorPalette] =
+        useState({
+            palette: "none",
+            customPalette: [],
+            paletteDither: false,
+        });
+    const [toneOpen, setToneOpen] =
+        useState(false);
+    const [toneLuminance, setToneLuminance] =
+        useState(null);
     const [ascii, setAscii] = useState("");
-    const [colorAsciiHtml, setColorAsciiHtml] =
-        useState("");
+    const [colorMatrix, setColorMatrix] =
+        useState(null);
+    const [colorTolerance, setColorTolerance] =
+        useState(DEFAULT_COLOR_TOLERANCE);
     const [showDialog, setShowDialog] =
         useState(false);
+    // The intro waits until we know whether to offer a restore first.
     const [showIntro, setShowIntro] =
-        useState(true);
+        useState(false);
+    const [restoreSession, setRestoreSession] =
+        useState(null);
 
     const [isMobile, setIsMobile] =
         useState(false);
     const [isGenerating, setIsGenerating] =
         useState(false);
+    const [livePreview, setLivePreview] =
+        useState(false);
+    const [previewText, setPreviewText] =
+        useState("");
+    const [
+        isPreviewUpdating,
+        setIsPreviewUpdating,
+    ] = useState(false);
+    const [
+        generationProgress,
+        setGenerationProgress,
+    ] = useState(0);
     const [showPngDialog, setShowPngDialog] =
         useState(false);
-    const [pngScale, setPngScale] = useState(1);
-
-    const asciiFontSize = useMemo(() => {
-        const safeColumns = Math.max(1, columns);
-        const widthLimitedFont =
-            ASCII_TARGET_WIDTH /
-            (safeColumns *
-                ASCII_CHAR_ASPECT_RATIO);
-        const clampedFont = Math.max(
-            ASCII_MIN_FONT_SIZE,
-            Math.min(
-                ASCII_MAX_FONT_SIZE,
-                widthLimitedFont
-            )
-        );
-        return Number(clampedFont.toFixed(2));
-    }, [columns]);
-
-    const asciiLineHeight = useMemo(() => {
-        const scale =
-            asciiFontSize / ASCII_MAX_FONT_SIZE;
-        const computed =
-            ASCII_BASE_LINE_HEIGHT *
-            Math.max(scale, 0.75);
-        return Number(computed.toFixed(2));
-    }, [asciiFontSize]);
+    const [exportTheme, setExportTheme] =
+        useState(DEFAULT_EXPORT_THEME);
+    const [pngSettings, setPngSettings] =
+        useState(DEFAULT_PNG_SETTINGS);
+    const [showAnsiDialog, setShowAnsiDialog] =
+        useState(false);
+    const [showHtmlDialog, setShowHtmlDialog] =
+        useState(false);
+    const [showSvgDialog, setShowSvgDialog] =
+        useState(false);
+    const [svgFont, setSvgFont] = useState(null);
+    const [svgFontError, setSvgFontError] =
+        useState(null);
+    const [svgOutline, setSvgOutline] =
+        useState(false);
+    const [svgEmbedFont, setSvgEmbedFont] =
+        useState(false);
+    const [ansiMode, setAnsiMode] =
+        useState("truecolor");
+    const [showShareDialog, setShowShareDialog] =
+        useState(false);
+    const [shareAscii, setShareAscii] =
+        useState(true);
+    // The encoded output and the text it was made from.
+    const [sharedAscii, setSharedAscii] =
+        useState(null);
+    const [stylePresets, setStylePresets] =
+        useState(loadStylePresets);
+    const [
+        showStylePresets,
+        setShowStylePresets,
+    ] = useState(false);
+    const [
+        showAnimationDialog,
+        setShowAnimationDialog,
+    ] = useState(false);
+
+    const asciiFontSize = useMemo(
+        () => getAsciiFontSize(columns),
+        [columns]
+    );
+
+    const asciiLineHeight = useMemo(
+        () => getAsciiLineHeight(asciiFontSize),
+        [asciiFontSize]
+    );
+
+    const convertOptions = useMemo(
+        () => ({
+            columns,
+            lineHeightRatio,
+            charset,
+            densityBias,
+            invert,
+            dither,
+            edges,
+            edgeThreshold,
+            shapeMatching,
+            ...tone,
+            ...colorPalette,
+            cellBackground,
+        }),
+        [
+            columns,
+            lineHeightRatio,
+            charset,
+            densityBias,
+            invert,
+            dither,
+            edges,
+            edgeThreshold,
+            shapeMatching,
+            tone,
+            colorPalette,
+            cellBackground,
+        ]
+    );
+
+    const isPresetCharset =
+        Object.values(PRESETS).includes(charset);
+
+    const toneHistograms = useMemo(
+        () =>
+            toneLuminance &&
+            getToneHistograms(
+                toneLuminance,
+                tone
+            ),
+        [toneLuminance, tone]
+    );
 
     const dialogWidth = isMobile
         ? "100vw"
@@ -355,13 +519,22 @@ export default function ASCIIPainter() {
     const dialogFooterClass = isMobile
         ? "px-4 py-3 border-t flex flex-col gap-2"
         : "px-6 py-4 border-t flex justify-end gap-3 flex-wrap";
+    const theme = useMemo(
+        () => resolveExportTheme(exportTheme),
+        [exportTheme]
+    );
+
     const previewFrameClass =
-        "bg-slate-50 font-mono p-4 rounded-lg text-slate-900 border border-slate-200 overflow-auto max-w-full shadow-inner flex items-center justify-center";
+        "font-mono rounded-lg border border-slate-200 overflow-auto max-w-full shadow-inner flex items-center justify-center";
+    // The preview uses the export theme, so it matches the files.
     const previewContainerStyle = useMemo(
         () => ({
             maxHeight: isMobile ? "45vh" : "60vh",
+            background: theme.background,
+            color: theme.foreground,
+            padding: theme.padding,
         }),
-        [isMobile]
+        [isMobile, theme]
     );
     const previewContentStyle = useMemo(
         () => ({
@@ -375,30 +548,84 @@ export default function ASCIIPainter() {
         [asciiFontSize, asciiLineHeight, isMobile]
     );
 
+    const activeLayer =
+        layers.find(
+            ({ id }) => id === activeLayerId
+        ) ?? layers.at(-1);
+
+    const pendingLayer = layers.find(
+        ({ id, transform }) =>
+            id === transformLayerId && transform
+    );
+
     const hasAsciiOutput = useMemo(
         () => ascii.trim().length > 0,
         [ascii]
     );
-    const hasColorOutput = Boolean(
-        colorAsciiHtml
+    const hasColorOutput = Boolean(colorMatrix);
+
+    // Merged runs keep both the dialog preview and the HTML export
+    // small.
+    const colorHtml = useMemo(
+        () =>
+            colorMatrix
+                ? buildCompactColorHtml(
+                      colorMatrix,
+                      {
+                          tolerance:
+                              colorTolerance,
+                      }
+                  )
+                : null,
+        [colorMatrix, colorTolerance]
     );
 
-    const PRESETS = {
-        Classic: " .:-=+*#%@",
-        "Ultra Dense":
-            " .'`^\",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$",
-        Blocks: " ░▒▓█",
-        "Dot Matrix": "·•●○◦",
-    };
+    const colorDocument = useMemo(
+        () =>
+            colorHtml
+                ? buildColorAsciiDocument(
+                      colorHtml.html,
+                      asciiFontSize,
+                      {
+                          styles: buildColorClassCss(
+                              colorHtml.classes
+                          ),
+                          theme,
+                      }
+                  )
+                : "",
+        [colorHtml, asciiFontSize, theme]
+    );
+
+    // Only measured while the HTML dialog is open, since it builds the
+    // full per-character markup for comparison.
+    const htmlSizes = useMemo(() => {
+        if (!showHtmlDialog || !colorMatrix)
+            return null;
+        return {
+            full: getByteSize(
+                buildColorAsciiDocument(
+                    buildColorHtml(colorMatrix),
+                    asciiFontSize,
+                    { theme }
+                )
+            ),
+            compact: getByteSize(colorDocument),
+        };
+    }, [
+        showHtmlDialog,
+        colorMatrix,
+        colorDocument,
+        asciiFontSize,
+        theme,
+    ]);
 
     useEffect(() => {
         const c = canvasRef.current;
-        const g = ghostRef.current;
         const a = artRef.current;
-        if (!c || !g || !a) return;
+        if (!c || !a) return;
         canvasCtxRef.current = c.getContext("2d");
-        artCtxRef.current = a.getContext("2d");
-        ghostCtxRef.current = g.getContext("2d", {
+        artCtxRef.current = a.getContext("2d", {
             willReadFrequently: true,
         });
 
@@ -408,30 +635,49 @@ export default function ASCIIPainter() {
 
             c.width = width;
             c.height = height;
-            if (canvasCtxRef.current) {
-                drawDots(
-                    canvasCtxRef.current,
-                    width,
-                    height
-                );
-            }
-
             a.width = width;
             a.height = height;
-            if (artCtxRef.current) {
-                artCtxRef.current.fillStyle =
-                    "#ffffff";
-                artCtxRef.current.fillRect(
-                    0,
-                    0,
+
+            const background =
+                backgroundRef.current ??
+                document.createElement("canvas");
+            background.width = width;
+            background.height = height;
+            drawDots(
+                background.getContext("2d"),
+                width,
+                height
+            );
+            backgroundRef.current = background;
+
+            if (!layersRef.current.length) {
+                const layer = createLayer({
+                    name: "Layer 1",
                     width,
-                    height
+                    height,
+                });
+                layersRef.current = [layer];
+                setLayers(layersRef.current);
+                setActiveLayerId(layer.id);
+            } else {
+                layersRef.current.forEach(
+                    (layer) =>
+                        resizeLayerCanvas(
+                            layer,
+                            width,
+                            height
+                        )
+                );
+            }
+            if (canvasCtxRef.current) {
+                renderLayers(
+                    canvasCtxRef.current,
+                    layersRef.current,
+                    { background }
                 );
             }
 
-            g.width = width;
-            g.height = height;
-
+            setCanvasSize({ width, height });
             setIsMobile(width < 768);
         };
 
@@ -466,6 +712,326 @@ export default function ASCIIPainter() {
         };
     }, []);
 
+    useEffect(() => {
+        const worker = new Worker(
+            new URL(
+                "./lib/ascii.worker.js",
+                import.meta.url
+            ),
+            { type: "module" }
+        );
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+        };
+    }, []);
+
+    // The live preview runs on its own worker so it never cancels a
+    // Generate job, and the worker keeps the last image between updates.
+    useEffect(() => {
+        if (!livePreview) return;
+        const worker = new Worker(
+            new URL(
+                "./lib/ascii.worker.js",
+                import.meta.url
+            ),
+            { type: "module" }
+        );
+        previewWorkerRef.current = worker;
+        previewDirtyRef.current = true;
+        return () => {
+            worker.terminate();
+            previewWorkerRef.current = null;
+            clearTimeout(previewTimerRef.current);
+            previewTimerRef.current = null;
+            setIsPreviewUpdating(false);
+        };
+    }, [livePreview]);
+
+    useEffect(() => {
+        runPreviewRef.current = runPreview;
+    });
+
+    // The Tone panel's histogram also comes from a worker of its own,
+    // which lives while the panel is open.
+    useEffect(() => {
+        if (!toneOpen) return;
+        const worker = new Worker(
+            new URL(
+                "./lib/ascii.worker.js",
+                import.meta.url
+            ),
+            { type: "module" }
+        );
+        worker.onmessage = ({ data }) => {
+            if (data.jobId !== toneJobRef.current)
+                return;
+            if (data.type === "luminance")
+                setToneLuminance(data.luminance);
+            else if (data.type === "error")
+                console.error(
+                    "Tone histogram failed:",
+                    data.message
+                );
+        };
+        toneWorkerRef.current = worker;
+        toneDirtyRef.current = true;
+        return () => {
+            worker.terminate();
+            toneWorkerRef.current = null;
+            clearTimeout(toneTimerRef.current);
+            toneTimerRef.current = null;
+        };
+    }, [toneOpen]);
+
+    useEffect(() => {
+        runToneHistogramRef.current =
+            runToneHistogram;
+    });
+
+    useEffect(() => {
+        saveSessionRef.current = () =>
+            captureProject(getProjectState())
+                .then((project) =>
+                    saveSession(
+                        sessionIdRef.current,
+                        project
+                    )
+                )
+                .catch((error) =>
+                    console.error(
+                        "Autosave failed:",
+                        error
+                    )
+                );
+    });
+
+    useEffect(() => {
+        openShareLinkRef.current = openShareLink;
+    });
+
+    useEffect(() => {
+        let cancelled = false;
+        const shareLink = shareLinkRef.current;
+        if (shareLink) {
+            window.history.replaceState(
+                window.history.state,
+                "",
+                shareLink.cleanUrl
+            );
+            openShareLinkRef.current(
+                shareLink,
+                () => cancelled
+            );
+        }
+        // A link with output opens straight into the result instead.
+        if (!shareLink?.ascii)
+            getLatestSession()
+                .catch(() => null)
+                .then((session) => {
+                    if (cancelled) return;
+                    if (session)
+                        setRestoreSession(
+                            session
+                        );
+                    else setShowIntro(true);
+                });
+        const autosaver = autosaverRef.current;
+        const handleVisibility = () => {
+            if (
+                document.visibilityState ===
+                "hidden"
+            )
+                autosaver.flush();
+        };
+        document.addEventListener(
+            "visibilitychange",
+            handleVisibility
+        );
+        return () => {
+            cancelled = true;
+            document.removeEventListener(
+                "visibilitychange",
+                handleVisibility
+            );
+            autosaver.flush();
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!showShareDialog || !ascii.trim())
+            return;
+        let cancelled = false;
+        encodeSharedAscii(ascii)
+            .then((encoded) => {
+                if (!cancelled)
+                    setSharedAscii({
+                        text: ascii,
+                        encoded,
+                    });
+            })
+            .catch((error) =>
+                console.error(
+                    "Couldn't compress the ASCII for a link:",
+                    error
+                )
+            );
+        return () => {
+            cancelled = true;
+        };
+    }, [showShareDialog, ascii]);
+
+    useEffect(() => {
+        storeStylePresets(stylePresets);
+    }, [stylePresets]);
+
+    // Style, brush and output changes are autosaved too. The first run
+    // only records the starting values, so an untouched page saves nothing.
+    useEffect(() => {
+        const values = [
+            convertOptions,
+            brushColor,
+            brushSize,
+            eraser,
+            ascii,
+        ];
+        const previous =
+            autosaveValuesRef.current;
+        autosaveValuesRef.current = values;
+        if (
+            previous?.some(
+                (value, index) =>
+                    !Object.is(
+                        value,
+                        values[index]
+                    )
+            )
+        )
+            autosaverRef.current.schedule();
+    }, [
+        convertOptions,
+        brushColor,
+        brushSize,
+        eraser,
+        ascii,
+    ]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (
+                !(e.ctrlKey || e.metaKey) ||
+                e.altKey
+            )
+                return;
+            const target = e.target;
+            if (
+                target instanceof HTMLElement &&
+                (target.isContentEditable ||
+                    [
+                        "INPUT",
+                        "TEXTAREA",
+                        "SELECT",
+                    ].includes(target.tagName))
+            )
+                return;
+            const key = e.key.toLowerCase();
+            const isUndo =
+                key === "z" && !e.shiftKey;
+            const isRedo =
+                (key === "z" && e.shiftKey) ||
+                key === "y";
+            if (!isUndo && !isRedo) return;
+            e.preventDefault();
+            if (drawing.current) return;
+            const entry = isUndo
+                ? historyRef.current.undo()
+                : historyRef.current.redo();
+            if (entry)
+                setHistoryState(
+                    historyRef.current.getState()
+                );
+        };
+        window.addEventListener(
+            "keydown",
+            handleKeyDown
+        );
+        return () =>
+            window.removeEventListener(
+                "keydown",
+                handleKeyDown
+            );
+    }, []);
+
+    useEffect(() => {
+        const overlay = overlayRef.current;
+        if (!overlay) return;
+        const ctx = overlay.getContext("2d");
+        ctx.clearRect(
+            0,
+            0,
+            overlay.width,
+            overlay.height
+        );
+        if (!pendingLayer) return;
+        drawTransformOverlay(
+            ctx,
+            pendingLayer.transform,
+            {
+                source: pendingLayer.source,
+                cropping,
+            }
+        );
+    }, [pendingLayer, cropping, canvasSize]);
+
+    useEffect(() => {
+        importFilesRef.current = importFiles;
+    });
+
+    useEffect(() => {
+        const handlePaste = (e) => {
+            const target = e.target;
+            if (
+                target instanceof HTMLElement &&
+                (target.isContentEditable ||
+                    [
+                        "INPUT",
+                        "TEXTAREA",
+                    ].includes(target.tagName))
+            )
+                return;
+            const files = Array.from(
+                e.clipboardData?.items ?? []
+            )
+                .filter(
+                    (item) => item.kind === "file"
+                )
+                .map((item) => item.getAsFile())
+                .filter(Boolean);
+            if (!files.length) return;
+            e.preventDefault();
+            importFilesRef.current?.(files);
+        };
+        window.addEventListener(
+            "paste",
+            handlePaste
+        );
+        return () =>
+            window.removeEventListener(
+                "paste",
+                handlePaste
+            );
+    }, []);
+
+    useEffect(() => {
+        if (!importError) return;
+        const timer = setTimeout(
+            () => setImportError(null),
+            6000
+        );
+        return () => clearTimeout(timer);
+    }, [importError]);
+
     const getPos = (e) => {
         const c = canvasRef.current;
         const rect = c.getBoundingClientRect();
@@ -480,408 +1046,1388 @@ export default function ASCIIPainter() {
         return { x, y };
     };
 
-    const drawLine = (x1, y1, x2, y2) => {
+    const renderDisplay = (rect) => {
         const ctx = canvasCtxRef.current;
-        const artCtx = artCtxRef.current;
-        if (!ctx || !artCtx) return;
+        if (!ctx) return;
+        renderLayers(ctx, layersRef.current, {
+            background: backgroundRef.current,
+            rect,
+        });
+        markPreviewDirty();
+        markToneDirty();
+        autosaverRef.current.schedule();
+    };
+
+    const commitLayers = (next) => {
+        layersRef.current = next;
+        setLayers(next);
+        renderDisplay();
+    };
+
+    const getSegmentRect = (
+        { x1, y1, x2, y2 },
+        size
+    ) => {
+        const pad = size / 2 + 2;
+        const left = Math.min(x1, x2) - pad;
+        const top = Math.min(y1, y2) - pad;
+        return {
+            x: left,
+            y: top,
+            width: Math.max(x1, x2) + pad - left,
+            height: Math.max(y1, y2) + pad - top,
+        };
+    };
+
+    const paintSegment = (
+        segment,
+        { color, size, eraser: erasing },
+        layer
+    ) => {
+        const ctx = layer.canvas.getContext("2d");
+        const { x1, y1, x2, y2 } = segment;
         ctx.save();
-        ctx.globalCompositeOperation = eraser
+        ctx.globalCompositeOperation = erasing
             ? "destination-out"
             : "source-over";
-        ctx.strokeStyle = eraser
+        ctx.strokeStyle = erasing
             ? "rgba(0,0,0,1)"
-            : brushColor;
-        ctx.lineWidth = brushSize;
+            : color;
+        ctx.lineWidth = size;
         ctx.lineCap = "round";
         ctx.beginPath();
         ctx.moveTo(x1, y1);
         ctx.lineTo(x2, y2);
         ctx.stroke();
         ctx.restore();
+        renderDisplay(
+            getSegmentRect(segment, size)
+        );
+    };
+
+    const syncHistoryState = () =>
+        setHistoryState(
+            historyRef.current.getState()
+        );
 
-        artCtx.save();
-        artCtx.globalCompositeOperation =
-            "source-over";
-        artCtx.strokeStyle = eraser
-            ? "#ffffff"
-            : brushColor;
-        artCtx.lineWidth = brushSize;
-        artCtx.lineCap = "round";
-        artCtx.beginPath();
-        artCtx.moveTo(x1, y1);
-        artCtx.lineTo(x2, y2);
-        artCtx.stroke();
-        artCtx.restore();
+    const pushHistory = (entry) => {
+        historyRef.current.push(entry);
+        syncHistoryState();
     };
 
-    const clearCanvas = () => {
-        generationIdRef.current += 1;
-        setIsGenerating(false);
+    const getSnapshotCanvas = (source) => {
+        let snapshot = snapshotRef.current;
+        if (!snapshot) {
+            snapshot =
+                document.createElement("canvas");
+            snapshotRef.current = snapshot;
+        }
+        snapshot.width = source.width;
+        snapshot.height = source.height;
+        snapshot
+            .getContext("2d")
+            .drawImage(source, 0, 0);
+        return snapshot;
+    };
+
+    const captureLayerPatches = (targets) =>
+        targets.map(({ canvas }) => ({
+            canvas,
+            patch: capturePatch(canvas, {
+                x: 0,
+                y: 0,
+                width: canvas.width,
+                height: canvas.height,
+            }),
+        }));
+
+    const restoreLayerPatches = (patches) => {
+        patches.forEach(({ canvas, patch }) =>
+            restorePatch(
+                canvas.getContext("2d"),
+                patch
+            )
+        );
+        renderDisplay();
+    };
+
+    // Undo/redo pair that removes and re-inserts a layer, keeping the
+    // latest version of its properties across the round trip.
+    const createLayerToggle = (layer, index) => {
+        let current = layer;
+        return {
+            insert: () =>
+                commitLayers(
+                    insertLayer(
+                        layersRef.current,
+                        current,
+                        index
+                    )
+                ),
+            remove: () => {
+                current =
+                    layersRef.current.find(
+                        ({ id }) =>
+                            id === layer.id
+                    ) ?? current;
+                commitLayers(
+                    removeLayer(
+                        layersRef.current,
+                        layer.id
+                    )
+                );
+            },
+        };
+    };
+
+    const beginStroke = (pos) => {
+        drawing.current = true;
+        last.current = pos;
+        if (!activeLayer) return;
+        strokeRef.current = {
+            layer: activeLayer,
+            style: {
+                color: brushColor,
+                size: brushSize,
+                eraser,
+            },
+            segments: [],
+            bounds: null,
+            snapshot: getSnapshotCanvas(
+                activeLayer.canvas
+            ),
+        };
+    };
+
+    const drawLine = (x1, y1, x2, y2) => {
+        const stroke = strokeRef.current;
+        if (!stroke) return;
+        const segment = { x1, y1, x2, y2 };
+        paintSegment(
+            segment,
+            stroke.style,
+            stroke.layer
+        );
+        stroke.segments.push(segment);
+        const rect = getSegmentRect(
+            segment,
+            stroke.style.size
+        );
+        const prev = stroke.bounds;
+        stroke.bounds = prev
+            ? {
+                  left: Math.min(
+                      prev.left,
+                      rect.x
+                  ),
+                  top: Math.min(prev.top, rect.y),
+                  right: Math.max(
+                      prev.right,
+                      rect.x + rect.width
+                  ),
+                  bottom: Math.max(
+                      prev.bottom,
+                      rect.y + rect.height
+                  ),
+              }
+            : {
+                  left: rect.x,
+                  top: rect.y,
+                  right: rect.x + rect.width,
+                  bottom: rect.y + rect.height,
+              };
+    };
+
+    const endStroke = () => {
+        drawing.current = false;
+        const stroke = strokeRef.current;
+        strokeRef.current = null;
+        if (!stroke?.bounds) return;
+        const { canvas } = stroke.layer;
+        const rect = clampRect(
+            {
+                x: stroke.bounds.left,
+                y: stroke.bounds.top,
+                width:
+                    stroke.bounds.right -
+                    stroke.bounds.left,
+                height:
+                    stroke.bounds.bottom -
+                    stroke.bounds.top,
+            },
+            canvas.width,
+            canvas.height
+        );
+        if (!rect.width || !rect.height) return;
+        const before = capturePatch(
+            stroke.snapshot,
+            rect
+        );
+        pushHistory({
+            label: stroke.style.eraser
+                ? "Eraser stroke"
+                : "Brush stroke",
+            bytes: getPatchBytes(rect),
+            undo: () => {
+                restorePatch(
+                    canvas.getContext("2d"),
+                    before
+                );
+                renderDisplay(rect);
+            },
+            redo: () =>
+                stroke.segments.forEach(
+                    (segment) =>
+                        paintSegment(
+                            segment,
+                            stroke.style,
+                            stroke.layer
+                        )
+                ),
+        });
+    };
+
+    const renderTransformedLayer = ({
+        canvas,
+        source,
+        transform,
+    }) => {
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(
+            0,
+            0,
+            canvas.width,
+            canvas.height
+        );
+        drawTransformedImage(
+            ctx,
+            source,
+            transform
+        );
+    };
+
+    const updatePendingTransform = (
+        transform
+    ) => {
+        if (!pendingLayer) return;
+        renderTransformedLayer({
+            ...pendingLayer,
+            transform,
+        });
+        commitLayers(
+            updateLayer(
+                layersRef.current,
+                pendingLayer.id,
+                { transform }
+            )
+        );
+    };
+
+    const flipPendingImage = (axis) => {
+        if (!pendingLayer) return;
+        const { transform } = pendingLayer;
+        updatePendingTransform({
+            ...transform,
+            [axis]: !transform[axis],
+        });
+    };
+
+    const resetPendingImage = () => {
         const c = canvasRef.current;
-        if (canvasCtxRef.current && c) {
-            drawDots(
-                canvasCtxRef.current,
+        if (!pendingLayer || !c) return;
+        const { source } = pendingLayer;
+        updatePendingTransform(
+            createFitTransform(
+                source.width,
+                source.height,
                 c.width,
                 c.height
+            )
+        );
+    };
+
+    // Bakes the pending transform into the layer pixels. Undo brings
+    // the editable transform back.
+    const applyPendingImage = () => {
+        if (!pendingLayer) return;
+        const { id, source, transform } =
+            pendingLayer;
+        const setTransform = (value) => {
+            commitLayers(
+                updateLayer(
+                    layersRef.current,
+                    id,
+                    {
+                        transform: value,
+                    }
+                )
             );
-        }
-        const art = artRef.current;
-        if (art && artCtxRef.current) {
-            artCtxRef.current.fillStyle =
-                "#ffffff";
-            artCtxRef.current.fillRect(
-                0,
-                0,
-                art.width,
-                art.height
+            setTransformLayerId(
+                value ? id : null
             );
+        };
+        transformDragRef.current = null;
+        setCropping(false);
+        setTransform(null);
+        pushHistory({
+            label: "Place image",
+            bytes:
+                source.width * source.height * 4,
+            undo: () => setTransform(transform),
+            redo: () => setTransform(null),
+        });
+    };
+
+    const handlePointerDown = (e) => {
+        const pos = getPos(e);
+        if (!pendingLayer) {
+            beginStroke(pos);
+            return;
+        }
+        const hit = hitTestTransform(
+            pendingLayer.transform,
+            pos
+        );
+        if (!hit) return;
+        transformDragRef.current = {
+            hit,
+            from: pos,
+            start: pendingLayer.transform,
+        };
+    };
+
+    const handlePointerMove = (e) => {
+        const pos = getPos(e);
+        if (pendingLayer) {
+            const drag = transformDragRef.current;
+            if (!drag) {
+                const hit = hitTestTransform(
+                    pendingLayer.transform,
+                    pos
+                );
+                e.currentTarget.style.cursor =
+                    TRANSFORM_CURSORS[
+                        hit?.kind
+                    ] ?? "";
+                return;
+            }
+            const { hit, from, start } = drag;
+            if (hit.kind === "move") {
+                updatePendingTransform(
+                    moveTransform(
+                        start,
+                        from,
+                        pos
+                    )
+                );
+            } else if (hit.kind === "rotate") {
+                updatePendingTransform(
+                    rotateTransform(
+                        start,
+                        from,
+                        pos,
+                        {
+                            snap: Boolean(
+                                e.shiftKey
+                            ),
+                        }
+                    )
+                );
+            } else {
+                updatePendingTransform(
+                    resizeTransform(
+                        start,
+                        hit,
+                        pos,
+                        {
+                            uniform:
+                                uniformScale !==
+                                Boolean(
+                                    e.shiftKey
+                                ),
+                            cropping,
+                            source: pendingLayer.source,
+                        }
+                    )
+                );
+            }
+            return;
+        }
+        if (!drawing.current) return;
+        drawLine(
+            last.current.x,
+            last.current.y,
+            pos.x,
+            pos.y
+        );
+        last.current = pos;
+    };
+
+    const handlePointerUp = (e) => {
+        e.currentTarget.style.cursor = "";
+        if (transformDragRef.current) {
+            transformDragRef.current = null;
+            return;
+        }
+        endStroke();
+    };
+
+    const undo = () => {
+        if (drawing.current) return;
+        if (historyRef.current.undo())
+            syncHistoryState();
+    };
+
+    const redo = () => {
+        if (drawing.current) return;
+        if (historyRef.current.redo())
+            syncHistoryState();
+    };
+
+    const clearCanvas = () => {
+        generationIdRef.current += 1;
+        workerRef.current?.postMessage({
+            type: "cancel",
+        });
+        setIsGenerating(false);
+        const targets = layersRef.current;
+        if (targets.length) {
+            const before =
+                captureLayerPatches(targets);
+            const clearLayers = () => {
+                targets.forEach(({ canvas }) =>
+                    canvas
+                        .getContext("2d")
+                        .clearRect(
+                            0,
+                            0,
+                            canvas.width,
+                            canvas.height
+                        )
+                );
+                renderDisplay();
+            };
+            clearLayers();
+            pushHistory({
+                label: "Clear",
+                bytes: before.reduce(
+                    (total, { patch }) =>
+                        total +
+                        getPatchBytes(patch.rect),
+                    0
+                ),
+                undo: () =>
+                    restoreLayerPatches(before),
+                redo: clearLayers,
+            });
         }
         setAscii("");
-        setColorAsciiHtml("");
-        colorMatrixRef.current = null;
+        setColorMatrix(null);
+    };
+
+    const addPaintLayer = () => {
+        const c = canvasRef.current;
+        if (!c) return;
+        layerCountRef.current += 1;
+        const layer = createLayer({
+            name: `Layer ${layerCountRef.current}`,
+            width: c.width,
+            height: c.height,
+        });
+        const activeIndex =
+            layersRef.current.findIndex(
+                ({ id }) => id === activeLayer?.id
+            );
+        const index =
+            activeIndex === -1
+                ? layersRef.current.length
+                : activeIndex + 1;
+        const toggle = createLayerToggle(
+            layer,
+            index
+        );
+        toggle.insert();
+        setActiveLayerId(layer.id);
+        pushHistory({
+            label: "Add layer",
+            bytes: getPatchBytes(c),
+            undo: toggle.remove,
+            redo: toggle.insert,
+        });
     };
 
+    const deleteLayer = (id) => {
+        if (layersRef.current.length <= 1) return;
+        const index = layersRef.current.findIndex(
+            (layer) => layer.id === id
+        );
+        if (index === -1) return;
+        const layer = layersRef.current[index];
+        const toggle = createLayerToggle(
+            layer,
+            index
+        );
+        toggle.remove();
+        pushHistory({
+            label: "Delete layer",
+            bytes: getPatchBytes(layer.canvas),
+            undo: toggle.insert,
+            redo: toggle.remove,
+        });
+    };
+
+    const moveLayerBy = (id, offset) =>
+        commitLayers(
+            moveLayer(
+                layersRef.current,
+                id,
+                offset
+            )
+        );
+
+    const changeLayer = (id, changes) =>
+        commitLayers(
+            updateLayer(
+                layersRef.current,
+                id,
+                changes
+            )
+        );
+
     const handleUpload = (file) => {
         const url = URL.createObjectURL(file);
         const img = new Image();
         img.onload = () => {
             const c = canvasRef.current;
-            const ctx = canvasCtxRef.current;
-            if (!ctx) {
+            if (!c) {
                 URL.revokeObjectURL(url);
                 return;
             }
-            drawDots(ctx, c.width, c.height);
-            const ratio = Math.min(
-                c.width / img.width,
-                c.height / img.height
-            );
-            const newW = img.width * ratio;
-            const newH = img.height * ratio;
-            const offsetX = (c.width - newW) / 2;
-            const offsetY = (c.height - newH) / 2;
-            ctx.drawImage(
-                img,
-                offsetX,
-                offsetY,
-                newW,
-                newH
-            );
-            const art = artRef.current;
-            if (art && artCtxRef.current) {
-                artCtxRef.current.fillStyle =
-                    "#ffffff";
-                artCtxRef.current.fillRect(
-                    0,
-                    0,
-                    art.width,
-                    art.height
+            if (pendingLayer) applyPendingImage();
+            const layer = {
+                ...createLayer({
+                    kind: LAYER_KINDS.image,
+                    name: file.name || "Image",
+                    width: c.width,
+                    height: c.height,
+                }),
+                source: img,
+                transform: createFitTransform(
+                    img.width,
+                    img.height,
+                    c.width,
+                    c.height
+                ),
+            };
+            renderTransformedLayer(layer);
+            // Imports go below the painted strokes so they stay visible.
+            const firstPaintIndex =
+                layersRef.current.findIndex(
+                    ({ kind }) =>
+                        kind === LAYER_KINDS.paint
                 );
-                artCtxRef.current.drawImage(
-                    img,
-                    offsetX,
-                    offsetY,
-                    newW,
-                    newH
-                );
-            }
+            const toggle = createLayerToggle(
+                layer,
+                firstPaintIndex === -1
+                    ? layersRef.current.length
+                    : firstPaintIndex
+            );
+            toggle.insert();
+            setTransformLayerId(layer.id);
+            setCropping(false);
+            pushHistory({
+                label: "Import image",
+                bytes:
+                    getPatchBytes(c) +
+                    img.width * img.height * 4,
+                undo: toggle.remove,
+                redo: toggle.insert,
+            });
             URL.revokeObjectURL(url);
         };
         img.onerror = () => {
-            console.error(
-                "Image loading failed."
+            setImportError(
+                `Couldn't load "${file.name || "the pasted image"}". The file may be damaged or in a format this browser can't display.`
             );
             URL.revokeObjectURL(url);
         };
         img.src = url;
     };
 
-    const toASCII = () => {
-        const source = artRef.current;
-        const g = ghostRef.current;
-        const gctx = ghostCtxRef.current;
-        if (!source || !g || !gctx || isGenerating)
+    // Shared entry point for the file picker, drag-and-drop and paste.
+    const importFiles = (files) => {
+        const list = Array.from(files ?? []);
+        if (!list.length) return;
+        const file = list.find(isSupportedImage);
+        if (!file) {
+            setImportError(
+                list.length === 1
+                    ? `"${list[0].name}" isn't an image. Import a PNG, JPEG, GIF, WebP or SVG file.`
+                    : "None of those files are images. Import a PNG, JPEG, GIF, WebP or SVG file."
+            );
             return;
+        }
+        setImportError(null);
+        handleUpload(file);
+    };
 
-        const cellW = Math.max(
-            1,
-            Math.floor(source.width / columns)
+    // Sets every Style control from flat convert options, e.g. from a
+    // project file.
+    const applyStyle = (options) => {
+        const style =
+            sanitizeConvertOptions(options);
+        setColumns(style.columns);
+        setLineHeightRatio(style.lineHeightRatio);
+        setCharset(style.charset);
+        setDensityBias(style.densityBias);
+        setInvert(style.invert);
+        setDither(style.dither);
+        setCellBackground(style.cellBackground);
+        setEdges(style.edges);
+        setEdgeThreshold(style.edgeThreshold);
+        setShapeMatching(style.shapeMatching);
+        setTone(
+            Object.fromEntries(
+                Object.keys(DEFAULT_TONE).map(
+                    (key) => [key, style[key]]
+                )
+            )
         );
-        const cellH = Math.max(
-            1,
-            Math.floor(cellW * lineHeightRatio)
+        setColorPalette({
+            palette: style.palette,
+            customPalette: style.customPalette,
+            paletteDither: style.paletteDither,
+        });
+    };
+
+    const getProjectState = () => ({
+        width: canvasRef.current?.width ?? 0,
+        height: canvasRef.current?.height ?? 0,
+        layers: layersRef.current,
+        brush: {
+            color: brushColor,
+            size: brushSize,
+            eraser,
+        },
+        style: convertOptions,
+        output: {
+            ascii,
+            colorMatrix,
+        },
+    });
+
+    const saveProject = () => {
+        // A pending placement is saved as placed.
+        if (pendingLayer) applyPendingImage();
+        downloadBlob(
+            serializeProject(getProjectState()),
+            "application/json",
+            `pixelmuse${PROJECT_FILE_EXTENSION}`
         );
-        const outW = Math.max(
-            1,
-            Math.floor(source.width / cellW)
+    };
+
+    // Replaces the layers, brush, style and output with the project's.
+    // Layers are anchored top-left on the current canvas, and the undo
+    // history starts over. `source` is a project file's text or an
+    // autosaved project, `label` names it in error messages, and
+    // `styleOverrides` win over the project's Style settings.
+    const loadProject = async (
+        source,
+        label,
+        styleOverrides
+    ) => {
+        const c = canvasRef.current;
+        if (!c) return;
+        let project;
+        let images;
+        try {
+            project =
+                typeof source === "string"
+                    ? parseProject(source)
+                    : await readCapturedProject(
+                          source
+                      );
+            images = await Promise.all(
+                project.layers.map(({ image }) =>
+                    loadImage(image)
+                )
+            );
+        } catch (error) {
+            setImportError(
+                `Couldn't open ${label}. ${error.message}`
+            );
+            return;
+        }
+        setImportError(null);
+        generationIdRef.current += 1;
+        workerRef.current?.postMessage({
+            type: "cancel",
+        });
+        setIsGenerating(false);
+
+        const next = project.layers.map(
+            (saved, index) => {
+                const layer = {
+                    ...createLayer({
+                        kind: saved.kind,
+                        name:
+                            saved.name ||
+                            `Layer ${index + 1}`,
+                        width: c.width,
+                        height: c.height,
+                    }),
+                    visible: saved.visible,
+                    opacity: saved.opacity,
+                    blendMode: saved.blendMode,
+                    includeInConversion:
+                        saved.includeInConversion,
+                };
+                layer.canvas
+                    .getContext("2d")
+                    .drawImage(
+                        images[index],
+                        0,
+                        0
+                    );
+                return layer;
+            }
         );
-        const outH = Math.max(
-            1,
-            Math.floor(source.height / cellH)
+        if (!next.length)
+            next.push(
+                createLayer({
+                    name: "Layer 1",
+                    width: c.width,
+                    height: c.height,
+                })
+            );
+        layerCountRef.current = next.length;
+        transformDragRef.current = null;
+        setTransformLayerId(null);
+        setCropping(false);
+        commitLayers(next);
+        setActiveLayerId(next.at(-1).id);
+        historyRef.current.clear();
+        syncHistoryState();
+
+        setBrushColor(project.brush.color);
+        setBrushSize(project.brush.size);
+        setEraser(project.brush.eraser);
+        applyStyle({
+            ...project.style,
+            ...styleOverrides,
+        });
+        setAscii(project.output.ascii);
+        setColorMatrix(
+            project.output.ascii
+                ? project.output.colorMatrix
+                : null
         );
+    };
 
-        g.width = outW;
-        g.height = outH;
-        gctx.imageSmoothingEnabled = true;
-        gctx.drawImage(source, 0, 0, outW, outH);
+    const openProject = async (file) =>
+        loadProject(
+            await file.text(),
+            `"${file.name}"`
+        );
 
-        const img = gctx.getImageData(
-            0,
+    // Applies a link's style on top of the current one and shows its
+    // output, if any, in the result dialog.
+    const openShareLink = async (
+        { options, ascii: encoded },
+        isCancelled
+    ) => {
+        applyStyle({
+            ...convertOptions,
+            ...options,
+        });
+        if (!encoded) return;
+        try {
+            const text =
+                await decodeSharedAscii(encoded);
+            if (isCancelled()) return;
+            setAscii(text);
+            setColorMatrix(null);
+            setShowDialog(true);
+        } catch {
+            if (isCancelled()) return;
+            setImportError(
+                "The ASCII art in this link is damaged, so only its style settings were applied."
+            );
+            setShowIntro(true);
+        }
+    };
+
+    const answerRestorePrompt = (restore) => {
+        const session = restoreSession;
+        setRestoreSession(null);
+        setShowIntro(true);
+        if (!session) return;
+        if (!restore) {
+            deleteSession(session.id).catch(
+                () => {}
+            );
+            return;
+        }
+        sessionIdRef.current = session.id;
+        // The style from a share link stays on top of the restored one.
+        loadProject(
+            session.project,
+            "the previous session",
+            shareLinkRef.current?.options
+        );
+    };
+
+    const hasDraggedFiles = (e) =>
+        Array.from(
+            e.dataTransfer?.types ?? []
+        ).includes("Files");
+
+    const handleDragEnter = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        dragDepthRef.current += 1;
+        setIsDraggingFile(true);
+    };
+
+    const handleDragOver = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+    };
+
+    const handleDragLeave = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        dragDepthRef.current = Math.max(
             0,
-            outW,
-            outH
+            dragDepthRef.current - 1
+        );
+        if (!dragDepthRef.current)
+            setIsDraggingFile(false);
+    };
+
+    const handleDrop = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        dragDepthRef.current = 0;
+        setIsDraggingFile(false);
+        importFiles(e.dataTransfer.files);
+    };
+
+    const renderArt = () =>
+        renderLayers(
+            artCtxRef.current,
+            layersRef.current,
+            {
+                background: "#ffffff",
+                filter: convertSelectedOnly
+                    ? (layer) =>
+                          layer.includeInConversion
+                    : undefined,
+            }
+        );
+
+    const readArtPixels = async () => {
+        const source = artRef.current;
+        if (
+            typeof OffscreenCanvas !==
+                "undefined" &&
+            typeof createImageBitmap ===
+                "function"
+        ) {
+            const bitmap =
+                await createImageBitmap(source);
+            return {
+                payload: { bitmap },
+                transfer: [bitmap],
+            };
+        }
+        const imageData =
+            artCtxRef.current.getImageData(
+                0,
+                0,
+                source.width,
+                source.height
+            );
+        return {
+            payload: { imageData },
+            transfer: [imageData.data.buffer],
+        };
+    };
+
+    // Runs at most once per PREVIEW_DEBOUNCE_MS, so the preview keeps up
+    // during a long stroke or slider drag instead of waiting for a pause.
+    const schedulePreview = useCallback(() => {
+        if (
+            !previewWorkerRef.current ||
+            previewTimerRef.current
+        )
+            return;
+        previewTimerRef.current = setTimeout(
+            () => {
+                previewTimerRef.current = null;
+                runPreviewRef.current?.();
+            },
+            PREVIEW_DEBOUNCE_MS
         );
-        const data = img.data;
-        const chars = charset;
-        const asciiRows = new Array(outH);
-        const colorRows = new Array(outH);
-        const colorMatrix = new Array(outH);
-
-        const targetCellsPerChunk = 48000;
-        const rowsPerChunk = Math.max(
-            1,
-            Math.min(
-                outH,
-                Math.floor(
-                    targetCellsPerChunk /
-                        Math.max(outW, 1)
-                ) || 1
+    }, []);
+
+    const markPreviewDirty = () => {
+        previewDirtyRef.current = true;
+        schedulePreview();
+    };
+
+    useEffect(() => {
+        if (livePreview) schedulePreview();
+    }, [
+        livePreview,
+        convertOptions,
+        schedulePreview,
+    ]);
+
+    const scheduleToneHistogram =
+        useCallback(() => {
+            if (
+                !toneWorkerRef.current ||
+                toneTimerRef.current
             )
+                return;
+            toneTimerRef.current = setTimeout(
+                () => {
+                    toneTimerRef.current = null;
+                    runToneHistogramRef.current?.();
+                },
+                PREVIEW_DEBOUNCE_MS
+            );
+        }, []);
+
+    const markToneDirty = () => {
+        toneDirtyRef.current = true;
+        scheduleToneHistogram();
+    };
+
+    useEffect(() => {
+        if (toneOpen) scheduleToneHistogram();
+    }, [
+        toneOpen,
+        columns,
+        lineHeightRatio,
+        scheduleToneHistogram,
+    ]);
+
+    // Like the preview, sends the art only when it changed; otherwise the
+    // worker resamples its cached copy for the current grid.
+    const runToneHistogram = async () => {
+        const worker = toneWorkerRef.current;
+        if (!worker || !artRef.current) return;
+        const jobId = toneJobRef.current + 1;
+        toneJobRef.current = jobId;
+        const grid = { columns, lineHeightRatio };
+        if (!toneDirtyRef.current) {
+            worker.postMessage({
+                type: "luminance",
+                jobId,
+                options: grid,
+            });
+            return;
+        }
+        toneDirtyRef.current = false;
+        renderArt();
+        let pixels;
+        try {
+            pixels = await readArtPixels();
+        } catch (error) {
+            console.error(
+                "Tone histogram failed:",
+                error
+            );
+            toneDirtyRef.current = true;
+            return;
+        }
+        const { payload, transfer } = pixels;
+        if (toneJobRef.current !== jobId) {
+            payload.bitmap?.close();
+            toneDirtyRef.current = true;
+            return;
+        }
+        worker.postMessage(
+            {
+                type: "luminance",
+                jobId,
+                options: grid,
+                ...payload,
+            },
+            transfer
+        );
+    };
+
+    // Sends the art only when it changed since the last preview; otherwise
+    // the worker remaps its cached downsample with the new options.
+    const runPreview = async () => {
+        const worker = previewWorkerRef.current;
+        if (!worker || !artRef.current) return;
+        const jobId = previewJobRef.current + 1;
+        previewJobRef.current = jobId;
+        setIsPreviewUpdating(true);
+
+        worker.onmessage = ({ data }) => {
+            if (
+                data.jobId !==
+                previewJobRef.current
+            )
+                return;
+            if (data.type === "start") {
+                previewRowsRef.current.length =
+                    data.height;
+                return;
+            }
+            if (data.type === "rows") {
+                // Rows are replaced in place, so the previous preview
+                // stays visible below the rows already updated.
+                previewRowsRef.current.splice(
+                    data.startRow,
+                    data.rows.length,
+                    ...data.rows
+                );
+                setPreviewText(
+                    buildAsciiText(
+                        previewRowsRef.current
+                    )
+                );
+                return;
+            }
+            if (data.type === "error")
+                console.error(
+                    "Live preview failed:",
+                    data.message
+                );
+            setIsPreviewUpdating(false);
+        };
+        worker.onerror = (event) => {
+            console.error(
+                "Live preview failed:",
+                event.message
+            );
+            setIsPreviewUpdating(false);
+        };
+
+        if (!previewDirtyRef.current) {
+            worker.postMessage({
+                type: "remap",
+                jobId,
+                options: convertOptions,
+            });
+            return;
+        }
+        previewDirtyRef.current = false;
+        renderArt();
+        let pixels;
+        try {
+            pixels = await readArtPixels();
+        } catch (error) {
+            console.error(
+                "Live preview failed:",
+                error
+            );
+            previewDirtyRef.current = true;
+            if (previewJobRef.current === jobId)
+                setIsPreviewUpdating(false);
+            return;
+        }
+        const { payload, transfer } = pixels;
+        if (previewJobRef.current !== jobId) {
+            payload.bitmap?.close();
+            previewDirtyRef.current = true;
+            return;
+        }
+        worker.postMessage(
+            {
+                type: "convert",
+                jobId,
+                options: convertOptions,
+                ...payload,
+            },
+            transfer
         );
+    };
+
+    const toASCII = async () => {
+        const worker = workerRef.current;
+        if (
+            !artRef.current ||
+            !artCtxRef.current ||
+            !worker ||
+            isGenerating
+        )
+            return;
 
         const jobId = generationIdRef.current + 1;
         generationIdRef.current = jobId;
         setIsGenerating(true);
+        setGenerationProgress(0);
+        renderArt();
 
-        const processChunk = (startRow) => {
-            if (generationIdRef.current !== jobId)
-                return;
-            const endRow = Math.min(
-                outH,
-                startRow + rowsPerChunk
+        const asciiRows = [];
+        const matrix = [];
+        let totalRows = 0;
+
+        const fail = (message) => {
+            console.error(
+                "ASCII conversion failed:",
+                message
             );
-            for (let y = startRow; y < endRow; y++) {
-                const rowChars = new Array(outW);
-                const colorChars = new Array(outW);
-                const rowCells = new Array(outW);
-                const rowOffset = y * outW;
-                for (let x = 0; x < outW; x++) {
-                    const idx = (rowOffset + x) * 4;
-                    const r = data[idx];
-                    const g = data[idx + 1];
-                    const b = data[idx + 2];
-                    let lum =
-                        0.299 * r +
-                        0.587 * g +
-                        0.114 * b;
-                    lum = Math.min(
-                        1,
-                        Math.max(
-                            0,
-                            lum / 255 +
-                                densityBias / 100
-                        )
-                    );
-                    if (!invert) lum = 1 - lum;
-                    const ci = Math.round(
-                        lum * (chars.length - 1)
-                    );
-                    const char = chars[ci];
-                    rowChars[x] = char;
-                    colorChars[
-                        x
-                    ] = `<span style="color: rgb(${r}, ${g}, ${b})">${escapeForHtml(
-                        char
-                    )}</span>`;
-                    rowCells[x] = {
-                        char,
-                        color: `rgb(${r}, ${g}, ${b})`,
-                    };
-                }
-                asciiRows[y] = rowChars.join("");
-                colorRows[y] = colorChars.join("");
-                colorMatrix[y] = rowCells;
-            }
+            generationIdRef.current += 1;
+            setIsGenerating(false);
+            setImportError(
+                `Couldn't generate the ASCII art: ${message}`
+            );
+        };
 
-            if (endRow < outH) {
-                requestAnimationFrame(() =>
-                    processChunk(endRow)
-                );
+        worker.onmessage = ({ data }) => {
+            if (
+                data.jobId !== jobId ||
+                generationIdRef.current !== jobId
+            )
+                return;
+            if (data.type === "start") {
+                totalRows = data.height;
                 return;
             }
-
-            const asciiOutput = asciiRows.join("\n");
-            const colorOutput = colorRows.join("\n");
-            if (generationIdRef.current === jobId) {
-                setAscii(
-                    asciiOutput ? asciiOutput + "\n" : ""
+            if (data.type === "rows") {
+                asciiRows.push(...data.rows);
+                matrix.push(...data.colorMatrix);
+                setGenerationProgress(
+                    totalRows
+                        ? asciiRows.length /
+                              totalRows
+                        : 0
                 );
-                setColorAsciiHtml(
-                    colorOutput ? colorOutput + "\n" : ""
-                );
-                colorMatrixRef.current = asciiOutput
-                    ? colorMatrix
-                    : null;
-                setIsGenerating(false);
-                setShowDialog(true);
+                return;
+            }
+            if (data.type === "error") {
+                fail(data.message);
+                return;
             }
+            if (data.type !== "done") return;
+
+            const asciiOutput =
+                buildAsciiText(asciiRows);
+            setAscii(asciiOutput);
+            setColorMatrix(
+                asciiOutput ? matrix : null
+            );
+            setIsGenerating(false);
+            setShowDialog(true);
+        };
+        // Errors the worker can't report itself, such as a failed load.
+        worker.onerror = (event) => {
+            if (generationIdRef.current !== jobId)
+                return;
+            fail(
+                event.message ||
+                    "the conversion worker stopped"
+            );
         };
 
-        processChunk(0);
+        let pixels;
+        try {
+            pixels = await readArtPixels();
+        } catch (error) {
+            if (generationIdRef.current === jobId)
+                fail(error.message);
+            return;
+        }
+        const { payload, transfer } = pixels;
+        if (generationIdRef.current !== jobId) {
+            payload.bitmap?.close();
+            return;
+        }
+        worker.postMessage(
+            {
+                type: "convert",
+                jobId,
+                options: convertOptions,
+                ...payload,
+            },
+            transfer
+        );
     };
 
     const copyAscii = () =>
         navigator.clipboard.writeText(ascii);
-    const downloadAscii = () => {
-        const blob = new Blob([ascii], {
-            type: "text/plain",
-        });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = "ascii_art.txt";
-        a.click();
-        URL.revokeObjectURL(url);
-    };
+    const downloadAscii = () =>
+        downloadBlob(
+            ascii,
+            "text/plain",
+            "ascii_art.txt"
+        );
 
     const copyColorAscii = () => {
-        if (!colorAsciiHtml) return;
-        const doc = buildColorAsciiDocument(
-            colorAsciiHtml,
-            asciiFontSize
+        if (!colorDocument) return;
+        navigator.clipboard.writeText(
+            colorDocument
         );
-        navigator.clipboard.writeText(doc);
     };
 
     const downloadColorAscii = () => {
-        if (!colorAsciiHtml) return;
-        const doc = buildColorAsciiDocument(
-            colorAsciiHtml,
-            asciiFontSize
+        if (!colorDocument) return;
+        downloadBlob(
+            colorDocument,
+            "text/html",
+            "ascii_art_color.html"
         );
-        const blob = new Blob([doc], {
-            type: "text/html",
+    };
+
+    const getPngExportLayout = () => {
+        const lines = ascii
+            .replace(/\n+$/, "")
+            .split("\n");
+        return getPngLayout({
+            columns: lines.reduce(
+                (max, line) =>
+                    Math.max(
+                        max,
+                        Array.from(line).length
+                    ),
+                1
+            ),
+            rows: lines.length,
+            fontSize: asciiFontSize,
+            lineHeight: asciiLineHeight,
+            padding: theme.padding,
+            scale: pngSettings.scale,
+            ...getPngTargetSize(pngSettings),
         });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = "ascii_art_color.html";
-        a.click();
-        URL.revokeObjectURL(url);
     };
 
-    const downloadAsciiPng = (scale = 1) => {
+    const pngLayout =
+        showPngDialog && hasAsciiOutput
+            ? getPngExportLayout()
+            : null;
+    const pngError =
+        pngLayout &&
+        (pngLayout.width > MAX_PNG_SIDE ||
+        pngLayout.height > MAX_PNG_SIDE
+            ? `PNG exports are limited to ${MAX_PNG_SIDE} px per side.`
+            : pngLayout.fontSize < 1
+              ? "The size is too small for this many characters."
+              : null);
+
+    const sharedAsciiFits =
+        sharedAscii?.text === ascii &&
+        sharedAscii.encoded.length <=
+            MAX_SHARED_ASCII_LENGTH;
+    const shareUrl = showShareDialog
+        ? buildShareUrl(
+              window.location.href,
+              convertOptions,
+              shareAscii && sharedAsciiFits
+                  ? sharedAscii.encoded
+                  : null
+          )
+        : "";
+
+    // Draws every glyph centered in a fixed cell, so a glyph that falls
+    // back to another font cannot push the rest of its row out of line.
+    const downloadAsciiPng = () => {
         const trimmed = ascii.replace(/\n+$/, "");
         if (!trimmed) return;
         const lines = trimmed.split("\n");
-        if (!lines.length) return;
 
         const canvas =
             document.createElement("canvas");
         const ctx = canvas.getContext("2d");
         if (!ctx) return;
 
-        const paddingX = 32;
-        const paddingY = 32;
-        const fontFamily =
-            '"JetBrains Mono", "Fira Code", "Cascadia Code", monospace';
-        const exportFontSize =
-            asciiFontSize * scale;
-        const fontSpec = `${exportFontSize}px ${fontFamily}`;
-        ctx.font = fontSpec;
-        const lineHeightPx =
-            exportFontSize * asciiLineHeight;
-        const widths = lines.map((line) =>
-            Math.ceil(
-                ctx.measureText(line || " ").width
-            )
-        );
-        const maxWidth =
-            widths.length > 0
-                ? Math.max(...widths, 1)
-                : 1;
-
-        canvas.width = Math.ceil(
-            maxWidth + paddingX * 2
-        );
-        canvas.height = Math.ceil(
-            lineHeightPx * lines.length +
-                paddingY * 2
-        );
-
-        ctx.font = fontSpec;
-        ctx.textBaseline = "top";
-        ctx.textAlign = "left";
-        ctx.fillStyle = "#ffffff";
-        ctx.fillRect(
-            0,
-            0,
-            canvas.width,
-            canvas.height
-        );
-
-        const baseCharWidth =
-            ctx.measureText("M").width ||
-            exportFontSize *
-                ASCII_CHAR_ASPECT_RATIO;
+        const layout = getPngExportLayout();
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        if (!pngSettings.transparent) {
+            ctx.fillStyle = theme.background;
+            ctx.fillRect(
+                0,
+                0,
+                canvas.width,
+                canvas.height
+            );
+        }
 
-        if (
-            colorAsciiHtml &&
-            colorMatrixRef.current
-        ) {
-            const matrix = colorMatrixRef.current;
+        ctx.font = `${layout.fontSize}px ${ASCII_FONT_FAMILY}`;
+        ctx.textBaseline = "middle";
+        ctx.textAlign = "center";
+        const matrix =
+            pngSettings.useColors && colorMatrix;
+        const { cellWidth, cellHeight } = layout;
+        for (let y = 0; y < lines.length; y++) {
+            const glyphs = Array.from(lines[y]);
+            const top =
+                layout.offsetY + y * cellHeight;
             for (
-                let y = 0;
-                y < lines.length;
-                y++
+                let x = 0;
+                x < glyphs.length;
+                x++
             ) {
-                const row = matrix[y] || [];
-                const yPos =
-                    paddingY + y * lineHeightPx;
-                let cursorX = paddingX;
-                for (
-                    let x = 0;
-                    x < row.length;
-                    x++
-                ) {
-                    const cell = row[x];
-                    const glyph =
-                        cell?.char ?? " ";
+                const cell = matrix?.[y]?.[x];
+                const left =
+                    layout.offsetX +
+                    x * cellWidth;
+                if (cell?.background) {
+                    // Whole pixels, so neighboring fills leave no seams.
                     ctx.fillStyle =
-                        cell?.color ?? "#0f172a";
-                    ctx.fillText(
-                        glyph,
-                        cursorX,
-                        yPos
+                        cell.background;
+                    ctx.fillRect(
+                        Math.floor(left),
+                        Math.floor(top),
+                        Math.ceil(
+                            left + cellWidth
+                        ) - Math.floor(left),
+                        Math.ceil(
+                            top + cellHeight
+                        ) - Math.floor(top)
                     );
-                    const advance =
-                        ctx.measureText(glyph)
-                            .width ||
-                        baseCharWidth;
-                    cursorX += advance;
                 }
-            }
-        } else {
-            ctx.fillStyle = "#0f172a";
-            for (
-                let i = 0;
-                i < lines.length;
-                i++
-            ) {
-                const yPos =
-                    paddingY + i * lineHeightPx;
+                if (!glyphs[x].trim()) continue;
+                ctx.fillStyle =
+                    cell?.color ??
+                    theme.foreground;
                 ctx.fillText(
-                    lines[i],
-                    paddingX,
-                    yPos
+                    glyphs[x],
+                    left + cellWidth / 2,
+                    top + cellHeight / 2,
+                    cellWidth
                 );
             }
         }
 
-        const link = document.createElement("a");
-        link.href = canvas.toDataURL("image/png");
-        link.download = "ascii_art.png";
-        link.click();
+        const dpi =
+            pngSettings.sizeMode === "print"
+                ? Number(pngSettings.dpi)
+                : 0;
+        canvas.toBlob(async (blob) => {
+            if (!blob) return;
+            const bytes = new Uint8Array(
+                await blob.arrayBuffer()
+            );
+            downloadBlob(
+                dpi
+                    ? setPngDpi(bytes, dpi)
+                    : bytes,
+                "image/png",
+                "ascii_art.png"
+            );
+        }, "image/png");
+    };
+
+    const loadSvgFont = async (file) => {
+        try {
+            const font = parseFont(
+                await file.arrayBuffer()
+            );
+            setSvgFont({ name: file.name, font });
+            setSvgFontError(null);
+        } catch (error) {
+            setSvgFont(null);
+            setSvgFontError(error.message);
+        }
     };
 
     const downloadAsciiSvg = () => {
@@ -892,86 +2438,253 @@ export default function ASCIIPainter() {
             lines,
             fontSize: asciiFontSize,
             lineHeight: asciiLineHeight,
-            colorMatrix:
-                colorAsciiHtml &&
-                colorMatrixRef.current
-                    ? colorMatrixRef.current
-                    : null,
+            colorMatrix,
+            ...theme,
+            font: svgFont?.font,
+            outline: Boolean(
+                svgFont && svgOutline
+            ),
+            embedFont: Boolean(
+                svgFont &&
+                !svgOutline &&
+                svgEmbedFont
+            ),
         });
-        const blob = new Blob([svg], {
-            type: "image/svg+xml",
+        downloadBlob(
+            svg,
+            "image/svg+xml",
+            "ascii_art.svg"
+        );
+    };
+
+    const downloadBlob = (
+        content,
+        type,
+        filename
+    ) => {
+        const blob = new Blob([content], {
+            type,
         });
         const url = URL.createObjectURL(blob);
         const link = document.createElement("a");
         link.href = url;
-        link.download = "ascii_art.svg";
+        link.download = filename;
         link.click();
         URL.revokeObjectURL(url);
     };
 
+    const buildAnsi = () =>
+        colorMatrix
+            ? buildAnsiText(colorMatrix, {
+                  mode: ansiMode,
+              })
+            : "";
+
+    const downloadAnsi = () => {
+        const text = buildAnsi();
+        if (text)
+            downloadBlob(
+                text,
+                "text/plain",
+                "ascii_art.ans"
+            );
+    };
+
+    const downloadAnsiScript = () => {
+        const text = buildAnsi();
+        if (text)
+            downloadBlob(
+                buildAnsiShellScript(text),
+                "text/x-shellscript",
+                "ascii_art.sh"
+            );
+    };
+
     const handleConfirmPngDownload = () => {
         setShowPngDialog(false);
-        requestAnimationFrame(() =>
-            downloadAsciiPng(pngScale)
-        );
+        requestAnimationFrame(downloadAsciiPng);
     };
 
     return (
-        <div className="w-full h-full bg-white overflow-hidden relative select-none">
+        <div
+            className="w-full h-full bg-white overflow-hidden relative select-none"
+            onDragEnter={handleDragEnter}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}>
             <canvas
                 ref={canvasRef}
                 className="w-full h-full touch-none"
-                onMouseDown={(e) => {
-                    drawing.current = true;
-                    last.current = getPos(e);
-                }}
-                onMouseMove={(e) => {
-                    if (!drawing.current) return;
-                    const { x, y } = getPos(e);
-                    drawLine(
-                        last.current.x,
-                        last.current.y,
-                        x,
-                        y
-                    );
-                    last.current = { x, y };
-                }}
-                onMouseUp={() =>
-                    (drawing.current = false)
-                }
-                onMouseLeave={() =>
-                    (drawing.current = false)
-                }
-                onTouchStart={(e) => {
-                    drawing.current = true;
-                    last.current = getPos(e);
-                }}
-                onTouchMove={(e) => {
-                    if (!drawing.current) return;
-                    const { x, y } = getPos(e);
-                    drawLine(
-                        last.current.x,
-                        last.current.y,
-                        x,
-                        y
-                    );
-                    last.current = { x, y };
-                }}
-                onTouchEnd={() =>
-                    (drawing.current = false)
-                }
+                onMouseDown={handlePointerDown}
+                onMouseMove={handlePointerMove}
+                onMouseUp={handlePointerUp}
+                onMouseLeave={handlePointerUp}
+                onTouchStart={handlePointerDown}
+                onTouchMove={handlePointerMove}
+                onTouchEnd={handlePointerUp}
+                onTouchCancel={handlePointerUp}
             />
             <canvas
-                ref={artRef}
-                className="hidden"
+                ref={overlayRef}
+                width={canvasSize.width}
+                height={canvasSize.height}
+                className="absolute inset-0 w-full h-full pointer-events-none"
             />
             <canvas
-                ref={ghostRef}
+                ref={artRef}
                 className="hidden"
             />
 
+            {/* Drop Zone */}
+            {isDraggingFile && (
+                <div className="pointer-events-none absolute inset-4 z-40 flex items-center justify-center rounded-3xl border-2 border-dashed border-slate-400 bg-white/75 backdrop-blur-sm">
+                    <div className="flex flex-col items-center gap-2 text-slate-700">
+                        <Upload className="h-8 w-8" />
+                        <p className="text-lg font-semibold">
+                            Drop an image to
+                            import it
+                        </p>
+                        <p className="text-sm text-slate-500">
+                            PNG, JPEG, GIF, WebP
+                            or SVG
+                        </p>
+                    </div>
+                </div>
+            )}
+
+            {/* Import Error */}
+            {importError && (
+                <div
+                    role="alert"
+                    className="absolute top-20 left-1/2 z-40 flex w-[min(90vw,28rem)] -translate-x-1/2 items-start gap-3 rounded-xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700 shadow-md">
+                    <AlertCircle className="mt-0.5 h-4 w-4 shrink-0" />
+                    <p className="flex-1">
+                        {importError}
+                    </p>
+                    <button
+                        type="button"
+                        className="text-red-500 hover:text-red-700"
+                        onClick={() =>
+                            setImportError(null)
+                        }
+                        aria-label="Dismiss">
+                        <X className="h-4 w-4" />
+                    </button>
+                </div>
+            )}
+
+            {/* Image Transform Toolbar */}
+            {pendingLayer && (
+                <div className="absolute bottom-6 left-6 flex gap-2 flex-wrap items-center rounded-2xl border bg-white/95 p-2 shadow-md">
+                    <Button
+                        variant={
+                            uniformScale
+                                ? "default"
+                                : "outline"
+                        }
+                        size="sm"
+                        title="Keep aspect ratio on corner handles (hold Shift to toggle)"
+                        onClick={() =>
+                            setUniformScale(
+                                !uniformScale
+                            )
+                        }>
+                        {uniformScale ? (
+                            <Lock className="w-4 h-4" />
+                        ) : (
+                            <Unlock className="w-4 h-4" />
+                        )}
+                        {!isMobile && "Aspect"}
+                    </Button>
+                    <Button
+                        variant="outline"
+                        size="sm"
+                        title="Flip horizontally"
+                        onClick={() =>
+                            flipPendingImage(
+                                "flipX"
+                            )
+                        }>
+                        <FlipHorizontal2 className="w-4 h-4" />
+                    </Button>
+                    <Button
+                        variant="outline"
+                        size="sm"
+                        title="Flip vertically"
+                        onClick={() =>
+                            flipPendingImage(
+                                "flipY"
+                            )
+                        }>
+                        <FlipVertical2 className="w-4 h-4" />
+                    </Button>
+                    <Button
+                        variant={
+                            cropping
+                                ? "default"
+                                : "outline"
+                        }
+                        size="sm"
+                        title="Drag the handles to crop"
+                        onClick={() =>
+                            setCropping(!cropping)
+                        }>
+                        <Crop className="w-4 h-4" />
+                        {!isMobile && "Crop"}
+                    </Button>
+                    <Button
+                        variant="outline"
+                        size="sm"
+                        title="Reset placement"
+                        onClick={
+                            resetPendingImage
+                        }>
+                        <RotateCcw className="w-4 h-4" />
+                    </Button>
+                    <Button
+                        size="sm"
+                        title="Commit the image into its layer"
+                        onClick={
+                            applyPendingImage
+                        }>
+                        <Check className="w-4 h-4" />
+                        {!isMobile && "Apply"}
+                    </Button>
+                </div>
+            )}
+
             {/* Top Right Buttons */}
             <div className="absolute top-6 right-6 flex gap-3 flex-wrap justify-end">
+                <Button
+                    onClick={undo}
+                    disabled={
+                        !historyState.canUndo
+                    }
+                    variant="outline"
+                    title={
+                        historyState.undoLabel
+                            ? `Undo ${historyState.undoLabel.toLowerCase()} (Ctrl+Z)`
+                            : "Undo (Ctrl+Z)"
+                    }
+                    aria-label="Undo"
+                    className="rounded-full shadow w-10 h-10 p-0">
+                    <Undo2 className="w-4 h-4 mx-auto" />
+                </Button>
+                <Button
+                    onClick={redo}
+                    disabled={
+                        !historyState.canRedo
+                    }
+                    variant="outline"
+                    title={
+                        historyState.redoLabel
+                            ? `Redo ${historyState.redoLabel.toLowerCase()} (Ctrl+Shift+Z)`
+                            : "Redo (Ctrl+Shift+Z)"
+                    }
+                    aria-label="Redo"
+                    className="rounded-full shadow w-10 h-10 p-0">
+                    <Redo2 className="w-4 h-4 mx-auto" />
+                </Button>
                 <Button
                     onClick={clearCanvas}
                     variant="outline"
@@ -1007,7 +2720,7 @@ export default function ASCIIPainter() {
                         </div>
                         <Slider
                             min={1}
-                            max={32}
+                            max={MAX_BRUSH_SIZE}
                             value={[brushSize]}
                             onValueChange={(v) =>
                                 setBrushSize(v[0])
@@ -1043,6 +2756,48 @@ export default function ASCIIPainter() {
                         </Button>
                     </PopoverContent>
                 </Popover>
+                <Popover>
+                    <PopoverTrigger asChild>
+                        <Button
+                            variant="outline"
+                            className={`rounded-full shadow-md ${
+                                isMobile
+                                    ? "w-10 h-10 p-0"
+                                    : "px-4 py-2"
+                            }`}>
+                            <Layers className="w-4 h-4 mx-auto" />{" "}
+                            {!isMobile &&
+                                "Layers"}
+                        </Button>
+                    </PopoverTrigger>
+                    <PopoverContent className="w-80 p-4 rounded-2xl shadow-lg">
+                        <LayersPanel
+                            layers={layers}
+                            activeLayerId={
+                                activeLayer?.id
+                            }
+                            convertSelectedOnly={
+                                convertSelectedOnly
+                            }
+                            onConvertSelectedOnlyChange={(
+                                value
+                            ) => {
+                                setConvertSelectedOnly(
+                                    value
+                                );
+                                markPreviewDirty();
+                                markToneDirty();
+                            }}
+                            onSelect={
+                                setActiveLayerId
+                            }
+                            onAdd={addPaintLayer}
+                            onDelete={deleteLayer}
+                            onMove={moveLayerBy}
+                            onChange={changeLayer}
+                        />
+                    </PopoverContent>
+                </Popover>
                 <Button
                     variant="outline"
                     className={`rounded-full shadow-md ${
@@ -1056,22 +2811,168 @@ export default function ASCIIPainter() {
                     <Upload className="w-4 h-4 mx-auto" />{" "}
                     {!isMobile && "Import Image"}
                 </Button>
+                <Button
+                    variant="outline"
+                    className={`rounded-full shadow-md ${
+                        isMobile
+                            ? "w-10 h-10 p-0"
+                            : "px-4 py-2"
+                    }`}
+                    onClick={() =>
+                        setShowAnimationDialog(
+                            true
+                        )
+                    }>
+                    <Film className="w-4 h-4 mx-auto" />{" "}
+                    {!isMobile && "Animate"}
+                </Button>
+                <Popover>
+                    <PopoverTrigger asChild>
+                        <Button
+                            variant="outline"
+                            className={`rounded-full shadow-md ${
+                                isMobile
+                                    ? "w-10 h-10 p-0"
+                                    : "px-4 py-2"
+                            }`}>
+                            <Save className="w-4 h-4 mx-auto" />{" "}
+                            {!isMobile &&
+                                "Project"}
+                        </Button>
+                    </PopoverTrigger>
+                    <PopoverContent className="w-64 p-4 space-y-3 rounded-2xl shadow-lg">
+                        <p className="text-xs text-slate-500">
+                            A{" "}
+                            {
+                                PROJECT_FILE_EXTENSION
+                            }{" "}
+                            file keeps the layers,
+                            brush, Style settings
+                            and the last generated
+                            output.
+                        </p>
+                        <Button
+                            variant="outline"
+                            className="w-full"
+                            onClick={saveProject}>
+                            <Save className="w-4 h-4" />{" "}
+                            Save Project
+                        </Button>
+                        <Button
+                            variant="outline"
+                            className="w-full"
+                            onClick={() =>
+                                projectInputRef.current?.click()
+                            }>
+                            <FolderOpen className="w-4 h-4" />{" "}
+                            Open Project…
+                        </Button>
+                        <input
+                            ref={projectInputRef}
+                            type="file"
+                            accept={`${PROJECT_FILE_EXTENSION},application/json`}
+                            className="hidden"
+                            onChange={(e) => {
+                                const file =
+                                    e.target
+                                        .files?.[0];
+                                e.target.value =
+                                    "";
+                                if (file)
+                                    openProject(
+                                        file
+                                    );
+                            }}
+                        />
+                    </PopoverContent>
+                </Popover>
                 <input
                     ref={fileRef}
                     type="file"
                     accept="image/*"
                     className="hidden"
                     onChange={(e) => {
-                        const file =
-                            e.target.files?.[0];
-                        if (file)
-                            handleUpload(file);
+                        importFiles(
+                            e.target.files
+                        );
+                        e.target.value = "";
                     }}
                 />
             </div>
 
+            {livePreview && (
+                <LivePreview
+                    text={previewText}
+                    columns={columns}
+                    isUpdating={isPreviewUpdating}
+                    isMobile={isMobile}
+                    onClose={() =>
+                        setLivePreview(false)
+                    }
+                />
+            )}
+
             {/* Bottom Right Buttons */}
             <div className="absolute bottom-6 right-6 flex gap-3 flex-wrap justify-end">
+                <Button
+                    variant={
+                        livePreview
+                            ? "default"
+                            : "outline"
+                    }
+                    onClick={() =>
+                        setLivePreview(
+                            (value) => !value
+                        )
+                    }
+                    aria-pressed={livePreview}
+                    className={`rounded-full shadow-md ${
+                        isMobile
+                            ? "w-10 h-10 p-0"
+                            : "px-4 py-2"
+                    }`}>
+                    <Eye className="w-4 h-4 mx-auto" />{" "}
+                    {!isMobile && "Preview"}
+                </Button>
+                <Popover
+                    open={toneOpen}
+                    onOpenChange={setToneOpen}>
+                    <PopoverTrigger asChild>
+                        <Button
+                            variant="outline"
+                            className={`rounded-full shadow-md ${
+                                isMobile
+                                    ? "w-10 h-10 p-0"
+                                    : "px-4 py-2"
+                            }`}>
+                            <SlidersHorizontal className="w-4 h-4 mx-auto" />{" "}
+                            {!isMobile && "Tone"}
+                        </Button>
+                    </PopoverTrigger>
+                    <PopoverContent className="w-72 p-4 rounded-2xl shadow-lg">
+                        <TonalPanel
+                            tone={tone}
+                            histograms={
+                                toneHistograms
+                            }
+                            onChange={(changes) =>
+                                setTone(
+                                    (
+                                        current
+                                    ) => ({
+                                        ...current,
+                                        ...changes,
+                                    })
+                                )
+                            }
+                            onReset={() =>
+                                setTone(
+                                    DEFAULT_TONE
+                                )
+                            }
+                        />
+                    </PopoverContent>
+                </Popover>
                 <Popover>
                     <PopoverTrigger asChild>
                         <Button
@@ -1085,7 +2986,7 @@ export default function ASCIIPainter() {
                             {!isMobile && "Style"}
                         </Button>
                     </PopoverTrigger>
-                    <PopoverContent className="w-72 p-4 space-y-3 rounded-2xl shadow-lg">
+                    <PopoverContent className="w-72 max-h-[80vh] overflow-y-auto p-4 space-y-3 rounded-2xl shadow-lg">
                         <div className="flex flex-col gap-2">
                             <label className="text-sm">
                                 Character Set
@@ -1119,8 +3020,28 @@ export default function ASCIIPainter() {
                                             </SelectItem>
                                         )
                                     )}
+                                    {!isPresetCharset && (
+                                        <SelectItem
+                                            value={
+                                                charset
+                                            }>
+                                            Custom
+                                        </SelectItem>
+                                    )}
                                 </SelectContent>
                             </Select>
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() =>
+                                    setShowCharsetEditor(
+                                        true
+                                    )
+                                }>
+                                <PenTool className="w-4 h-4" />{" "}
+                                Edit Custom
+                                Charset
+                            </Button>
                         </div>
                         <div className="flex items-center justify-between">
                             <label className="text-sm">
@@ -1194,6 +3115,190 @@ export default function ASCIIPainter() {
                                 Invert
                             </label>
                         </div>
+                        <div className="flex items-center gap-2">
+                            <input
+                                id="style-shape-matching"
+                                type="checkbox"
+                                checked={
+                                    shapeMatching
+                                }
+                                onChange={(e) =>
+                                    setShapeMatching(
+                                        e.target
+                                            .checked
+                                    )
+                                }
+                            />
+                            <label
+                                htmlFor="style-shape-matching"
+                                className="text-sm">
+                                Match glyph shapes
+                            </label>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <input
+                                id="style-edges"
+                                type="checkbox"
+                                checked={edges}
+                                onChange={(e) =>
+                                    setEdges(
+                                        e.target
+                                            .checked
+                                    )
+                                }
+                            />
+                            <label
+                                htmlFor="style-edges"
+                                className="text-sm">
+                                Directional edges
+                            </label>
+                        </div>
+                        {edges && (
+                            <>
+                                <div className="flex items-center justify-between">
+                                    <label className="text-sm">
+                                        Edge
+                                        Threshold
+                                    </label>
+                                    <span className="text-sm text-slate-600">
+                                        {Math.round(
+                                            edgeThreshold *
+                                                100
+                                        )}
+                                    </span>
+                                </div>
+                                <Slider
+                                    min={5}
+                                    max={80}
+                                    value={[
+                                        Math.round(
+                                            edgeThreshold *
+                                                100
+                                        ),
+                                    ]}
+                                    onValueChange={(
+                                        v
+                                    ) =>
+                                        setEdgeThreshold(
+                                            v[0] /
+                                                100
+                                        )
+                                    }
+                                />
+                            </>
+                        )}
+                        <div className="flex flex-col gap-2">
+                            <label className="text-sm">
+                                Dithering
+                            </label>
+                            <Select
+                                value={dither}
+                                onValueChange={
+                                    setDither
+                                }
+                                disabled={
+                                    shapeMatching
+                                }>
+                                <SelectTrigger className="w-full">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {DITHER_MODES.map(
+                                        ({
+                                            label,
+                                            value,
+                                        }) => (
+                                            <SelectItem
+                                                key={
+                                                    value
+                                                }
+                                                value={
+                                                    value
+                                                }>
+                                                {
+                                                    label
+                                                }
+                                            </SelectItem>
+                                        )
+                                    )}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="flex flex-col gap-2">
+                            <label className="text-sm">
+                                Cell Background
+                            </label>
+                            <Select
+                                value={
+                                    cellBackground
+                                }
+                                onValueChange={
+                                    setCellBackground
+                                }>
+                                <SelectTrigger className="w-full">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {CELL_BACKGROUND_MODES.map(
+                                        ({
+                                            label,
+                                            value,
+                                        }) => (
+                                            <SelectItem
+                                                key={
+                                                    value
+                                                }
+                                                value={
+                                                    value
+                                                }>
+                                                {
+                                                    label
+                                                }
+                                            </SelectItem>
+                                        )
+                                    )}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="border-t pt-3">
+                            <PalettePicker
+                                {...colorPalette}
+                                onChange={(
+                                    changes
+                                ) =>
+                                    setColorPalette(
+                                        (
+                                            current
+                                        ) => ({
+                                            ...current,
+                                            ...changes,
+                                        })
+                                    )
+                                }
+                            />
+                        </div>
+                        <Button
+                            variant="outline"
+                            className="w-full"
+                            onClick={() =>
+                                setShowStylePresets(
+                                    true
+                                )
+                            }>
+                            <Bookmark className="w-4 h-4" />{" "}
+                            Style Presets…
+                        </Button>
+                        <Button
+                            variant="outline"
+                            className="w-full"
+                            onClick={() =>
+                                setShowShareDialog(
+                                    true
+                                )
+                            }>
+                            <Share2 className="w-4 h-4" />{" "}
+                            Share Style Link
+                        </Button>
                     </PopoverContent>
                 </Popover>
                 <Button
@@ -1211,7 +3316,11 @@ export default function ASCIIPainter() {
                     {isGenerating ? (
                         <span className="flex items-center gap-2 text-sm font-medium">
                             <Loader2 className="w-4 h-4 animate-spin" />
-                            {!isMobile && "Processing..."}
+                            {!isMobile &&
+                                `Processing... ${Math.round(
+                                    generationProgress *
+                                        100
+                                )}%`}
                         </span>
                     ) : (
                         <>
@@ -1223,6 +3332,172 @@ export default function ASCIIPainter() {
                 </Button>
             </div>
 
+            <CharsetEditor
+                open={showCharsetEditor}
+                onOpenChange={
+                    setShowCharsetEditor
+                }
+                charset={charset}
+                onApply={setCharset}
+            />
+
+            <AnimationDialog
+                open={showAnimationDialog}
+                onOpenChange={
+                    setShowAnimationDialog
+                }
+                options={convertOptions}
+                fontSize={asciiFontSize}
+                theme={theme}
+                onDownload={downloadBlob}
+            />
+
+            <StylePresetsDialog
+                open={showStylePresets}
+                onOpenChange={setShowStylePresets}
+                presets={stylePresets}
+                style={convertOptions}
+                exportTheme={exportTheme}
+                onPresetsChange={setStylePresets}
+                onApply={(preset) => {
+                    applyStyle(preset.style);
+                    setExportTheme(
+                        preset.exportTheme
+                    );
+                }}
+                onDownload={downloadBlob}
+            />
+
+            <Dialog
+                open={showShareDialog}
+                onOpenChange={setShowShareDialog}>
+                <DialogContent className="max-w-md text-slate-900">
+                    <DialogHeader>
+                        <DialogTitle>
+                            Share Link
+                        </DialogTitle>
+                        <p className="text-sm text-slate-500">
+                            The link sets columns,
+                            line height, charset,
+                            density bias and
+                            invert when opened.
+                        </p>
+                    </DialogHeader>
+                    <div className="space-y-3 py-2">
+                        <label className="flex items-center gap-2 text-sm">
+                            <input
+                                type="checkbox"
+                                checked={
+                                    shareAscii &&
+                                    sharedAsciiFits
+                                }
+                                disabled={
+                                    !sharedAsciiFits
+                                }
+                                onChange={(e) =>
+                                    setShareAscii(
+                                        e.target
+                                            .checked
+                                    )
+                                }
+                            />
+                            Include the ASCII art
+                            (opens in the result
+                            view)
+                        </label>
+                        {hasAsciiOutput &&
+                            sharedAscii?.text ===
+                                ascii &&
+                            !sharedAsciiFits && (
+                                <p className="text-xs text-slate-500">
+                                    This art is
+                                    too large for
+                                    a link; share
+                                    a file export
+                                    instead.
+                                </p>
+                            )}
+                        <input
+                            type="text"
+                            readOnly
+                            value={shareUrl}
+                            onFocus={(e) =>
+                                e.target.select()
+                            }
+                            aria-label="Share link"
+                            className="w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs"
+                        />
+                        <p className="text-xs text-slate-500">
+                            {shareUrl.length.toLocaleString()}{" "}
+                            characters
+                        </p>
+                    </div>
+                    <DialogFooter>
+                        <Button
+                            onClick={() =>
+                                navigator.clipboard.writeText(
+                                    shareUrl
+                                )
+                            }>
+                            <Copy className="w-4 h-4" />{" "}
+                            Copy Link
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+
+            {/* Restore Prompt */}
+            <Dialog
+                open={Boolean(restoreSession)}
+                onOpenChange={(open) => {
+                    // Dismissing keeps the session for the next visit.
+                    if (open) return;
+                    setRestoreSession(null);
+                    setShowIntro(true);
+                }}>
+                <DialogContent className="max-w-md text-slate-900">
+                    <DialogHeader>
+                        <DialogTitle>
+                            Restore previous
+                            session?
+                        </DialogTitle>
+                        <p className="text-sm text-slate-500">
+                            Your canvas and Style
+                            settings were saved in
+                            this browser
+                            {restoreSession
+                                ? ` on ${new Date(
+                                      restoreSession.savedAt
+                                  ).toLocaleString()}`
+                                : ""}
+                            .
+                            {shareLinkRef.current &&
+                                " Restoring keeps the style from the link you opened."}
+                        </p>
+                    </DialogHeader>
+                    <DialogFooter>
+                        <Button
+                            variant="outline"
+                            onClick={() =>
+                                answerRestorePrompt(
+                                    false
+                                )
+                            }>
+                            Start Fresh
+                        </Button>
+                        <Button
+                            onClick={() =>
+                                answerRestorePrompt(
+                                    true
+                                )
+                            }>
+                            <RotateCcw className="w-4 h-4" />{" "}
+                            Restore
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+
             {/* Intro Dialog */}
             <Dialog
                 open={showIntro}
@@ -1365,6 +3640,23 @@ export default function ASCIIPainter() {
                             className={
                                 dialogBodyClass
                             }>
+                            <ExportThemePicker
+                                theme={
+                                    exportTheme
+                                }
+                                onChange={(
+                                    changes
+                                ) =>
+                                    setExportTheme(
+                                        (
+                                            current
+                                        ) => ({
+                                            ...current,
+                                            ...changes,
+                                        })
+                                    )
+                                }
+                            />
                             <div>
                                 <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">
                                     Monochrome
@@ -1385,7 +3677,7 @@ export default function ASCIIPainter() {
                                     </pre>
                                 </div>
                             </div>
-                            {colorAsciiHtml && (
+                            {colorHtml && (
                                 <div>
                                     <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">
                                         Color
@@ -1399,13 +3691,17 @@ export default function ASCIIPainter() {
                                             previewContainerStyle
                                         }>
                                         <div
+                                            className="ascii-cells"
                                             style={{
                                                 ...previewContentStyle,
                                                 whiteSpace:
                                                     "pre",
                                             }}
                                             dangerouslySetInnerHTML={{
-                                                __html: colorAsciiHtml,
+                                                __html: `<style>${buildColorClassCss(
+                                                    colorHtml.classes,
+                                                    ".ascii-cells"
+                                                )}</style>${colorHtml.html}`,
                                             }}
                                         />
                                     </div>
@@ -1500,8 +3796,10 @@ export default function ASCIIPainter() {
                                         disabled={
                                             !hasColorOutput
                                         }
-                                        onClick={
-                                            downloadColorAscii
+                                        onClick={() =>
+                                            setShowHtmlDialog(
+                                                true
+                                            )
                                         }>
                                         <Code className="w-4 h-4" />
                                         HTML
@@ -1512,8 +3810,10 @@ export default function ASCIIPainter() {
                                         disabled={
                                             !hasAsciiOutput
                                         }
-                                        onClick={
-                                            downloadAsciiSvg
+                                        onClick={() =>
+                                            setShowSvgDialog(
+                                                true
+                                            )
                                         }>
                                         <PenTool className="w-4 h-4" />
                                         SVG
@@ -1532,8 +3832,41 @@ export default function ASCIIPainter() {
                                         <ImageIcon className="w-4 h-4" />
                                         PNG
                                     </Button>
+                                    <Button
+                                        variant="outline"
+                                        className="w-full justify-start gap-2"
+                                        disabled={
+                                            !hasColorOutput
+                                        }
+                                        onClick={() =>
+                                            setShowAnsiDialog(
+                                                true
+                                            )
+                                        }>
+                                        <Terminal className="w-4 h-4" />
+                                        ANSI
+                                    </Button>
                                 </PopoverContent>
                             </Popover>
+                            <Button
+                                variant="outline"
+                                disabled={
+                                    !hasAsciiOutput
+                                }
+                                className={
+                                    isMobile
+                                        ? "w-full justify-center"
+                                        : undefined
+                                }
+                                onClick={() =>
+                                    setShowShareDialog(
+                                        true
+                                    )
+                                }>
+                                <Share2 className="w-4 h-4 mr-1" />{" "}
+                                {!isMobile &&
+                                    "Share"}
+                            </Button>
                         </DialogFooter>
                     </div>
                 </DialogContent>
@@ -1544,21 +3877,223 @@ export default function ASCIIPainter() {
                 <DialogContent className="max-w-md text-slate-900">
                     <DialogHeader>
                         <DialogTitle>
-                            Choose PNG Size
+                            Export PNG
+                        </DialogTitle>
+                        <p className="text-sm text-slate-500">
+                            Characters are drawn
+                            on a fixed grid. Pick
+                            a scale, an exact size
+                            or a print resolution.
+                        </p>
+                    </DialogHeader>
+                    <div className="space-y-3 py-2">
+                        <PngExportOptions
+                            settings={pngSettings}
+                            hasColorOutput={
+                                hasColorOutput
+                            }
+                            outputSize={pngLayout}
+                            error={pngError}
+                            onChange={(changes) =>
+                                setPngSettings(
+                                    (
+                                        current
+                                    ) => ({
+                                        ...current,
+                                        ...changes,
+                                    })
+                                )
+                            }
+                        />
+                    </div>
+                    <DialogFooter className="flex gap-3">
+                        <Button
+                            variant="outline"
+                            onClick={() =>
+                                setShowPngDialog(
+                                    false
+                                )
+                            }>
+                            Cancel
+                        </Button>
+                        <Button
+                            onClick={
+                                handleConfirmPngDownload
+                            }
+                            disabled={
+                                !hasAsciiOutput ||
+                                Boolean(pngError)
+                            }>
+                            Download
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+            <Dialog
+                open={showHtmlDialog}
+                onOpenChange={setShowHtmlDialog}>
+                <DialogContent className="max-w-md text-slate-900">
+                    <DialogHeader>
+                        <DialogTitle>
+                            Export Color HTML
+                        </DialogTitle>
+                        <p className="text-sm text-slate-500">
+                            Neighboring characters
+                            with similar colors
+                            share one span. Higher
+                            tolerance gives
+                            smaller files with
+                            less color detail.
+                        </p>
+                    </DialogHeader>
+                    <div className="space-y-3 py-2">
+                        <div className="flex items-center justify-between">
+                            <label className="text-sm">
+                                Color Tolerance
+                            </label>
+                            <span className="text-sm text-slate-600">
+                                {colorTolerance}
+                            </span>
+                        </div>
+                        <Slider
+                            min={0}
+                            max={
+                                MAX_COLOR_TOLERANCE
+                            }
+                            value={[
+                                colorTolerance,
+                            ]}
+                            onValueChange={(v) =>
+                                setColorTolerance(
+                                    v[0]
+                                )
+                            }
+                        />
+                        {htmlSizes && (
+                            <p className="rounded-lg border bg-slate-50 px-3 py-2 text-sm text-slate-600">
+                                {formatBytes(
+                                    htmlSizes.compact
+                                )}{" "}
+                                instead of{" "}
+                                {formatBytes(
+                                    htmlSizes.full
+                                )}{" "}
+                                with one span per
+                                character (
+                                {Math.max(
+                                    0,
+                                    Math.round(
+                                        (1 -
+                                            htmlSizes.compact /
+                                                htmlSizes.full) *
+                                            100
+                                    )
+                                )}
+                                % smaller).
+                            </p>
+                        )}
+                    </div>
+                    <DialogFooter className="flex gap-3">
+                        <Button
+                            variant="outline"
+                            onClick={
+                                copyColorAscii
+                            }
+                            disabled={
+                                !hasColorOutput
+                            }>
+                            Copy HTML
+                        </Button>
+                        <Button
+                            onClick={
+                                downloadColorAscii
+                            }
+                            disabled={
+                                !hasColorOutput
+                            }>
+                            Download .html
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+            <Dialog
+                open={showSvgDialog}
+                onOpenChange={setShowSvgDialog}>
+                <DialogContent className="max-w-md text-slate-900">
+                    <DialogHeader>
+                        <DialogTitle>
+                            Export SVG
                         </DialogTitle>
                         <p className="text-sm text-slate-500">
-                            Larger sizes increase
-                            export resolution.
+                            Each row is one line
+                            of editable text. Load
+                            a TrueType font to
+                            embed it in the file
+                            or to convert the
+                            glyphs to paths.
                         </p>
                     </DialogHeader>
                     <div className="space-y-3 py-2">
-                        {PNG_EXPORT_SIZES.map(
+                        <div className="flex items-center gap-3">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() =>
+                                    svgFontInputRef.current?.click()
+                                }>
+                                <Upload className="w-4 h-4" />{" "}
+                                Load .ttf Font
+                            </Button>
+                            <span className="truncate text-sm text-slate-600">
+                                {svgFont?.name ??
+                                    "No font loaded"}
+                            </span>
+                            <input
+                                ref={
+                                    svgFontInputRef
+                                }
+                                type="file"
+                                accept=".ttf,font/ttf"
+                                className="hidden"
+                                onChange={(e) => {
+                                    const file =
+                                        e.target
+                                            .files?.[0];
+                                    e.target.value =
+                                        "";
+                                    if (file)
+                                        loadSvgFont(
+                                            file
+                                        );
+                                }}
+                            />
+                        </div>
+                        {svgFontError && (
+                            <p className="text-xs text-red-600">
+                                {svgFontError}
+                            </p>
+                        )}
+                        {[
+                            {
+                                label: "Text",
+                                description:
+                                    "Selectable and editable",
+                                value: false,
+                            },
+                            {
+                                label: "Outlined glyphs",
+                                description:
+                                    "Paths for laser cutters and plotters",
+                                value: true,
+                            },
+                        ].map(
                             ({
                                 label,
+                                description,
                                 value,
                             }) => (
                                 <label
-                                    key={value}
+                                    key={label}
                                     className="flex items-center justify-between rounded-lg border px-3 py-2 text-sm">
                                     <div>
                                         <p className="font-medium">
@@ -1567,24 +4102,104 @@ export default function ASCIIPainter() {
                                             }
                                         </p>
                                         <p className="text-xs text-slate-500">
-                                            {`${Math.round(
-                                                value *
-                                                    100
-                                            )}% of current preview`}
+                                            {
+                                                description
+                                            }
                                         </p>
                                     </div>
                                     <input
                                         type="radio"
-                                        name="png-scale"
+                                        name="svg-mode"
+                                        checked={
+                                            svgOutline ===
+                                            value
+                                        }
+                                        disabled={
+                                            value &&
+                                            !svgFont
+                                        }
+                                        onChange={() =>
+                                            setSvgOutline(
+                                                value
+                                            )
+                                        }
+                                    />
+                                </label>
+                            )
+                        )}
+                        <label className="flex items-center gap-2 text-sm">
+                            <input
+                                type="checkbox"
+                                checked={
+                                    svgEmbedFont
+                                }
+                                disabled={
+                                    !svgFont ||
+                                    svgOutline
+                                }
+                                onChange={(e) =>
+                                    setSvgEmbedFont(
+                                        e.target
+                                            .checked
+                                    )
+                                }
+                            />
+                            Embed font subset
+                        </label>
+                    </div>
+                    <DialogFooter>
+                        <Button
+                            onClick={
+                                downloadAsciiSvg
+                            }
+                            disabled={
+                                !hasAsciiOutput
+                            }>
+                            Download .svg
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+            <Dialog
+                open={showAnsiDialog}
+                onOpenChange={setShowAnsiDialog}>
+                <DialogContent className="max-w-md text-slate-900">
+                    <DialogHeader>
+                        <DialogTitle>
+                            Export ANSI
+                        </DialogTitle>
+                        <p className="text-sm text-slate-500">
+                            Colored text for
+                            terminals, banners and
+                            MOTDs. Use fewer
+                            colors for older
+                            terminals.
+                        </p>
+                    </DialogHeader>
+                    <div className="space-y-3 py-2">
+                        {ANSI_COLOR_MODES.map(
+                            ({
+                                label,
+                                value,
+                            }) => (
+                                <label
+                                    key={value}
+                                    className="flex items-center justify-between rounded-lg border px-3 py-2 text-sm">
+                                    <span className="font-medium">
+                                        {label}
+                                    </span>
+                                    <input
+                                        type="radio"
+                                        name="ansi-mode"
                                         value={
                                             value
                                         }
                                         checked={
-                                            pngScale ===
+                                            ansiMode ===
                                             value
                                         }
                                         onChange={() =>
-                                            setPngScale(
+                                            setAnsiMode(
                                                 value
                                             )
                                         }
@@ -1596,21 +4211,20 @@ export default function ASCIIPainter() {
                     <DialogFooter className="flex gap-3">
                         <Button
                             variant="outline"
-                            onClick={() =>
-                                setShowPngDialog(
-                                    false
-                                )
+                            onClick={
+                                downloadAnsiScript
+                            }
+                            disabled={
+                                !hasColorOutput
                             }>
-                            Cancel
+                            Shell Script
                         </Button>
                         <Button
-                            onClick={
-                                handleConfirmPngDownload
-                            }
+                            onClick={downloadAnsi}
                             disabled={
-                                !hasAsciiOutput
+                                !hasColorOutput
                             }>
-                            Download
+                            Download .ans
                         </Button>
                     </DialogFooter>
                 </DialogContent>
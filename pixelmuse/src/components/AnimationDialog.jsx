@@ -0,0 +1,532 @@
+import React, {
+    useEffect,
+    useRef,
+    useState,
+} from "react";
+import { Button } from "@/components/ui/button";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from "@/components/ui/dialog";
+import { Slider } from "@/components/ui/slider";
+import {
+    AlertCircle,
+    Download,
+    FileText,
+    Film,
+    Pause,
+    Play,
+    Upload,
+} from "lucide-react";
+import {
+    DEFAULT_ANIMATION_FPS,
+    MAX_ANIMATION_FPS,
+    MAX_ANIMATION_FRAMES,
+    convertFrame,
+    getFrameTimes,
+    openAnimationSource,
+} from "@/lib/animation";
+import {
+    ASCII_FONT_FAMILY,
+    buildAnimationFramesZip,
+    buildAnimationHtml,
+    buildAsciiText,
+    getAsciiLineHeight,
+} from "@/lib/exporters";
+
+const PREVIEW_FONT_SIZE = 6;
+
+const inputClass =
+    "w-full rounded-lg border border-slate-200 px-2 py-1 text-sm";
+
+const roundSeconds = (value) =>
+    Math.round(value * 100) / 100;
+
+// Mounted only while open; closing the dialog cancels a running
+// conversion and releases the source.
+function AnimationDialogBody({
+    options,
+    fontSize,
+    theme,
+    onDownload,
+}) {
+    const fileRef = useRef(null);
+    const runRef = useRef(0);
+    const sourceRef = useRef(null);
+    const [source, setSource] = useState(null);
+    const [fileName, setFileName] = useState("");
+    const [error, setError] = useState(null);
+    const [fps, setFps] = useState(
+        DEFAULT_ANIMATION_FPS
+    );
+    const [range, setRange] = useState({
+        start: 0,
+        end: 0,
+    });
+    const [progress, setProgress] =
+        useState(null);
+    const [result, setResult] = useState(null);
+    const [frameIndex, setFrameIndex] =
+        useState(0);
+    const [playing, setPlaying] = useState(true);
+
+    useEffect(
+        () => () => {
+            runRef.current++;
+            sourceRef.current?.close();
+        },
+        []
+    );
+
+    useEffect(() => {
+        if (!result || !playing) return;
+        const timer = setInterval(
+            () =>
+                setFrameIndex(
+                    (index) =>
+                        (index + 1) %
+                        result.frames.length
+                ),
+            1000 / result.fps
+        );
+        return () => clearInterval(timer);
+    }, [result, playing]);
+
+    const frameTimes = source
+        ? getFrameTimes({ ...range, fps })
+        : [];
+    const isConverting = progress !== null;
+
+    const openFile = async (file) => {
+        const runId = runRef.current + 1;
+        runRef.current = runId;
+        setProgress(null);
+        setResult(null);
+        setError(null);
+        sourceRef.current?.close();
+        sourceRef.current = null;
+        setSource(null);
+        setFileName(file.name);
+        try {
+            const next =
+                await openAnimationSource(file);
+            // A newer file was picked while this one was opening.
+            if (runRef.current !== runId) {
+                next.close();
+                return;
+            }
+            sourceRef.current = next;
+            setSource(next);
+            setRange({
+                start: 0,
+                end: roundSeconds(next.duration),
+            });
+            // GIFs default to their own average frame rate.
+            if (next.frameCount)
+                setFps(
+                    Math.min(
+                        MAX_ANIMATION_FPS,
+                        Math.max(
+                            1,
+                            Math.round(
+                                next.frameCount /
+                                    next.duration
+                            )
+                        )
+                    )
+                );
+        } catch (err) {
+            if (runRef.current === runId)
+                setError(err.message);
+        }
+    };
+
+    const setRangeValue = (key, value) =>
+        setRange((current) => ({
+            ...current,
+            [key]: Math.min(
+                roundSeconds(source.duration),
+                Math.max(0, Number(value) || 0)
+            ),
+        }));
+
+    // Frames are read and converted one at a time on a dedicated worker,
+    // so the page stays responsive and the run can stop between frames.
+    const convert = async () => {
+        if (!source || !frameTimes.length) return;
+        const runId = runRef.current + 1;
+        runRef.current = runId;
+        const worker = new Worker(
+            new URL(
+                "../lib/ascii.worker.js",
+                import.meta.url
+            ),
+            { type: "module" }
+        );
+        const frames = [];
+        setError(null);
+        setProgress(0);
+        try {
+            for await (const frame of source.readFrames(
+                frameTimes
+            )) {
+                if (runRef.current !== runId)
+                    break;
+                const rows = await convertFrame(
+                    worker,
+                    frames.length + 1,
+                    frame,
+                    options
+                );
+                frames.push(buildAsciiText(rows));
+                setProgress(
+                    frames.length /
+                        frameTimes.length
+                );
+            }
+        } catch (err) {
+            if (runRef.current === runId)
+                setError(err.message);
+        } finally {
+            worker.terminate();
+        }
+        if (runRef.current !== runId) return;
+        setProgress(null);
+        if (frames.length !== frameTimes.length)
+            return;
+        setResult({ frames, fps });
+        setFrameIndex(0);
+        setPlaying(true);
+    };
+
+    const cancel = () => {
+        runRef.current++;
+        setProgress(null);
+    };
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle>
+                    ASCII Animation
+                </DialogTitle>
+                <p className="text-sm text-slate-500">
+                    Convert an animated GIF or an
+                    MP4 / WebM video frame by
+                    frame with the current style
+                    settings.
+                </p>
+            </DialogHeader>
+            <div className="space-y-3 py-2">
+                <div className="flex items-center gap-3">
+                    <Button
+                        variant="outline"
+                        disabled={isConverting}
+                        onClick={() =>
+                            fileRef.current?.click()
+                        }>
+                        <Upload className="w-4 h-4" />{" "}
+                        Choose File
+                    </Button>
+                    <span className="truncate text-sm text-slate-500">
+                        {fileName ||
+                            "No file selected"}
+                    </span>
+                    <input
+                        ref={fileRef}
+                        type="file"
+                        accept="image/gif,video/mp4,video/webm,.gif,.mp4,.webm"
+                        className="hidden"
+                        onChange={(e) => {
+                            const file =
+                                e.target
+                                    .files?.[0];
+                            e.target.value = "";
+                            if (file)
+                                openFile(file);
+                        }}
+                    />
+                </div>
+                {source && (
+                    <>
+                        <p className="text-xs text-slate-500">
+                            {source.width} ×{" "}
+                            {source.height} px ·{" "}
+                            {roundSeconds(
+                                source.duration
+                            )}{" "}
+                            s
+                            {source.frameCount
+                                ? ` · ${source.frameCount} frames`
+                                : ""}
+                        </p>
+                        <div className="space-y-2">
+                            <label className="text-sm">
+                                Frame Rate: {fps}{" "}
+                                fps
+                            </label>
+                            <Slider
+                                min={1}
+                                max={
+                                    MAX_ANIMATION_FPS
+                                }
+                                step={1}
+                                value={[fps]}
+                                disabled={
+                                    isConverting
+                                }
+                                onValueChange={([
+                                    value,
+                                ]) =>
+                                    setFps(value)
+                                }
+                            />
+                        </div>
+                        <div className="flex gap-2">
+                            {[
+                                [
+                                    "start",
+                                    "Start (s)",
+                                ],
+                                [
+                                    "end",
+                                    "End (s)",
+                                ],
+                            ].map(
+                                ([
+                                    key,
+                                    label,
+                                ]) => (
+                                    <label
+                                        key={key}
+                                        className="flex-1 space-y-1 text-sm">
+                                        <span>
+                                            {
+                                                label
+                                            }
+                                        </span>
+                                        <input
+                                            type="number"
+                                            min={
+                                                0
+                                            }
+                                            max={roundSeconds(
+                                                source.duration
+                                            )}
+                                            step={
+                                                0.1
+                                            }
+                                            value={
+                                                range[
+                                                    key
+                                                ]
+                                            }
+                                            disabled={
+                                                isConverting
+                                            }
+                                            onChange={(
+                                                e
+                                            ) =>
+                                                setRangeValue(
+                                                    key,
+                                                    e
+                                                        .target
+                                                        .value
+                                                )
+                                            }
+                                            className={
+                                                inputClass
+                                            }
+                                        />
+                                    </label>
+                                )
+                            )}
+                        </div>
+                        <p className="text-xs text-slate-500">
+                            {frameTimes.length}{" "}
+                            frames
+                            {frameTimes.length ===
+                                MAX_ANIMATION_FRAMES &&
+                                ` (limit reached; later frames are skipped)`}
+                        </p>
+                    </>
+                )}
+                {isConverting && (
+                    <div className="space-y-1">
+                        <div className="h-2 overflow-hidden rounded-full bg-slate-100">
+                            <div
+                                className="h-full bg-slate-900 transition-[width]"
+                                style={{
+                                    width: `${
+                                        progress *
+                                        100
+                                    }%`,
+                                }}
+                            />
+                        </div>
+                        <p className="text-xs text-slate-500">
+                            Converting frame{" "}
+                            {Math.min(
+                                frameTimes.length,
+                                Math.round(
+                                    progress *
+                                        frameTimes.length
+                                ) + 1
+                            )}{" "}
+                            of {frameTimes.length}
+                        </p>
+                    </div>
+                )}
+                {error && (
+                    <div className="flex gap-2 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                        <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                        <p>{error}</p>
+                    </div>
+                )}
+                {result && (
+                    <div className="space-y-2">
+                        <div
+                            className="max-h-64 overflow-auto rounded-lg border"
+                            style={{
+                                background:
+                                    theme.background,
+                                color: theme.foreground,
+                                padding: 8,
+                            }}>
+                            <pre
+                                className="m-0"
+                                style={{
+                                    fontFamily:
+                                        ASCII_FONT_FAMILY,
+                                    fontSize: `${PREVIEW_FONT_SIZE}px`,
+                                    lineHeight:
+                                        getAsciiLineHeight(
+                                            PREVIEW_FONT_SIZE
+                                        ),
+                                }}>
+                                {
+                                    result.frames[
+                                        frameIndex
+                                    ]
+                                }
+                            </pre>
+                        </div>
+                        <div className="flex items-center gap-3 text-sm">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() =>
+                                    setPlaying(
+                                        (value) =>
+                                            !value
+                                    )
+                                }>
+                                {playing ? (
+                                    <Pause className="w-4 h-4" />
+                                ) : (
+                                    <Play className="w-4 h-4" />
+                                )}{" "}
+                                {playing
+                                    ? "Pause"
+                                    : "Play"}
+                            </Button>
+                            <span className="text-slate-500">
+                                Frame{" "}
+                                {frameIndex + 1} /{" "}
+                                {
+                                    result.frames
+                                        .length
+                                }
+                            </span>
+                        </div>
+                    </div>
+                )}
+            </div>
+            <DialogFooter className="flex flex-wrap gap-2">
+                {isConverting ? (
+                    <Button
+                        variant="outline"
+                        onClick={cancel}>
+                        Cancel
+                    </Button>
+                ) : (
+                    <Button
+                        variant="outline"
+                        disabled={
+                            !frameTimes.length
+                        }
+                        onClick={convert}>
+                        <Film className="w-4 h-4" />{" "}
+                        {result
+                            ? "Convert Again"
+                            : "Convert"}
+                    </Button>
+                )}
+                <Button
+                    variant="outline"
+                    disabled={
+                        !result || isConverting
+                    }
+                    onClick={() =>
+                        onDownload(
+                            buildAnimationFramesZip(
+                                result.frames,
+                                {
+                                    fps: result.fps,
+                                }
+                            ),
+                            "application/zip",
+                            "ascii_animation_frames.zip"
+                        )
+                    }>
+                    <FileText className="w-4 h-4" />{" "}
+                    Frames (.zip)
+                </Button>
+                <Button
+                    disabled={
+                        !result || isConverting
+                    }
+                    onClick={() =>
+                        onDownload(
+                            buildAnimationHtml(
+                                result.frames,
+                                {
+                                    fps: result.fps,
+                                    fontSize,
+                                    theme,
+                                }
+                            ),
+                            "text/html",
+                            "ascii_animation.html"
+                        )
+                    }>
+                    <Download className="w-4 h-4" />{" "}
+                    HTML Player
+                </Button>
+            </DialogFooter>
+        </>
+    );
+}
+
+export default function AnimationDialog({
+    open,
+    onOpenChange,
+    ...props
+}) {
+    return (
+        <Dialog
+            open={open}
+            onOpenChange={onOpenChange}>
+            <DialogContent className="max-w-lg text-slate-900">
+                {open && (
+                    <AnimationDialogBody
+                        {...props}
+                    />
+                )}
+            </DialogContent>
+        </Dialog>
+    );
+}
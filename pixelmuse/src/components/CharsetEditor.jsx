@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from "@/components/ui/dialog";
+import { AlertCircle } from "lucide-react";
+import { measureCharset } from "@/lib/glyphMasks";
+import { ASCII_FONT_FAMILY } from "@/lib/exporters";
+
+// Mounted only while open, so the draft resets to the current charset
+// every time the editor is opened.
+function CharsetEditorBody({
+    charset,
+    onApply,
+    onCancel,
+}) {
+    const [draft, setDraft] = useState(charset);
+    const [sort, setSort] = useState(true);
+    const [dedupe, setDedupe] = useState(true);
+
+    const { glyphs, warnings } = useMemo(
+        () =>
+            measureCharset(draft, {
+                sort,
+                dedupe,
+            }),
+        [draft, sort, dedupe]
+    );
+    const maxCoverage = Math.max(
+        0,
+        ...glyphs.map(({ coverage }) => coverage)
+    );
+    const result = glyphs
+        .map(({ glyph }) => glyph)
+        .join("");
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle>
+                    Custom Charset
+                </DialogTitle>
+                <p className="text-sm text-slate-600">
+                    Type the glyphs to use. They
+                    are measured in the export
+                    font and ordered from light to
+                    dark.
+                </p>
+            </DialogHeader>
+            <div className="space-y-4">
+                <input
+                    type="text"
+                    value={draft}
+                    onChange={(e) =>
+                        setDraft(e.target.value)
+                    }
+                    spellCheck={false}
+                    aria-label="Glyphs"
+                    className="w-full rounded-lg border border-slate-200 px-3 py-2 text-base"
+                    style={{
+                        fontFamily:
+                            ASCII_FONT_FAMILY,
+                    }}
+                />
+                <div className="flex flex-wrap gap-4">
+                    <label className="flex items-center gap-2 text-sm">
+                        <input
+                            type="checkbox"
+                            checked={sort}
+                            onChange={(e) =>
+                                setSort(
+                                    e.target
+                                        .checked
+                                )
+                            }
+                        />
+                        Sort by density
+                    </label>
+                    <label className="flex items-center gap-2 text-sm">
+                        <input
+                            type="checkbox"
+                            checked={dedupe}
+                            onChange={(e) =>
+                                setDedupe(
+                                    e.target
+                                        .checked
+                                )
+                            }
+                        />
+                        Remove duplicates
+                    </label>
+                </div>
+                <div className="space-y-2">
+                    <p className="text-sm font-medium">
+                        Ramp Preview
+                    </p>
+                    <div className="flex flex-wrap gap-1 rounded-lg border bg-white p-2">
+                        {glyphs.map(
+                            (
+                                {
+                                    glyph,
+                                    coverage,
+                                },
+                                index
+                            ) => (
+                                <div
+                                    key={index}
+                                    className="flex w-7 flex-col items-center gap-1"
+                                    title={`${
+                                        Math.round(
+                                            coverage *
+                                                1000
+                                        ) / 10
+                                    }% ink`}>
+                                    <span
+                                        className="text-lg leading-none whitespace-pre"
+                                        style={{
+                                            fontFamily:
+                                                ASCII_FONT_FAMILY,
+                                        }}>
+                                        {glyph}
+                                    </span>
+                                    <span
+                                        className="h-2 w-full rounded-sm border"
+                                        style={{
+                                            background: `rgb(0 0 0 / ${
+                                                maxCoverage
+                                                    ? coverage /
+                                                      maxCoverage
+                                                    : 0
+                                            })`,
+                                        }}
+                                    />
+                                </div>
+                            )
+                        )}
+                        {!glyphs.length && (
+                            <p className="text-sm text-slate-500">
+                                No glyphs yet.
+                            </p>
+                        )}
+                    </div>
+                </div>
+                {warnings.length > 0 && (
+                    <div className="flex gap-2 rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+                        <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                        <p>
+                            Nearly identical
+                            density:{" "}
+                            {warnings
+                                .map(
+                                    ([a, b]) =>
+                                        `"${a}" and "${b}"`
+                                )
+                                .join(", ")}
+                            . Consider removing
+                            one of each pair.
+                        </p>
+                    </div>
+                )}
+            </div>
+            <DialogFooter>
+                <Button
+                    variant="outline"
+                    onClick={onCancel}>
+                    Cancel
+                </Button>
+                <Button
+                    disabled={!result}
+                    onClick={() =>
+                        onApply(result)
+                    }>
+                    Use Charset
+                </Button>
+            </DialogFooter>
+        </>
+    );
+}
+
+export default function CharsetEditor({
+    open,
+    onOpenChange,
+    charset,
+    onApply,
+}) {
+    return (
+        <Dialog
+            open={open}
+            onOpenChange={onOpenChange}>
+            <DialogContent className="max-w-lg rounded-2xl">
+                {open && (
+                    <CharsetEditorBody
+                        charset={charset}
+                        onApply={(next) => {
+                            onApply(next);
+                            onOpenChange(false);
+                        }}
+                        onCancel={() =>
+                            onOpenChange(false)
+                        }
+                    />
+                )}
+            </DialogContent>
+        </Dialog>
+    );
+}
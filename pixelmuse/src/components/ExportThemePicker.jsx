@@ -0,0 +1,128 @@
+import React from "react";
+import {
+    Select,
+    SelectTrigger,
+    SelectContent,
+    SelectItem,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    EXPORT_THEMES,
+    MAX_EXPORT_PADDING,
+    resolveExportTheme,
+} from "@/lib/exporters";
+
+export default function ExportThemePicker({
+    theme,
+    onChange,
+}) {
+    const { background, foreground } =
+        resolveExportTheme(theme);
+
+    // Editing a color switches to a custom pair that starts from the
+    // current theme's colors.
+    const setColor = (key, value) =>
+        onChange({
+            theme: "custom",
+            background,
+            foreground,
+            [key]: value,
+        });
+
+    return (
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+            <label className="flex flex-col gap-1">
+                <span className="text-xs font-semibold uppercase tracking-wide text-slate-500">
+                    Export Theme
+                </span>
+                <Select
+                    value={theme.theme}
+                    onValueChange={(value) =>
+                        onChange(
+                            value === "custom"
+                                ? {
+                                      theme: value,
+                                      background,
+                                      foreground,
+                                  }
+                                : { theme: value }
+                        )
+                    }>
+                    <SelectTrigger className="w-44">
+                        <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {Object.entries(
+                            EXPORT_THEMES
+                        ).map(
+                            ([
+                                value,
+                                { label },
+                            ]) => (
+                                <SelectItem
+                                    key={value}
+                                    value={value}>
+                                    {label}
+                                </SelectItem>
+                            )
+                        )}
+                        <SelectItem value="custom">
+                            Custom
+                        </SelectItem>
+                    </SelectContent>
+                </Select>
+            </label>
+            <label className="flex items-center gap-2 pb-2">
+                <input
+                    type="color"
+                    value={foreground}
+                    onChange={(e) =>
+                        setColor(
+                            "foreground",
+                            e.target.value
+                        )
+                    }
+                />
+                Text
+            </label>
+            <label className="flex items-center gap-2 pb-2">
+                <input
+                    type="color"
+                    value={background}
+                    onChange={(e) =>
+                        setColor(
+                            "background",
+                            e.target.value
+                        )
+                    }
+                />
+                Background
+            </label>
+            <label className="flex items-center gap-2 pb-2">
+                Padding
+                <input
+                    type="number"
+                    min={0}
+                    max={MAX_EXPORT_PADDING}
+                    value={theme.padding}
+                    onChange={(e) =>
+                        onChange({
+                            padding: Math.min(
+                                MAX_EXPORT_PADDING,
+                                Math.max(
+                                    0,
+                                    Number(
+                                        e.target
+                                            .value
+                                    ) || 0
+                                )
+                            ),
+                        })
+                    }
+                    className="w-16 rounded-lg border border-slate-200 px-2 py-1"
+                />
+                px
+            </label>
+        </div>
+    );
+}
@@ -0,0 +1,283 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Slider } from "@/components/ui/slider";
+import {
+    Select,
+    SelectTrigger,
+    SelectContent,
+    SelectItem,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    ChevronDown,
+    ChevronUp,
+    Eye,
+    EyeOff,
+    Image as ImageIcon,
+    Paintbrush,
+    Plus,
+    Trash2,
+} from "lucide-react";
+import {
+    BLEND_MODES,
+    LAYER_KINDS,
+} from "@/lib/layers";
+
+export default function LayersPanel({
+    layers,
+    activeLayerId,
+    convertSelectedOnly,
+    onConvertSelectedOnlyChange,
+    onSelect,
+    onAdd,
+    onDelete,
+    onMove,
+    onChange,
+}) {
+    const activeLayer = layers.find(
+        (layer) => layer.id === activeLayerId
+    );
+    // Layers are stored bottom to top; list the top layer first.
+    const ordered = layers.slice().reverse();
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <p className="text-sm font-medium">
+                    Layers
+                </p>
+                <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={onAdd}>
+                    <Plus className="w-4 h-4" />{" "}
+                    Paint Layer
+                </Button>
+            </div>
+            <ul className="space-y-1 max-h-56 overflow-auto">
+                {ordered.map((layer, index) => {
+                    const Icon =
+                        layer.kind ===
+                        LAYER_KINDS.image
+                            ? ImageIcon
+                            : Paintbrush;
+                    const isActive =
+                        layer.id ===
+                        activeLayerId;
+                    return (
+                        <li
+                            key={layer.id}
+                            className={`flex items-center gap-1 rounded-lg border px-2 py-1 text-sm ${
+                                isActive
+                                    ? "border-slate-900 bg-slate-100"
+                                    : "border-slate-200"
+                            }`}>
+                            {convertSelectedOnly && (
+                                <input
+                                    type="checkbox"
+                                    checked={
+                                        layer.includeInConversion
+                                    }
+                                    onChange={(
+                                        e
+                                    ) =>
+                                        onChange(
+                                            layer.id,
+                                            {
+                                                includeInConversion:
+                                                    e
+                                                        .target
+                                                        .checked,
+                                            }
+                                        )
+                                    }
+                                    aria-label={`Convert ${layer.name}`}
+                                />
+                            )}
+                            <button
+                                type="button"
+                                className="p-1 text-slate-600 hover:text-slate-900"
+                                onClick={() =>
+                                    onChange(
+                                        layer.id,
+                                        {
+                                            visible:
+                                                !layer.visible,
+                                        }
+                                    )
+                                }
+                                aria-label={
+                                    layer.visible
+                                        ? `Hide ${layer.name}`
+                                        : `Show ${layer.name}`
+                                }>
+                                {layer.visible ? (
+                                    <Eye className="w-4 h-4" />
+                                ) : (
+                                    <EyeOff className="w-4 h-4" />
+                                )}
+                            </button>
+                            <button
+                                type="button"
+                                className="flex flex-1 min-w-0 items-center gap-1 text-left"
+                                onClick={() =>
+                                    onSelect(
+                                        layer.id
+                                    )
+                                }>
+                                <Icon className="w-3.5 h-3.5 shrink-0 text-slate-500" />
+                                <span className="truncate">
+                                    {layer.name}
+                                </span>
+                            </button>
+                            <button
+                                type="button"
+                                className="p-1 text-slate-600 hover:text-slate-900 disabled:opacity-30"
+                                disabled={
+                                    index === 0
+                                }
+                                onClick={() =>
+                                    onMove(
+                                        layer.id,
+                                        1
+                                    )
+                                }
+                                aria-label={`Move ${layer.name} up`}>
+                                <ChevronUp className="w-4 h-4" />
+                            </button>
+                            <button
+                                type="button"
+                                className="p-1 text-slate-600 hover:text-slate-900 disabled:opacity-30"
+                                disabled={
+                                    index ===
+                                    ordered.length -
+                                        1
+                                }
+                                onClick={() =>
+                                    onMove(
+                                        layer.id,
+                                        -1
+                                    )
+                                }
+                                aria-label={`Move ${layer.name} down`}>
+                                <ChevronDown className="w-4 h-4" />
+                            </button>
+                            <button
+                                type="button"
+                                className="p-1 text-slate-600 hover:text-red-600 disabled:opacity-30"
+                                disabled={
+                                    layers.length <=
+                                    1
+                                }
+                                onClick={() =>
+                                    onDelete(
+                                        layer.id
+                                    )
+                                }
+                                aria-label={`Delete ${layer.name}`}>
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+            {activeLayer && (
+                <div className="space-y-3 border-t pt-3">
+                    <div className="flex items-center justify-between">
+                        <label className="text-sm">
+                            Opacity
+                        </label>
+                        <span className="text-sm text-slate-600">
+                            {Math.round(
+                                activeLayer.opacity *
+                                    100
+                            )}
+                            %
+                        </span>
+                    </div>
+                    <Slider
+                        min={0}
+                        max={100}
+                        value={[
+                            Math.round(
+                                activeLayer.opacity *
+                                    100
+                            ),
+                        ]}
+                        onValueChange={(v) =>
+                            onChange(
+                                activeLayer.id,
+                                {
+                                    opacity:
+                                        v[0] /
+                                        100,
+                                }
+                            )
+                        }
+                    />
+                    <div className="flex flex-col gap-2">
+                        <label className="text-sm">
+                            Blend Mode
+                        </label>
+                        <Select
+                            value={
+                                activeLayer.blendMode
+                            }
+                            onValueChange={(
+                                value
+                            ) =>
+                                onChange(
+                                    activeLayer.id,
+                                    {
+                                        blendMode:
+                                            value,
+                                    }
+                                )
+                            }>
+                            <SelectTrigger className="w-full">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {BLEND_MODES.map(
+                                    ({
+                                        label,
+                                        value,
+                                    }) => (
+                                        <SelectItem
+                                            key={
+                                                value
+                                            }
+                                            value={
+                                                value
+                                            }>
+                                            {
+                                                label
+                                            }
+                                        </SelectItem>
+                                    )
+                                )}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                </div>
+            )}
+            <div className="flex items-center gap-2 border-t pt-3">
+                <input
+                    id="convert-selected-layers"
+                    type="checkbox"
+                    checked={convertSelectedOnly}
+                    onChange={(e) =>
+                        onConvertSelectedOnlyChange(
+                            e.target.checked
+                        )
+                    }
+                />
+                <label
+                    htmlFor="convert-selected-layers"
+                    className="text-sm">
+                    Convert selected layers only
+                </label>
+            </div>
+        </div>
+    );
+}
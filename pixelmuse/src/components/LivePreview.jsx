@@ -0,0 +1,78 @@
+import React from "react";
+import { Loader2, X } from "lucide-react";
+import {
+    ASCII_CHAR_ASPECT_RATIO,
+    ASCII_FONT_FAMILY,
+    ASCII_MAX_FONT_SIZE,
+    getAsciiLineHeight,
+} from "@/lib/exporters";
+
+// Width of the text area inside the docked panel, in CSS pixels.
+const PREVIEW_TEXT_WIDTH = 380;
+
+export default function LivePreview({
+    text,
+    columns,
+    isUpdating,
+    isMobile,
+    onClose,
+}) {
+    const fontSize = Math.min(
+        ASCII_MAX_FONT_SIZE,
+        PREVIEW_TEXT_WIDTH /
+            (Math.max(1, columns) *
+                ASCII_CHAR_ASPECT_RATIO)
+    );
+
+    return (
+        <div
+            className={`absolute z-30 flex flex-col rounded-2xl border bg-white/95 shadow-md ${
+                isMobile
+                    ? "left-3 right-3 top-20 max-h-[40vh]"
+                    : "right-6 top-20 max-h-[60vh]"
+            }`}
+            style={
+                isMobile
+                    ? undefined
+                    : {
+                          width:
+                              PREVIEW_TEXT_WIDTH +
+                              26,
+                      }
+            }>
+            <div className="flex items-center justify-between border-b px-3 py-2">
+                <p className="flex items-center gap-2 text-sm font-medium">
+                    Live Preview
+                    {isUpdating && (
+                        <Loader2 className="w-3.5 h-3.5 animate-spin text-slate-500" />
+                    )}
+                </p>
+                <button
+                    type="button"
+                    className="p-1 text-slate-600 hover:text-slate-900"
+                    onClick={onClose}
+                    aria-label="Close live preview">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+            <div className="overflow-auto p-3">
+                <pre
+                    className="m-0 text-slate-900"
+                    style={{
+                        fontFamily:
+                            ASCII_FONT_FAMILY,
+                        fontSize: `${fontSize}px`,
+                        lineHeight:
+                            getAsciiLineHeight(
+                                fontSize
+                            ),
+                    }}>
+                    {text ||
+                        (isUpdating
+                            ? ""
+                            : "Draw something to see it here.")}
+                </pre>
+            </div>
+        </div>
+    );
+}
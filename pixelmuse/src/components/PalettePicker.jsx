@@ -0,0 +1,163 @@
+import React, { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+    Select,
+    SelectTrigger,
+    SelectContent,
+    SelectItem,
+    SelectValue,
+} from "@/components/ui/select";
+import { Upload } from "lucide-react";
+import {
+    PALETTE_OPTIONS,
+    getPaletteColors,
+    parsePalette,
+    rgbToHex,
+} from "@/lib/palettes";
+
+export default function PalettePicker({
+    palette,
+    customPalette,
+    paletteDither,
+    onChange,
+}) {
+    const fileRef = useRef(null);
+    const [draft, setDraft] = useState(() =>
+        customPalette.join("\n")
+    );
+    const [error, setError] = useState(null);
+    const colors = getPaletteColors({
+        palette,
+        customPalette,
+    });
+
+    const applyDraft = (text) => {
+        setDraft(text);
+        const parsed = parsePalette(text);
+        setError(
+            text.trim() && !parsed.length
+                ? "No colors found. Use #rrggbb values or a GIMP .gpl palette."
+                : null
+        );
+        onChange({
+            customPalette: parsed.map(rgbToHex),
+        });
+    };
+
+    return (
+        <div className="space-y-2">
+            <label className="text-sm">
+                Color Palette
+            </label>
+            <Select
+                value={palette}
+                onValueChange={(value) =>
+                    onChange({ palette: value })
+                }>
+                <SelectTrigger className="w-full">
+                    <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                    {PALETTE_OPTIONS.map(
+                        ({ label, value }) => (
+                            <SelectItem
+                                key={value}
+                                value={value}>
+                                {label}
+                            </SelectItem>
+                        )
+                    )}
+                </SelectContent>
+            </Select>
+            {palette === "custom" && (
+                <>
+                    <textarea
+                        value={draft}
+                        onChange={(e) =>
+                            applyDraft(
+                                e.target.value
+                            )
+                        }
+                        rows={3}
+                        spellCheck={false}
+                        placeholder="#0f380f #306230 #8bac0f #9bbc0f"
+                        aria-label="Custom palette colors"
+                        className="w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs"
+                    />
+                    <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() =>
+                            fileRef.current?.click()
+                        }>
+                        <Upload className="w-4 h-4" />{" "}
+                        Import .gpl / hex list
+                    </Button>
+                    <input
+                        ref={fileRef}
+                        type="file"
+                        accept=".gpl,.hex,.txt,text/plain"
+                        className="hidden"
+                        onChange={async (e) => {
+                            const file =
+                                e.target
+                                    .files?.[0];
+                            e.target.value = "";
+                            if (file)
+                                applyDraft(
+                                    await file.text()
+                                );
+                        }}
+                    />
+                    {error && (
+                        <p className="text-xs text-red-600">
+                            {error}
+                        </p>
+                    )}
+                </>
+            )}
+            {colors && (
+                <div className="flex flex-wrap gap-0.5">
+                    {colors.map(
+                        (color, index) => (
+                            <span
+                                key={index}
+                                className="h-3 w-3 rounded-sm border border-slate-200"
+                                style={{
+                                    background:
+                                        rgbToHex(
+                                            color
+                                        ),
+                                }}
+                                title={rgbToHex(
+                                    color
+                                )}
+                            />
+                        )
+                    )}
+                </div>
+            )}
+            {palette !== "none" && (
+                <div className="flex items-center gap-2">
+                    <input
+                        id="palette-dither"
+                        type="checkbox"
+                        checked={paletteDither}
+                        onChange={(e) =>
+                            onChange({
+                                paletteDither:
+                                    e.target
+                                        .checked,
+                            })
+                        }
+                    />
+                    <label
+                        htmlFor="palette-dither"
+                        className="text-sm">
+                        Dither colors
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+}
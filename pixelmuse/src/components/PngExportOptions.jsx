@@ -0,0 +1,230 @@
+import React from "react";
+import {
+    Select,
+    SelectTrigger,
+    SelectContent,
+    SelectItem,
+    SelectValue,
+} from "@/components/ui/select";
+import { PRINT_UNITS } from "@/lib/exporters";
+
+const PNG_EXPORT_SIZES = [
+    { label: "Compact", value: 0.75 },
+    { label: "Default", value: 1 },
+    { label: "Large", value: 1.5 },
+    { label: "XL", value: 2 },
+];
+
+const SIZE_MODES = [
+    { label: "Scale of preview", value: "scale" },
+    { label: "Exact pixels", value: "pixels" },
+    { label: "Print (DPI)", value: "print" },
+];
+
+const inputClass =
+    "w-full rounded-lg border border-slate-200 px-2 py-1 text-sm";
+
+export default function PngExportOptions({
+    settings,
+    hasColorOutput,
+    outputSize,
+    error,
+    onChange,
+}) {
+    const numberInput = (
+        key,
+        label,
+        props = {}
+    ) => (
+        <label className="flex-1 space-y-1 text-sm">
+            <span>{label}</span>
+            <input
+                type="number"
+                min={1}
+                value={settings[key]}
+                onChange={(e) =>
+                    onChange({
+                        [key]: e.target.value,
+                    })
+                }
+                className={inputClass}
+                {...props}
+            />
+        </label>
+    );
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-col gap-2">
+                <label className="text-sm">
+                    Size
+                </label>
+                <Select
+                    value={settings.sizeMode}
+                    onValueChange={(value) =>
+                        onChange({
+                            sizeMode: value,
+                        })
+                    }>
+                    <SelectTrigger className="w-full">
+                        <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {SIZE_MODES.map(
+                            ({
+                                label,
+                                value,
+                            }) => (
+                                <SelectItem
+                                    key={value}
+                                    value={value}>
+                                    {label}
+                                </SelectItem>
+                            )
+                        )}
+                    </SelectContent>
+                </Select>
+            </div>
+            {settings.sizeMode === "scale" && (
+                <div className="grid grid-cols-2 gap-2">
+                    {PNG_EXPORT_SIZES.map(
+                        ({ label, value }) => (
+                            <label
+                                key={value}
+                                className="flex items-center justify-between rounded-lg border px-3 py-2 text-sm">
+                                <div>
+                                    <p className="font-medium">
+                                        {label}
+                                    </p>
+                                    <p className="text-xs text-slate-500">
+                                        {`${Math.round(
+                                            value *
+                                                100
+                                        )}%`}
+                                    </p>
+                                </div>
+                                <input
+                                    type="radio"
+                                    name="png-scale"
+                                    value={value}
+                                    checked={
+                                        settings.scale ===
+                                        value
+                                    }
+                                    onChange={() =>
+                                        onChange({
+                                            scale: value,
+                                        })
+                                    }
+                                />
+                            </label>
+                        )
+                    )}
+                </div>
+            )}
+            {settings.sizeMode === "pixels" && (
+                <div className="flex gap-2">
+                    {numberInput(
+                        "width",
+                        "Width (px)",
+                        {
+                            placeholder: "auto",
+                        }
+                    )}
+                    {numberInput(
+                        "height",
+                        "Height (px)",
+                        { placeholder: "auto" }
+                    )}
+                </div>
+            )}
+            {settings.sizeMode === "print" && (
+                <div className="flex items-end gap-2">
+                    {numberInput(
+                        "printWidth",
+                        "Width",
+                        {
+                            step: "any",
+                        }
+                    )}
+                    <label className="space-y-1 text-sm">
+                        <span>Unit</span>
+                        <select
+                            value={
+                                settings.printUnit
+                            }
+                            onChange={(e) =>
+                                onChange({
+                                    printUnit:
+                                        e.target
+                                            .value,
+                                })
+                            }
+                            className={
+                                inputClass
+                            }>
+                            {Object.keys(
+                                PRINT_UNITS
+                            ).map((unit) => (
+                                <option
+                                    key={unit}
+                                    value={unit}>
+                                    {unit}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    {numberInput("dpi", "DPI")}
+                </div>
+            )}
+            <div className="flex flex-wrap gap-4 border-t pt-3 text-sm">
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={
+                            settings.transparent
+                        }
+                        onChange={(e) =>
+                            onChange({
+                                transparent:
+                                    e.target
+                                        .checked,
+                            })
+                        }
+                    />
+                    Transparent background
+                </label>
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={
+                            hasColorOutput &&
+                            settings.useColors
+                        }
+                        disabled={!hasColorOutput}
+                        onChange={(e) =>
+                            onChange({
+                                useColors:
+                                    e.target
+                                        .checked,
+                            })
+                        }
+                    />
+                    Use art colors
+                </label>
+            </div>
+            {error ? (
+                <p className="text-xs text-red-600">
+                    {error}
+                </p>
+            ) : (
+                outputSize && (
+                    <p className="text-xs text-slate-500">
+                        Output: {outputSize.width}{" "}
+                        × {outputSize.height} px
+                    </p>
+                )
+            )}
+        </div>
+    );
+}
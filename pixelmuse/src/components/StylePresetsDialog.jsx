@@ -0,0 +1,327 @@
+import React, { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from "@/components/ui/dialog";
+import {
+    AlertCircle,
+    ChevronDown,
+    ChevronUp,
+    Download,
+    Save,
+    Trash2,
+    Upload,
+} from "lucide-react";
+import {
+    MAX_PRESET_NAME_LENGTH,
+    MAX_STYLE_PRESETS,
+    buildStylePresetFile,
+    createStylePreset,
+    mergeStylePresets,
+    moveStylePreset,
+    parseStylePresetFile,
+    removeStylePreset,
+} from "@/lib/stylePresets";
+import {
+    ASCII_FONT_FAMILY,
+    EXPORT_THEMES,
+} from "@/lib/exporters";
+
+const describePreset = ({ style, exportTheme }) =>
+    [
+        `${style.columns} cols`,
+        `line ${style.lineHeightRatio}`,
+        style.invert && "inverted",
+        EXPORT_THEMES[exportTheme.theme]?.label ??
+            "Custom theme",
+    ]
+        .filter(Boolean)
+        .join(" · ");
+
+// Mounted only while open, so the name field and errors start empty.
+function StylePresetsBody({
+    presets,
+    style,
+    exportTheme,
+    onPresetsChange,
+    onApply,
+    onDownload,
+}) {
+    const fileRef = useRef(null);
+    const [name, setName] = useState("");
+    const [error, setError] = useState(null);
+    const trimmed = name.trim();
+    const isFull =
+        presets.length >= MAX_STYLE_PRESETS &&
+        !presets.some(
+            (preset) => preset.name === trimmed
+        );
+
+    const saveCurrent = () => {
+        const preset = createStylePreset(
+            trimmed,
+            style,
+            exportTheme
+        );
+        if (!preset) return;
+        onPresetsChange(
+            mergeStylePresets(presets, [preset])
+        );
+        setName("");
+    };
+
+    const importFile = async (file) => {
+        try {
+            onPresetsChange(
+                mergeStylePresets(
+                    presets,
+                    parseStylePresetFile(
+                        await file.text()
+                    )
+                )
+            );
+            setError(null);
+        } catch (err) {
+            setError(
+                `Couldn't import "${file.name}". ${err.message}`
+            );
+        }
+    };
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle>
+                    Style Presets
+                </DialogTitle>
+                <p className="text-sm text-slate-500">
+                    Save the current Style
+                    settings and export theme
+                    under a name. Presets stay in
+                    this browser; export them to
+                    share with others.
+                </p>
+            </DialogHeader>
+            <div className="space-y-3 py-2">
+                <form
+                    className="flex gap-2"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        saveCurrent();
+                    }}>
+                    <input
+                        type="text"
+                        value={name}
+                        maxLength={
+                            MAX_PRESET_NAME_LENGTH
+                        }
+                        placeholder="Preset name"
+                        aria-label="Preset name"
+                        onChange={(e) =>
+                            setName(
+                                e.target.value
+                            )
+                        }
+                        className="flex-1 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+                    />
+                    <Button
+                        type="submit"
+                        variant="outline"
+                        disabled={
+                            !trimmed || isFull
+                        }>
+                        <Save className="w-4 h-4" />{" "}
+                        {presets.some(
+                            (preset) =>
+                                preset.name ===
+                                trimmed
+                        )
+                            ? "Update"
+                            : "Save"}
+                    </Button>
+                </form>
+                {isFull && trimmed && (
+                    <p className="text-xs text-slate-500">
+                        You have{" "}
+                        {MAX_STYLE_PRESETS}{" "}
+                        presets. Delete one to
+                        save another.
+                    </p>
+                )}
+                <ul className="space-y-1 max-h-64 overflow-auto">
+                    {presets.map(
+                        (preset, index) => (
+                            <li
+                                key={preset.id}
+                                className="flex items-center gap-1 rounded-lg border border-slate-200 px-2 py-1 text-sm">
+                                <button
+                                    type="button"
+                                    className="flex flex-1 min-w-0 flex-col text-left"
+                                    title={`Apply ${preset.name}`}
+                                    onClick={() =>
+                                        onApply(
+                                            preset
+                                        )
+                                    }>
+                                    <span className="truncate font-medium">
+                                        {
+                                            preset.name
+                                        }
+                                    </span>
+                                    <span className="truncate text-xs text-slate-500">
+                                        <span
+                                            style={{
+                                                fontFamily:
+                                                    ASCII_FONT_FAMILY,
+                                            }}>
+                                            {
+                                                preset
+                                                    .style
+                                                    .charset
+                                            }
+                                        </span>{" "}
+                                        ·{" "}
+                                        {describePreset(
+                                            preset
+                                        )}
+                                    </span>
+                                </button>
+                                <button
+                                    type="button"
+                                    className="p-1 text-slate-600 hover:text-slate-900 disabled:opacity-30"
+                                    disabled={
+                                        index ===
+                                        0
+                                    }
+                                    onClick={() =>
+                                        onPresetsChange(
+                                            moveStylePreset(
+                                                presets,
+                                                preset.id,
+                                                -1
+                                            )
+                                        )
+                                    }
+                                    aria-label={`Move ${preset.name} up`}>
+                                    <ChevronUp className="w-4 h-4" />
+                                </button>
+                                <button
+                                    type="button"
+                                    className="p-1 text-slate-600 hover:text-slate-900 disabled:opacity-30"
+                                    disabled={
+                                        index ===
+                                        presets.length -
+                                            1
+                                    }
+                                    onClick={() =>
+                                        onPresetsChange(
+                                            moveStylePreset(
+                                                presets,
+                                                preset.id,
+                                                1
+                                            )
+                                        )
+                                    }
+                                    aria-label={`Move ${preset.name} down`}>
+                                    <ChevronDown className="w-4 h-4" />
+                                </button>
+                                <button
+                                    type="button"
+                                    className="p-1 text-slate-600 hover:text-red-600"
+                                    onClick={() =>
+                                        onPresetsChange(
+                                            removeStylePreset(
+                                                presets,
+                                                preset.id
+                                            )
+                                        )
+                                    }
+                                    aria-label={`Delete ${preset.name}`}>
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </li>
+                        )
+                    )}
+                    {!presets.length && (
+                        <li className="text-sm text-slate-500">
+                            No presets yet.
+                        </li>
+                    )}
+                </ul>
+                {error && (
+                    <div className="flex gap-2 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                        <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                        <p>{error}</p>
+                    </div>
+                )}
+            </div>
+            <DialogFooter className="flex flex-wrap gap-2">
+                <Button
+                    variant="outline"
+                    onClick={() =>
+                        fileRef.current?.click()
+                    }>
+                    <Upload className="w-4 h-4" />{" "}
+                    Import JSON
+                </Button>
+                <input
+                    ref={fileRef}
+                    type="file"
+                    accept=".json,application/json"
+                    className="hidden"
+                    onChange={(e) => {
+                        const file =
+                            e.target.files?.[0];
+                        e.target.value = "";
+                        if (file)
+                            importFile(file);
+                    }}
+                />
+                <Button
+                    variant="outline"
+                    disabled={!presets.length}
+                    onClick={() =>
+                        onDownload(
+                            buildStylePresetFile(
+                                presets
+                            ),
+                            "application/json",
+                            "pixelmuse-style-presets.json"
+                        )
+                    }>
+                    <Download className="w-4 h-4" />{" "}
+                    Export JSON
+                </Button>
+            </DialogFooter>
+        </>
+    );
+}
+
+export default function StylePresetsDialog({
+    open,
+    onOpenChange,
+    onApply,
+    ...props
+}) {
+    return (
+        <Dialog
+            open={open}
+            onOpenChange={onOpenChange}>
+            <DialogContent className="max-w-md text-slate-900">
+                {open && (
+                    <StylePresetsBody
+                        {...props}
+                        onApply={(preset) => {
+                            onApply(preset);
+                            onOpenChange(false);
+                        }}
+                    />
+                )}
+            </DialogContent>
+        </Dialog>
+    );
+}
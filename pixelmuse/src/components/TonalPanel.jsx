@@ -0,0 +1,222 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Slider } from "@/components/ui/slider";
+import { RotateCcw } from "lucide-react";
+
+const HISTOGRAM_BINS = 64;
+
+// Folds the 256 luminance buckets into HISTOGRAM_BINS bins.
+const foldHistogram = (histogram) => {
+    const binSize = 256 / HISTOGRAM_BINS;
+    return Array.from(
+        { length: HISTOGRAM_BINS },
+        (_, bin) =>
+            histogram
+                .subarray(
+                    bin * binSize,
+                    (bin + 1) * binSize
+                )
+                .reduce(
+                    (sum, count) => sum + count,
+                    0
+                )
+    );
+};
+
+// One vertical bar per bin, scaled to the tallest bin.
+const getHistogramPath = (bins, peak) =>
+    bins
+        .map((count, bin) =>
+            count && peak
+                ? `M${bin} 100V${100 - (count / peak) * 100}h1V100Z`
+                : ""
+        )
+        .join("");
+
+function ToneSlider({
+    label,
+    value,
+    display = value,
+    min,
+    max,
+    step = 1,
+    disabled = false,
+    onChange,
+}) {
+    return (
+        <>
+            <div className="flex items-center justify-between">
+                <label className="text-sm">
+                    {label}
+                </label>
+                <span className="text-sm text-slate-600">
+                    {display}
+                </span>
+            </div>
+            <Slider
+                min={min}
+                max={max}
+                step={step}
+                value={[value]}
+                disabled={disabled}
+                onValueChange={(v) =>
+                    onChange(v[0])
+                }
+            />
+        </>
+    );
+}
+
+export default function TonalPanel({
+    tone,
+    histograms,
+    onChange,
+    onReset,
+}) {
+    const before = histograms
+        ? foldHistogram(histograms.before)
+        : [];
+    const after = histograms
+        ? foldHistogram(histograms.after)
+        : [];
+    const peak = Math.max(0, ...before, ...after);
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <p className="text-sm font-medium">
+                    Tone
+                </p>
+                <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={onReset}>
+                    <RotateCcw className="w-4 h-4" />{" "}
+                    Reset
+                </Button>
+            </div>
+            <svg
+                viewBox={`0 0 ${HISTOGRAM_BINS} 100`}
+                preserveAspectRatio="none"
+                className="w-full h-16 rounded-md border bg-slate-50"
+                role="img"
+                aria-label="Luminance histogram of the downsampled image">
+                {histograms && (
+                    <>
+                        <path
+                            d={getHistogramPath(
+                                before,
+                                peak
+                            )}
+                            className="fill-slate-300"
+                        />
+                        <path
+                            d={getHistogramPath(
+                                after,
+                                peak
+                            )}
+                            className="fill-slate-900/70"
+                        />
+                    </>
+                )}
+            </svg>
+            <ToneSlider
+                label="Brightness"
+                value={tone.brightness}
+                min={-100}
+                max={100}
+                onChange={(brightness) =>
+                    onChange({ brightness })
+                }
+            />
+            <ToneSlider
+                label="Contrast"
+                value={tone.contrast}
+                min={-100}
+                max={100}
+                onChange={(contrast) =>
+                    onChange({ contrast })
+                }
+            />
+            <ToneSlider
+                label="Gamma"
+                value={tone.gamma}
+                display={tone.gamma.toFixed(2)}
+                min={0.2}
+                max={3}
+                step={0.05}
+                onChange={(gamma) =>
+                    onChange({ gamma })
+                }
+            />
+            <ToneSlider
+                label="Black Level"
+                value={tone.blackLevel}
+                min={0}
+                max={254}
+                disabled={tone.autoLevels}
+                onChange={(blackLevel) =>
+                    onChange({
+                        blackLevel,
+                        whiteLevel: Math.max(
+                            tone.whiteLevel,
+                            blackLevel + 1
+                        ),
+                    })
+                }
+            />
+            <ToneSlider
+                label="White Level"
+                value={tone.whiteLevel}
+                min={1}
+                max={255}
+                disabled={tone.autoLevels}
+                onChange={(whiteLevel) =>
+                    onChange({
+                        whiteLevel,
+                        blackLevel: Math.min(
+                            tone.blackLevel,
+                            whiteLevel - 1
+                        ),
+                    })
+                }
+            />
+            <div className="flex items-center gap-2">
+                <input
+                    id="tone-auto-levels"
+                    type="checkbox"
+                    checked={tone.autoLevels}
+                    onChange={(e) =>
+                        onChange({
+                            autoLevels:
+                                e.target.checked,
+                        })
+                    }
+                />
+                <label
+                    htmlFor="tone-auto-levels"
+                    className="text-sm">
+                    Auto levels
+                </label>
+            </div>
+            <div className="flex items-center gap-2">
+                <input
+                    id="tone-equalize"
+                    type="checkbox"
+                    checked={tone.equalize}
+                    onChange={(e) =>
+                        onChange({
+                            equalize:
+                                e.target.checked,
+                        })
+                    }
+                />
+                <label
+                    htmlFor="tone-equalize"
+                    className="text-sm">
+                    Equalize histogram
+                </label>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,285 @@
+// Frame sources for ASCII animations. Animated GIFs are decoded in JS;
+// videos are seeked frame by frame through a <video> element. Either way
+// frames come out as ImageData-like objects at the requested times.
+import {
+    parseGif,
+    renderGifFrames,
+} from "./gif.js";
+
+export const MAX_ANIMATION_FRAMES = 600;
+export const MAX_ANIMATION_FPS = 30;
+export const DEFAULT_ANIMATION_FPS = 12;
+
+// Video frames are scaled down before conversion; the ASCII grid never
+// needs more detail than this.
+const MAX_VIDEO_FRAME_SIDE = 960;
+
+const openGifSource = async (file) => {
+    const gif = parseGif(
+        await file.arrayBuffer()
+    );
+    const starts = [];
+    let duration = 0;
+    for (const frame of gif.frames) {
+        starts.push(duration);
+        duration += frame.delay;
+    }
+    return {
+        kind: "gif",
+        width: gif.width,
+        height: gif.height,
+        duration: duration / 1000,
+        frameCount: gif.frames.length,
+        // Times must be ascending: frames are composited in order, so each
+        // GIF frame is decoded once however many samples land on it. Every
+        // sample is a copy because the caller may transfer its buffer.
+        async *readFrames(times) {
+            const frames = renderGifFrames(gif);
+            let index = -1;
+            let current = null;
+            for (const time of times) {
+                const ms = Math.min(
+                    time * 1000,
+                    duration - 1
+                );
+                while (
+                    index + 1 < starts.length &&
+                    starts[index + 1] <= ms
+                ) {
+                    current = frames.next().value;
+                    index++;
+                }
+                yield {
+                    ...current,
+                    data: current.data.slice(),
+                };
+            }
+        },
+        close() {},
+    };
+};
+
+// A seek that never completes would stall a conversion forever.
+const SEEK_TIMEOUT_MS = 10000;
+
+// Resolves on the event, rejects on a media error or, given `timeout`,
+// when the event hasn't fired after that many milliseconds.
+const waitForEvent = (target, type, timeout) =>
+    new Promise((resolve, reject) => {
+        let timer;
+        const cleanup = () => {
+            clearTimeout(timer);
+            target.removeEventListener(
+                type,
+                onEvent
+            );
+            target.removeEventListener(
+                "error",
+                onError
+            );
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(
+                new Error(
+                    "This browser can't play the video. Try an MP4 (H.264) or WebM file."
+                )
+            );
+        };
+        target.addEventListener(type, onEvent);
+        target.addEventListener("error", onError);
+        if (timeout)
+            timer = setTimeout(() => {
+                cleanup();
+                reject(
+                    new Error(
+                        "The video stopped responding while seeking. Try converting it to MP4 (H.264)."
+                    )
+                );
+            }, timeout);
+    });
+
+const seekVideo = (video, time) => {
+    const seeked = waitForEvent(
+        video,
+        "seeked",
+        SEEK_TIMEOUT_MS
+    );
+    video.currentTime = time;
+    return seeked;
+};
+
+// Recorded WebM files often have no duration in their header, so the
+// element reports Infinity until it has seeked past the end.
+const resolveVideoDuration = async (video) => {
+    if (!Number.isFinite(video.duration)) {
+        await seekVideo(
+            video,
+            Number.MAX_SAFE_INTEGER
+        );
+        await seekVideo(video, 0);
+    }
+    if (
+        !Number.isFinite(video.duration) ||
+        video.duration <= 0
+    )
+        throw new Error(
+            "This video doesn't report its length. Try converting it to MP4 (H.264)."
+        );
+    return video.duration;
+};
+
+const openVideoSource = async (file) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    video.muted = true;
+    video.preload = "auto";
+    video.src = url;
+    let duration;
+    try {
+        await waitForEvent(video, "loadeddata");
+        duration =
+            await resolveVideoDuration(video);
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        throw error;
+    }
+    const scale = Math.min(
+        1,
+        MAX_VIDEO_FRAME_SIDE /
+            Math.max(
+                video.videoWidth,
+                video.videoHeight
+            )
+    );
+    const canvas =
+        document.createElement("canvas");
+    canvas.width = Math.max(
+        1,
+        Math.round(video.videoWidth * scale)
+    );
+    canvas.height = Math.max(
+        1,
+        Math.round(video.videoHeight * scale)
+    );
+    const ctx = canvas.getContext("2d", {
+        willReadFrequently: true,
+    });
+    // Readers share the one element: each new readFrames call (or close)
+    // bumps the id, and an older reader stops after its seek settles
+    // instead of drawing whatever time the newer one asked for.
+    let readId = 0;
+    let seeking = Promise.resolve();
+    return {
+        kind: "video",
+        width: video.videoWidth,
+        height: video.videoHeight,
+        duration,
+        frameCount: null,
+        async *readFrames(times) {
+            const id = ++readId;
+            for (const time of times) {
+                await seeking.catch(() => {});
+                if (id !== readId) return;
+                seeking = seekVideo(
+                    video,
+                    Math.min(time, duration)
+                );
+                await seeking;
+                if (id !== readId) return;
+                ctx.drawImage(
+                    video,
+                    0,
+                    0,
+                    canvas.width,
+                    canvas.height
+                );
+                yield ctx.getImageData(
+                    0,
+                    0,
+                    canvas.width,
+                    canvas.height
+                );
+            }
+        },
+        close() {
+            readId++;
+            video.removeAttribute("src");
+            video.load();
+            URL.revokeObjectURL(url);
+        },
+    };
+};
+
+// Opens an animated GIF or a video the browser can play. The caller
+// closes the source when done with it.
+export const openAnimationSource = (file) => {
+    if (
+        file.type === "image/gif" ||
+        /\.gif$/i.test(file.name)
+    )
+        return openGifSource(file);
+    if (
+        file.type.startsWith("video/") ||
+        /\.(mp4|webm)$/i.test(file.name)
+    )
+        return openVideoSource(file);
+    return Promise.reject(
+        new Error(
+            "Choose an animated GIF or an MP4 / WebM video."
+        )
+    );
+};
+
+// Sample times in seconds for a frame range, capped at the frame limit.
+export const getFrameTimes = ({
+    start,
+    end,
+    fps,
+}) => {
+    const times = [];
+    for (
+        let i = 0;
+        times.length < MAX_ANIMATION_FRAMES;
+        i++
+    ) {
+        const time = start + i / fps;
+        if (time >= end) break;
+        times.push(time);
+    }
+    return times;
+};
+
+// Converts one frame on an ascii.worker instance and resolves with its
+// text rows.
+export const convertFrame = (
+    worker,
+    jobId,
+    imageData,
+    options
+) =>
+    new Promise((resolve, reject) => {
+        const rows = [];
+        worker.onmessage = ({ data }) => {
+            if (data.jobId !== jobId) return;
+            if (data.type === "rows")
+                rows.push(...data.rows);
+            else if (data.type === "done")
+                resolve(rows);
+            else if (data.type === "error")
+                reject(new Error(data.message));
+        };
+        worker.postMessage(
+            {
+                type: "convert",
+                jobId,
+                options,
+                imageData,
+            },
+            [imageData.data.buffer]
+        );
+    });
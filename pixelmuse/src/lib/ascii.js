@@ -0,0 +1,909 @@
+// Framework-free ASCII conversion engine shared by the app and tooling.
+// Everything here works on plain ImageData-like objects
+// ({ width, height, data }) so it runs in the browser, a worker or Node.
+import {
+    DEFAULT_TONE,
+    applyToneCurve,
+    buildToneCurve,
+    getHistogram,
+} from "./tone.js";
+import {
+    MAX_CUSTOM_PALETTE_COLORS,
+    PALETTE_OPTIONS,
+    findNearestColor,
+    getPaletteColors,
+    quantizeImage,
+} from "./palettes.js";
+
+export const PRESETS = {
+    Classic: " .:-=+*#%@",
+    "Ultra Dense":
+        " .'`^\",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$",
+    Blocks: " ░▒▓█",
+    "Dot Matrix": "·•●○◦",
+};
+
+export const DEFAULT_CHARSET = PRESETS.Classic;
+
+export const DEFAULT_CONVERT_OPTIONS = {
+    columns: 100,
+    lineHeightRatio: 2,
+    charset: DEFAULT_CHARSET,
+    densityBias: 0,
+    invert: false,
+    dither: "none",
+    edges: false,
+    edgeThreshold: 0.2,
+    shapeMatching: false,
+    // "none" keeps exact colors; see PALETTE_OPTIONS in palettes.js.
+    palette: "none",
+    customPalette: [],
+    paletteDither: false,
+    // "none", or a cell fill; see CELL_BACKGROUND_MODES.
+    cellBackground: "none",
+    ...DEFAULT_TONE,
+};
+
+export const resolveConvertOptions = (
+    options = {}
+) => ({
+    ...DEFAULT_CONVERT_OPTIONS,
+    ...options,
+});
+
+// Ranges of the numeric options, matching the Style and Tone controls.
+export const OPTION_RANGES = {
+    columns: [40, 400],
+    lineHeightRatio: [1, 3],
+    densityBias: [-100, 100],
+    edgeThreshold: [0.05, 0.8],
+    brightness: [-100, 100],
+    contrast: [-100, 100],
+    gamma: [0.2, 3],
+    blackLevel: [0, 254],
+    whiteLevel: [1, 255],
+};
+
+// Accepted values of the mode options.
+const getOptionChoices = (key) =>
+    ({
+        dither: DITHER_MODES,
+        palette: PALETTE_OPTIONS,
+        cellBackground: CELL_BACKGROUND_MODES,
+    })[key]?.map(({ value }) => value);
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}){1,2}$/i;
+
+const sanitizeOption = (key, value, fallback) => {
+    if (Array.isArray(fallback))
+        return Array.isArray(value) &&
+            value.length <=
+                MAX_CUSTOM_PALETTE_COLORS &&
+            value.every((item) =>
+                HEX_COLOR.test(item)
+            )
+            ? value
+            : fallback;
+    if (
+        typeof value !== typeof fallback ||
+        value === "" ||
+        (typeof value === "number" &&
+            !Number.isFinite(value))
+    )
+        return fallback;
+    const choices = getOptionChoices(key);
+    if (choices)
+        return choices.includes(value)
+            ? value
+            : fallback;
+    const range = OPTION_RANGES[key];
+    return range
+        ? Math.min(
+              range[1],
+              Math.max(range[0], value)
+          )
+        : value;
+};
+
+// Reads convert options from an untrusted object such as a saved
+// project. Unknown keys are dropped, values of the wrong type or unknown
+// modes fall back to the defaults, and numbers are clamped to
+// OPTION_RANGES.
+export const sanitizeConvertOptions = (
+    options
+) => {
+    const sanitized = Object.fromEntries(
+        Object.entries(
+            DEFAULT_CONVERT_OPTIONS
+        ).map(([key, fallback]) => [
+            key,
+            sanitizeOption(
+                key,
+                options?.[key],
+                fallback
+            ),
+        ])
+    );
+    // The white level has to stay above the black level, as the Tone
+    // panel keeps it.
+    if (
+        sanitized.whiteLevel <=
+        sanitized.blackLevel
+    ) {
+        sanitized.blackLevel =
+            DEFAULT_TONE.blackLevel;
+        sanitized.whiteLevel =
+            DEFAULT_TONE.whiteLevel;
+    }
+    return sanitized;
+};
+
+export const getGlyphs = (charset) => {
+    const glyphs = Array.from(charset || "");
+    return glyphs.length
+        ? glyphs
+        : Array.from(DEFAULT_CHARSET);
+};
+
+export const getGridSize = (
+    width,
+    height,
+    { columns, lineHeightRatio }
+) => {
+    const cellW = Math.max(
+        1,
+        Math.floor(width / Math.max(1, columns))
+    );
+    const cellH = Math.max(
+        1,
+        Math.floor(cellW * lineHeightRatio)
+    );
+    return {
+        cellW,
+        cellH,
+        outW: Math.max(
+            1,
+            Math.floor(width / cellW)
+        ),
+        outH: Math.max(
+            1,
+            Math.floor(height / cellH)
+        ),
+    };
+};
+
+// Box-filters the source down to one pixel per character cell.
+// Transparent pixels are flattened onto white, like the art canvas.
+export const downsample = (
+    imageData,
+    { outW, outH }
+) => {
+    const { width, height, data } = imageData;
+    const out = new Uint8ClampedArray(
+        outW * outH * 4
+    );
+    for (let y = 0; y < outH; y++) {
+        const y0 = Math.floor(
+            (y * height) / outH
+        );
+        const y1 = Math.max(
+            y0 + 1,
+            Math.floor(((y + 1) * height) / outH)
+        );
+        for (let x = 0; x < outW; x++) {
+            const x0 = Math.floor(
+                (x * width) / outW
+            );
+            const x1 = Math.max(
+                x0 + 1,
+                Math.floor(
+                    ((x + 1) * width) / outW
+                )
+            );
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                let idx = (sy * width + x0) * 4;
+                for (let sx = x0; sx < x1; sx++) {
+                    const a = data[idx + 3] / 255;
+                    const white = 255 * (1 - a);
+                    r += data[idx] * a + white;
+                    g +=
+                        data[idx + 1] * a + white;
+                    b +=
+                        data[idx + 2] * a + white;
+                    idx += 4;
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0);
+            const o = (y * outW + x) * 4;
+            out[o] = Math.round(r / count);
+            out[o + 1] = Math.round(g / count);
+            out[o + 2] = Math.round(b / count);
+            out[o + 3] = 255;
+        }
+    }
+    return {
+        width: outW,
+        height: outH,
+        data: out,
+    };
+};
+
+export const sampleImage = (imageData, options) =>
+    downsample(
+        imageData,
+        getGridSize(
+            imageData.width,
+            imageData.height,
+            resolveConvertOptions(options)
+        )
+    );
+
+// Sub-cell samples per character for shape matching. 4 × 7 keeps them
+// roughly square for a 0.6 × 1.1 monospace cell.
+export const SHAPE_GRID = { subX: 4, subY: 7 };
+
+// Samples the source at SHAPE_GRID resolution within each cell of the
+// same grid sampleImage uses.
+export const sampleSubcells = (
+    imageData,
+    options
+) => {
+    const { outW, outH } = getGridSize(
+        imageData.width,
+        imageData.height,
+        resolveConvertOptions(options)
+    );
+    return downsample(imageData, {
+        outW: outW * SHAPE_GRID.subX,
+        outH: outH * SHAPE_GRID.subY,
+    });
+};
+
+export const getLuminance = (r, g, b) =>
+    0.299 * r + 0.587 * g + 0.114 * b;
+
+export const luminanceToLevel = (
+    lum,
+    { densityBias, invert }
+) => {
+    const level = Math.min(
+        1,
+        Math.max(0, lum / 255 + densityBias / 100)
+    );
+    return invert ? level : 1 - level;
+};
+
+export const DITHER_MODES = [
+    { label: "None", value: "none" },
+    {
+        label: "Floyd–Steinberg",
+        value: "floyd-steinberg",
+    },
+    { label: "Atkinson", value: "atkinson" },
+    {
+        label: "Jarvis–Judice–Ninke",
+        value: "jarvis-judice-ninke",
+    },
+    {
+        label: "Ordered (Bayer 4×4)",
+        value: "bayer",
+    },
+];
+
+// Error-diffusion kernels as [dx, dy, weight] triples.
+const DIFFUSION_KERNELS = {
+    "floyd-steinberg": [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16],
+        [0, 1, 5 / 16],
+        [1, 1, 1 / 16],
+    ],
+    atkinson: [
+        [1, 0, 1 / 8],
+        [2, 0, 1 / 8],
+        [-1, 1, 1 / 8],
+        [0, 1, 1 / 8],
+        [1, 1, 1 / 8],
+        [0, 2, 1 / 8],
+    ],
+    "jarvis-judice-ninke": [
+        [1, 0, 7 / 48],
+        [2, 0, 5 / 48],
+        [-2, 1, 3 / 48],
+        [-1, 1, 5 / 48],
+        [0, 1, 7 / 48],
+        [1, 1, 5 / 48],
+        [2, 1, 3 / 48],
+        [-2, 2, 1 / 48],
+        [-1, 2, 3 / 48],
+        [0, 2, 5 / 48],
+        [1, 2, 3 / 48],
+        [2, 2, 1 / 48],
+    ],
+};
+
+const BAYER_4X4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+];
+
+export const computeLuminance = (sampled) => {
+    const { width, height, data } = sampled;
+    const luminance = new Float64Array(
+        width * height
+    );
+    for (let i = 0; i < luminance.length; i++) {
+        const idx = i * 4;
+        luminance[i] = getLuminance(
+            data[idx],
+            data[idx + 1],
+            data[idx + 2]
+        );
+    }
+    return luminance;
+};
+
+// Tone curve for a downsampled image; see src/lib/tone.js.
+export const getToneCurve = (sampled, options) =>
+    buildToneCurve(
+        getHistogram(computeLuminance(sampled)),
+        resolveConvertOptions(options)
+    );
+
+// Per-cell darkness levels in [0, 1] after tonal adjustments, density
+// bias and invert.
+export const computeLevels = (
+    sampled,
+    options,
+    curve = getToneCurve(sampled, options)
+) => {
+    const settings =
+        resolveConvertOptions(options);
+    return computeLuminance(sampled).map((lum) =>
+        luminanceToLevel(
+            applyToneCurve(curve, lum),
+            settings
+        )
+    );
+};
+
+// Quantizes levels to charset indices across the whole grid, so error
+// diffusion can carry over from one row to the next.
+export const computeGlyphIndices = (
+    sampled,
+    options
+) => {
+    const settings =
+        resolveConvertOptions(options);
+    const { width, height } = sampled;
+    const maxIndex =
+        getGlyphs(settings.charset).length - 1;
+    const values = computeLevels(
+        sampled,
+        settings
+    ).map((level) => level * maxIndex);
+    const indices = new Uint16Array(
+        values.length
+    );
+    const kernel =
+        DIFFUSION_KERNELS[settings.dither];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            let value = values[i];
+            if (settings.dither === "bayer") {
+                value +=
+                    (BAYER_4X4[y % 4][x % 4] +
+                        0.5) /
+                        16 -
+                    0.5;
+            }
+            const index = Math.min(
+                maxIndex,
+                Math.max(0, Math.round(value))
+            );
+            indices[i] = index;
+            if (!kernel) continue;
+            const error = values[i] - index;
+            for (const [
+                dx,
+                dy,
+                weight,
+            ] of kernel) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (
+                    nx < 0 ||
+                    nx >= width ||
+                    ny >= height
+                )
+                    continue;
+                values[ny * width + nx] +=
+                    error * weight;
+            }
+        }
+    }
+    return indices;
+};
+
+// Glyphs for edge cells, by edge direction bucket (0°, 45°, 90°, 135°
+// with y pointing down).
+const EDGE_GLYPHS = ["-", "\\", "|", "/"];
+// Minimum darkness for a cell to count as part of a stroke, and how
+// consistent the gradient orientation around it has to be.
+const EDGE_MIN_LEVEL = 0.35;
+const EDGE_MIN_COHERENCE = 0.3;
+
+// Replaces density glyphs along strokes with directional ones. The
+// orientation comes from a 3×3 structure tensor of Sobel gradients, so
+// the centre of a thin line, where the gradient itself cancels out, still
+// picks up the direction of its sides.
+const applyEdgeGlyphs = (
+    sampled,
+    settings,
+    levels,
+    chars
+) => {
+    const { width, height } = sampled;
+    const at = (x, y) =>
+        levels[
+            Math.min(height - 1, Math.max(0, y)) *
+                width +
+                Math.min(
+                    width - 1,
+                    Math.max(0, x)
+                )
+        ];
+    const gxx = new Float32Array(levels.length);
+    const gyy = new Float32Array(levels.length);
+    const gxy = new Float32Array(levels.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const gx =
+                at(x + 1, y - 1) +
+                2 * at(x + 1, y) +
+                at(x + 1, y + 1) -
+                at(x - 1, y - 1) -
+                2 * at(x - 1, y) -
+                at(x - 1, y + 1);
+            // Cells are lineHeightRatio times taller than wide, so scale
+            // the vertical gradient to screen proportions.
+            const gy =
+                (at(x - 1, y + 1) +
+                    2 * at(x, y + 1) +
+                    at(x + 1, y + 1) -
+                    at(x - 1, y - 1) -
+                    2 * at(x, y - 1) -
+                    at(x + 1, y - 1)) /
+                settings.lineHeightRatio;
+            const i = y * width + x;
+            gxx[i] = gx * gx;
+            gyy[i] = gy * gy;
+            gxy[i] = gx * gy;
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (levels[i] < EDGE_MIN_LEVEL)
+                continue;
+            let jxx = 0;
+            let jyy = 0;
+            let jxy = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height)
+                    continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width)
+                        continue;
+                    const n = ny * width + nx;
+                    jxx += gxx[n];
+                    jyy += gyy[n];
+                    jxy += gxy[n];
+                }
+            }
+            const energy = jxx + jyy;
+            // A full-contrast step edge gives a Sobel magnitude of 4.
+            const strength =
+                Math.sqrt(energy / 9) / 4;
+            if (
+                !energy ||
+                strength < settings.edgeThreshold
+            )
+                continue;
+            const anisotropy = Math.sqrt(
+                (jxx - jyy) ** 2 + 4 * jxy * jxy
+            );
+            if (
+                anisotropy / energy <
+                EDGE_MIN_COHERENCE
+            )
+                continue;
+            // Strokes run perpendicular to the dominant gradient.
+            const angle =
+                0.5 *
+                    Math.atan2(
+                        2 * jxy,
+                        jxx - jyy
+                    ) +
+                Math.PI / 2;
+            const bucket =
+                ((Math.round(
+                    angle / (Math.PI / 4)
+                ) %
+                    4) +
+                    4) %
+                4;
+            let char = EDGE_GLYPHS[bucket];
+            // Horizontal strokes with more ink below sit on the baseline.
+            if (
+                bucket === 0 &&
+                at(x, y + 1) > at(x, y - 1) + 0.25
+            )
+                char = "_";
+            chars[i] = char;
+        }
+    }
+    return chars;
+};
+
+// Picks the glyph whose coverage mask best matches each cell's sub-cell
+// pattern. The score adds the mismatch in shape (both patterns centred
+// on their mean) to the mismatch between the cell's mean darkness and
+// the glyph's place in the charset ramp, so tones still follow the
+// charset order and shape decides between glyphs of similar density.
+const matchGlyphShapes = (
+    sampled,
+    settings,
+    { subcells, masks }
+) => {
+    const glyphs = getGlyphs(settings.charset);
+    const { subX, subY } = SHAPE_GRID;
+    const size = subX * subY;
+    const candidates = masks.map((mask, i) => {
+        const mean =
+            mask.reduce((sum, v) => sum + v, 0) /
+            size;
+        return {
+            char: glyphs[i],
+            density:
+                glyphs.length > 1
+                    ? i / (glyphs.length - 1)
+                    : 0,
+            centred: mask.map((v) => v - mean),
+        };
+    });
+    const { width, height } = sampled;
+    // Sub-cells share the cell grid's tone curve.
+    const levels = computeLevels(
+        subcells,
+        settings,
+        getToneCurve(sampled, settings)
+    );
+    const pattern = new Float32Array(size);
+    const chars = new Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let mean = 0;
+            for (let sy = 0; sy < subY; sy++) {
+                const rowOffset =
+                    (y * subY + sy) *
+                        subcells.width +
+                    x * subX;
+                for (
+                    let sx = 0;
+                    sx < subX;
+                    sx++
+                ) {
+                    const v =
+                        levels[rowOffset + sx];
+                    pattern[sy * subX + sx] = v;
+                    mean += v;
+                }
+            }
+            mean /= size;
+            let best = candidates[0];
+            let bestScore = Infinity;
+            for (const candidate of candidates) {
+                const tone =
+                    mean - candidate.density;
+                let score = tone * tone * size;
+                for (let k = 0; k < size; k++) {
+                    const d =
+                        pattern[k] -
+                        mean -
+                        candidate.centred[k];
+                    score += d * d;
+                }
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = candidate;
+                }
+            }
+            chars[y * width + x] = best.char;
+        }
+    }
+    return chars;
+};
+
+// Picks the character for every cell of a downsampled image: the density
+// glyph (after dithering) or the best shape match, then directional
+// glyphs in edge mode. Shape matching needs `shapes` ({ subcells from
+// sampleSubcells, masks from getGlyphMasks }) and falls back to density
+// without it.
+export const computeCellGlyphs = (
+    sampled,
+    options,
+    shapes
+) => {
+    const settings =
+        resolveConvertOptions(options);
+    const glyphs = getGlyphs(settings.charset);
+    const chars =
+        settings.shapeMatching && shapes
+            ? matchGlyphShapes(
+                  sampled,
+                  settings,
+                  shapes
+              )
+            : Array.from(
+                  computeGlyphIndices(
+                      sampled,
+                      settings
+                  ),
+                  (index) => glyphs[index]
+              );
+    if (!settings.edges) return chars;
+    return applyEdgeGlyphs(
+        sampled,
+        settings,
+        computeLevels(sampled, settings),
+        chars
+    );
+};
+
+// Cell colors for the color output: the downsampled image itself, or a
+// copy quantized to the selected palette.
+export const computeCellColors = (
+    sampled,
+    options
+) => {
+    const settings =
+        resolveConvertOptions(options);
+    const colors = getPaletteColors(settings);
+    return colors
+        ? quantizeImage(sampled, colors, {
+              dither: settings.paletteDither,
+          })
+        : sampled;
+};
+
+export const CELL_BACKGROUND_MODES = [
+    { label: "Off", value: "none" },
+    { label: "Cell color", value: "pixel" },
+    {
+        label: "Blurred surroundings",
+        value: "blur",
+    },
+];
+
+// How far glyph colors move toward black or white, away from the cell
+// background, so the characters stay readable on top of it.
+const GLYPH_CONTRAST = 0.55;
+
+// 3×3 box blur of the downsampled grid; edge cells average only their
+// in-bounds neighbors.
+const blurCells = (sampled) => {
+    const { width, height, data } = sampled;
+    const out = new Uint8ClampedArray(
+        data.length
+    );
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let count = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                const sy = y + dy;
+                if (sy < 0 || sy >= height)
+                    continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const sx = x + dx;
+                    if (sx < 0 || sx >= width)
+                        continue;
+                    const i =
+                        (sy * width + sx) * 4;
+                    r += data[i];
+                    g += data[i + 1];
+                    b += data[i + 2];
+                    count++;
+                }
+            }
+            const o = (y * width + x) * 4;
+            out[o] = Math.round(r / count);
+            out[o + 1] = Math.round(g / count);
+            out[o + 2] = Math.round(b / count);
+            out[o + 3] = 255;
+        }
+    }
+    return { width, height, data: out };
+};
+
+// Cell fills for the background mode: each cell's own color, or a blur
+// of its neighborhood as a second sample. Null when the mode is off.
+export const computeCellBackgrounds = (
+    sampled,
+    options,
+    cellColors = computeCellColors(
+        sampled,
+        options
+    )
+) => {
+    const settings =
+        resolveConvertOptions(options);
+    if (settings.cellBackground === "pixel")
+        return cellColors;
+    if (settings.cellBackground !== "blur")
+        return null;
+    const blurred = blurCells(sampled);
+    const colors = getPaletteColors(settings);
+    return colors
+        ? quantizeImage(blurred, colors)
+        : blurred;
+};
+
+// Glyph color over a background fill: the cell color pushed toward
+// black on light fills and toward white on dark ones, then snapped to
+// the palette when there is one.
+const getContrastColor = (
+    colors,
+    [r, g, b],
+    [br, bg, bb]
+) => {
+    const target =
+        getLuminance(br, bg, bb) > 127 ? 0 : 255;
+    const shade = [r, g, b].map((v) =>
+        Math.round(
+            v + (target - v) * GLYPH_CONTRAST
+        )
+    );
+    return colors
+        ? colors[
+              findNearestColor(colors, ...shade)
+          ]
+        : shade;
+};
+
+// Maps rows [startRow, endRow) of a downsampled image to characters.
+// Returns the text rows and a matching matrix of { char, color } cells,
+// plus a background per cell when a cell background mode is on. Pass
+// the grid's cell glyphs, colors and backgrounds when mapping in chunks
+// so they are only computed once.
+export const mapRows = (
+    sampled,
+    options,
+    startRow = 0,
+    endRow = sampled.height,
+    cellGlyphs = computeCellGlyphs(
+        sampled,
+        options
+    ),
+    cellColors = computeCellColors(
+        sampled,
+        options
+    ),
+    cellBackgrounds = computeCellBackgrounds(
+        sampled,
+        options,
+        cellColors
+    )
+) => {
+    const { width } = sampled;
+    const { data } = cellColors;
+    const palette = cellBackgrounds
+        ? getPaletteColors(
+              resolveConvertOptions(options)
+          )
+        : null;
+    const rows = [];
+    const colorMatrix = [];
+    for (let y = startRow; y < endRow; y++) {
+        const rowChars = new Array(width);
+        const rowCells = new Array(width);
+        const rowOffset = y * width;
+        for (let x = 0; x < width; x++) {
+            const idx = (rowOffset + x) * 4;
+            const r = data[idx];
+            const g = data[idx + 1];
+            const b = data[idx + 2];
+            const char =
+                cellGlyphs[rowOffset + x];
+            rowChars[x] = char;
+            if (!cellBackgrounds) {
+                rowCells[x] = {
+                    char,
+                    color: `rgb(${r}, ${g}, ${b})`,
+                };
+                continue;
+            }
+            const fill = cellBackgrounds.data;
+            const background = [
+                fill[idx],
+                fill[idx + 1],
+                fill[idx + 2],
+            ];
+            const [cr, cg, cb] = getContrastColor(
+                palette,
+                [r, g, b],
+                background
+            );
+            rowCells[x] = {
+                char,
+                color: `rgb(${cr}, ${cg}, ${cb})`,
+                background: `rgb(${background.join(
+                    ", "
+                )})`,
+            };
+        }
+        rows.push(rowChars.join(""));
+        colorMatrix.push(rowCells);
+    }
+    return { rows, colorMatrix };
+};
+
+/**
+ * Converts full-resolution ImageData into ASCII art.
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} imageData
+ * @param {Partial<typeof DEFAULT_CONVERT_OPTIONS>} options
+ * @param {{ masks?: Float32Array[] }} [shapes] Glyph masks for shape matching
+ * @returns {{ rows: string[], colorMatrix: { char: string, color: string, background?: string }[][], width: number, height: number }}
+ */
+export const convert = (
+    imageData,
+    options = {},
+    { masks } = {}
+) => {
+    const settings =
+        resolveConvertOptions(options);
+    const sampled = sampleImage(
+        imageData,
+        settings
+    );
+    const shapes =
+        settings.shapeMatching && masks
+            ? {
+                  subcells: sampleSubcells(
+                      imageData,
+                      settings
+                  ),
+                  masks,
+              }
+            : null;
+    const { rows, colorMatrix } = mapRows(
+        sampled,
+        settings,
+        0,
+        sampled.height,
+        computeCellGlyphs(
+            sampled,
+            settings,
+            shapes
+        )
+    );
+    return {
+        rows,
+        colorMatrix,
+        width: sampled.width,
+        height: sampled.height,
+    };
+};
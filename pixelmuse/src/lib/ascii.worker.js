@@ -0,0 +1,200 @@
+import {
+    SHAPE_GRID,
+    computeCellBackgrounds,
+    computeCellColors,
+    computeCellGlyphs,
+    computeLuminance,
+    mapRows,
+    resolveConvertOptions,
+    sampleImage,
+    sampleSubcells,
+} from "./ascii.js";
+import { getGlyphMasks } from "./glyphMasks.js";
+
+const TARGET_CELLS_PER_CHUNK = 48000;
+
+let activeJobId = 0;
+// The last source image and its downsampled grids. A "remap" message
+// converts it again with new mapping options, resampling only when the
+// grid (columns or line height) changed. A "luminance" message returns
+// the grid's luminance for the Tone panel's histogram, from a new image
+// when it carries one.
+let cache = null;
+
+const readBitmap = (bitmap) => {
+    const canvas = new OffscreenCanvas(
+        bitmap.width,
+        bitmap.height
+    );
+    const ctx = canvas.getContext("2d", {
+        willReadFrequently: true,
+    });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(
+        0,
+        0,
+        canvas.width,
+        canvas.height
+    );
+};
+
+const getCachedSamples = (options) => {
+    const {
+        columns,
+        lineHeightRatio,
+        shapeMatching,
+    } = resolveConvertOptions(options);
+    const gridKey = `${columns}:${lineHeightRatio}`;
+    if (cache.gridKey !== gridKey) {
+        cache.gridKey = gridKey;
+        cache.sampled = sampleImage(
+            cache.source,
+            options
+        );
+        cache.subcells = null;
+    }
+    if (shapeMatching && !cache.subcells)
+        cache.subcells = sampleSubcells(
+            cache.source,
+            options
+        );
+    return cache;
+};
+
+const postError = (jobId, error) =>
+    self.postMessage({
+        type: "error",
+        jobId,
+        message: error?.message ?? String(error),
+    });
+
+const postLuminance = ({ jobId, options }) => {
+    const luminance = computeLuminance(
+        getCachedSamples(options).sampled
+    );
+    self.postMessage(
+        { type: "luminance", jobId, luminance },
+        [luminance.buffer]
+    );
+};
+
+const runJob = ({ jobId, options }) => {
+    activeJobId = jobId;
+    const { sampled, subcells } =
+        getCachedSamples(options);
+    const { width, height } = sampled;
+    const { charset, shapeMatching } =
+        resolveConvertOptions(options);
+    const cellGlyphs = computeCellGlyphs(
+        sampled,
+        options,
+        shapeMatching
+            ? {
+                  subcells,
+                  masks: getGlyphMasks(
+                      charset,
+                      SHAPE_GRID
+                  ),
+              }
+            : null
+    );
+    const cellColors = computeCellColors(
+        sampled,
+        options
+    );
+    const cellBackgrounds =
+        computeCellBackgrounds(
+            sampled,
+            options,
+            cellColors
+        );
+    const rowsPerChunk = Math.max(
+        1,
+        Math.floor(
+            TARGET_CELLS_PER_CHUNK /
+                Math.max(width, 1)
+        )
+    );
+    self.postMessage({
+        type: "start",
+        jobId,
+        width,
+        height,
+    });
+
+    // Later chunks run from a timer, outside onmessage's try, so each
+    // chunk reports its own errors.
+    const processChunk = (startRow) => {
+        if (activeJobId !== jobId) return;
+        try {
+            const endRow = Math.min(
+                height,
+                startRow + rowsPerChunk
+            );
+            const { rows, colorMatrix } = mapRows(
+                sampled,
+                options,
+                startRow,
+                endRow,
+                cellGlyphs,
+                cellColors,
+                cellBackgrounds
+            );
+            self.postMessage({
+                type: "rows",
+                jobId,
+                startRow,
+                rows,
+                colorMatrix,
+            });
+            if (endRow < height) {
+                // Yield so a newer job or a cancel can supersede this one.
+                setTimeout(
+                    () => processChunk(endRow),
+                    0
+                );
+                return;
+            }
+            self.postMessage({
+                type: "done",
+                jobId,
+            });
+        } catch (error) {
+            postError(jobId, error);
+        }
+    };
+
+    processChunk(0);
+};
+
+self.onmessage = ({ data }) => {
+    if (data.type === "cancel") {
+        activeJobId = 0;
+        return;
+    }
+    if (
+        data.type !== "convert" &&
+        data.type !== "remap" &&
+        data.type !== "luminance"
+    )
+        return;
+    try {
+        if (data.bitmap || data.imageData) {
+            cache = {
+                source: data.bitmap
+                    ? readBitmap(data.bitmap)
+                    : data.imageData,
+            };
+        } else if (!cache) {
+            throw new Error(
+                "No image yet; send a convert first"
+            );
+        }
+        if (data.type === "luminance")
+            postLuminance(data);
+        else runJob(data);
+    } catch (error) {
+        postError(data.jobId, error);
+    }
+};
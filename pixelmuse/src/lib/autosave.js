@@ -0,0 +1,170 @@
+// Session autosave in IndexedDB. Each page load writes to its own record,
+// holding the project from captureProject (layer images as PNG Blobs), and
+// old records are pruned so storage stays bounded.
+
+const DB_NAME = "pixelmuse";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+export const AUTOSAVE_DELAY_MS = 2000;
+// Continuous drawing still saves at least this often.
+export const AUTOSAVE_MAX_WAIT_MS = 15000;
+export const MAX_SAVED_SESSIONS = 3;
+export const MAX_SESSION_AGE_MS =
+    7 * 24 * 60 * 60 * 1000;
+
+let databasePromise = null;
+
+const openDatabase = () =>
+    new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+            reject(
+                new Error(
+                    "IndexedDB is not available"
+                )
+            );
+            return;
+        }
+        const request = indexedDB.open(
+            DB_NAME,
+            DB_VERSION
+        );
+        request.onupgradeneeded = () =>
+            request.result.createObjectStore(
+                STORE,
+                { keyPath: "id" }
+            );
+        request.onsuccess = () =>
+            resolve(request.result);
+        request.onerror = () =>
+            reject(request.error);
+    });
+
+const getDatabase = () => {
+    databasePromise ??= openDatabase().catch(
+        (error) => {
+            databasePromise = null;
+            throw error;
+        }
+    );
+    return databasePromise;
+};
+
+// Runs `action` against the store in one transaction and resolves with
+// the result of the request it returns, once the transaction commits.
+const withStore = async (mode, action) => {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(
+            STORE,
+            mode
+        );
+        const request = action(
+            transaction.objectStore(STORE)
+        );
+        transaction.oncomplete = () =>
+            resolve(request?.result);
+        transaction.onerror = () =>
+            reject(transaction.error);
+        transaction.onabort = () =>
+            reject(transaction.error);
+    });
+};
+
+const getSessions = async () =>
+    (
+        (await withStore("readonly", (store) =>
+            store.getAll()
+        )) ?? []
+    ).sort((a, b) => b.savedAt - a.savedAt);
+
+// Drops sessions past the count or age limit, newest first.
+const pruneSessions = async () => {
+    const now = Date.now();
+    const stale = (await getSessions()).filter(
+        ({ savedAt }, index) =>
+            index >= MAX_SAVED_SESSIONS ||
+            now - savedAt > MAX_SESSION_AGE_MS
+    );
+    if (!stale.length) return;
+    await withStore("readwrite", (store) => {
+        stale.forEach(({ id }) =>
+            store.delete(id)
+        );
+    });
+};
+
+export const createSessionId = () =>
+    `${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+
+export const saveSession = async (
+    id,
+    project
+) => {
+    await withStore("readwrite", (store) =>
+        store.put({
+            id,
+            savedAt: Date.now(),
+            project,
+        })
+    );
+    await pruneSessions();
+};
+
+// The newest session still within the retention limits, or null.
+export const getLatestSession = async () => {
+    const [latest] = await getSessions();
+    return latest &&
+        Date.now() - latest.savedAt <=
+            MAX_SESSION_AGE_MS
+        ? latest
+        : null;
+};
+
+export const deleteSession = (id) =>
+    withStore("readwrite", (store) =>
+        store.delete(id)
+    );
+
+// Debounces `save` by `delay`, but never postpones it more than
+// `maxWait` after the first change it is waiting on.
+export const createAutosaver = (
+    save,
+    {
+        delay = AUTOSAVE_DELAY_MS,
+        maxWait = AUTOSAVE_MAX_WAIT_MS,
+    } = {}
+) => {
+    let timer = null;
+    let pendingSince = null;
+    const run = () => {
+        clearTimeout(timer);
+        timer = null;
+        pendingSince = null;
+        save();
+    };
+    return {
+        schedule() {
+            const now = Date.now();
+            pendingSince ??= now;
+            clearTimeout(timer);
+            timer = setTimeout(
+                run,
+                Math.max(
+                    0,
+                    Math.min(
+                        delay,
+                        pendingSince +
+                            maxWait -
+                            now
+                    )
+                )
+            );
+        },
+        flush() {
+            if (pendingSince !== null) run();
+        },
+    };
+};
@@ -0,0 +1,1171 @@
+import {
+    PALETTES,
+    findNearestColor,
+} from "./palettes.js";
+import {
+    getGlyphPath,
+    subsetFont,
+    toBase64,
+} from "./fonts.js";
+
+export const escapeForHtml = (char) => {
+    if (char === "&") return "&amp;";
+    if (char === "<") return "&lt;";
+    if (char === ">") return "&gt;";
+    if (char === '"') return "&quot;";
+    if (char === "'") return "&#39;";
+    if (char === " ") return "&nbsp;";
+    return char;
+};
+
+export const escapeForSvg = (char) => {
+    if (char === "&") return "&amp;";
+    if (char === "<") return "&lt;";
+    if (char === ">") return "&gt;";
+    if (char === '"') return "&quot;";
+    if (char === "'") return "&#39;";
+    return char;
+};
+
+export const buildColorHtmlRow = (rowCells) =>
+    rowCells
+        .map(
+            ({ char, color, background }) =>
+                `<span style="color: ${color}${
+                    background
+                        ? `; background-color: ${background}`
+                        : ""
+                }">${escapeForHtml(char)}</span>`
+        )
+        .join("");
+
+// Background cells fill the whole line box, so rows meet without gaps.
+const CELL_BACKGROUND_SELECTOR =
+    'span[style*="background"]';
+
+export const buildColorHtml = (colorMatrix) => {
+    const output = colorMatrix
+        .map(buildColorHtmlRow)
+        .join("\n");
+    return output ? output + "\n" : "";
+};
+
+// Largest per-channel difference, 0-255, at which neighboring cells
+// still share a span in the compact color HTML.
+export const MAX_COLOR_TOLERANCE = 64;
+export const DEFAULT_COLOR_TOLERANCE = 6;
+
+const parseCssRgb = (color) =>
+    color.match(/\d+/g).slice(0, 3).map(Number);
+
+const isSimilarColor = (a, b, tolerance) => {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    const ca = parseCssRgb(a);
+    const cb = parseCssRgb(b);
+    return ca.every(
+        (v, i) => Math.abs(v - cb[i]) <= tolerance
+    );
+};
+
+// Splits a row into runs of cells with similar colors. Blanks without a
+// background take any color, so they join the current run; a run of
+// blanks alone has no color and is written as plain text.
+export const mergeColorRuns = (
+    rowCells,
+    tolerance = 0
+) => {
+    const runs = [];
+    let run = null;
+    for (const {
+        char,
+        color,
+        background = null,
+    } of rowCells) {
+        const visible = Boolean(char.trim());
+        const fits =
+            run &&
+            isSimilarColor(
+                run.background,
+                background,
+                tolerance
+            ) &&
+            (!visible ||
+                !run.color ||
+                isSimilarColor(
+                    run.color,
+                    color,
+                    tolerance
+                ));
+        if (fits) {
+            run.text += char;
+            if (visible && !run.color)
+                run.color = color;
+            continue;
+        }
+        run = {
+            text: char,
+            color: visible ? color : null,
+            background,
+        };
+        runs.push(run);
+    }
+    return runs;
+};
+
+const getRunStyle = ({ color, background }) =>
+    [
+        color && `color: ${color}`,
+        background &&
+            `background-color: ${background}`,
+    ]
+        .filter(Boolean)
+        .join("; ");
+
+// Spaces stay literal, since the runs always sit in a white-space: pre
+// block.
+const escapeRunText = (text) =>
+    Array.from(text, (char) =>
+        char === " " ? char : escapeForHtml(char)
+    ).join("");
+
+// Color HTML with adjacent similar cells merged into one span. Styles
+// used by more than one run become CSS classes, most frequent first so
+// they get the shortest names. Returns the markup and a map of style to
+// class name for buildColorClassCss.
+export const buildCompactColorHtml = (
+    colorMatrix,
+    { tolerance = DEFAULT_COLOR_TOLERANCE } = {}
+) => {
+    const rows = colorMatrix.map((rowCells) =>
+        mergeColorRuns(rowCells, tolerance).map(
+            (run) => ({
+                text: run.text,
+                style: getRunStyle(run),
+            })
+        )
+    );
+    const counts = new Map();
+    for (const row of rows) {
+        for (const { style } of row) {
+            if (style)
+                counts.set(
+                    style,
+                    (counts.get(style) ?? 0) + 1
+                );
+        }
+    }
+    const classes = new Map(
+        [...counts]
+            .filter(([, count]) => count > 1)
+            .sort((a, b) => b[1] - a[1])
+            .map(([style], index) => [
+                style,
+                `c${index.toString(36)}`,
+            ])
+    );
+    const html = rows
+        .map((row) =>
+            row
+                .map(({ text, style }) => {
+                    const content =
+                        escapeRunText(text);
+                    if (!style) return content;
+                    const name =
+                        classes.get(style);
+                    return name
+                        ? `<span class="${name}">${content}</span>`
+                        : `<span style="${style}">${content}</span>`;
+                })
+                .join("")
+        )
+        .join("\n");
+    return {
+        html: html ? html + "\n" : "",
+        classes,
+    };
+};
+
+// CSS rules for the compact HTML's classes, scoped under a selector.
+// Classes with a background also get the full-line box that
+// CELL_BACKGROUND_SELECTOR gives inline styles, which can't match them.
+export const buildColorClassCss = (
+    classes,
+    scope = "pre"
+) => {
+    const rules = [...classes].map(
+        ([style, name]) =>
+            `${scope} .${name} { ${style}; }`
+    );
+    const backgroundSelectors = [...classes]
+        .filter(([style]) =>
+            style.includes("background-color")
+        )
+        .map(([, name]) => `${scope} .${name}`);
+    if (backgroundSelectors.length)
+        rules.push(
+            `${backgroundSelectors.join(
+                ", "
+            )} { display: inline-block; height: 1lh; vertical-align: top; }`
+        );
+    return rules.join("\n");
+};
+
+export const ASCII_TARGET_WIDTH = 900;
+export const ASCII_MAX_FONT_SIZE = 12;
+export const ASCII_MIN_FONT_SIZE = 3;
+export const ASCII_CHAR_ASPECT_RATIO = 0.6;
+export const ASCII_BASE_LINE_HEIGHT = 1.1;
+export const ASCII_FONT_FAMILY =
+    '"JetBrains Mono", "Fira Code", "Cascadia Code", monospace';
+
+// Preview font size the app derives from the column count; every
+// exporter uses it so files match what the result dialog shows.
+export const getAsciiFontSize = (columns) => {
+    const safeColumns = Math.max(1, columns);
+    const widthLimitedFont =
+        ASCII_TARGET_WIDTH /
+        (safeColumns * ASCII_CHAR_ASPECT_RATIO);
+    const clampedFont = Math.max(
+        ASCII_MIN_FONT_SIZE,
+        Math.min(
+            ASCII_MAX_FONT_SIZE,
+            widthLimitedFont
+        )
+    );
+    return Number(clampedFont.toFixed(2));
+};
+
+export const getAsciiLineHeight = (fontSize) => {
+    const scale = fontSize / ASCII_MAX_FONT_SIZE;
+    const computed =
+        ASCII_BASE_LINE_HEIGHT *
+        Math.max(scale, 0.75);
+    return Number(computed.toFixed(2));
+};
+
+export const buildAsciiText = (rows) => {
+    const output = rows.join("\n");
+    return output ? output + "\n" : "";
+};
+
+// Color pairs shared by every exporter and the result preview.
+export const EXPORT_THEMES = {
+    light: {
+        label: "Light",
+        background: "#ffffff",
+        foreground: "#0f172a",
+    },
+    dark: {
+        label: "Dark",
+        background: "#0f172a",
+        foreground: "#e2e8f0",
+    },
+    terminal: {
+        label: "Terminal Green",
+        background: "#000000",
+        foreground: "#33ff33",
+    },
+    amber: {
+        label: "Amber",
+        background: "#1a1000",
+        foreground: "#ffb000",
+    },
+    paper: {
+        label: "Paper",
+        background: "#f4ecd8",
+        foreground: "#3b2f1e",
+    },
+};
+
+export const MAX_EXPORT_PADDING = 200;
+
+// A named theme, or "custom" with its own colors. Padding is in pixels
+// at the preview font size.
+export const DEFAULT_EXPORT_THEME = {
+    theme: "light",
+    background: EXPORT_THEMES.light.background,
+    foreground: EXPORT_THEMES.light.foreground,
+    padding: 24,
+};
+
+export const resolveExportTheme = ({
+    theme,
+    background,
+    foreground,
+    padding,
+} = DEFAULT_EXPORT_THEME) => ({
+    background:
+        EXPORT_THEMES[theme]?.background ??
+        background,
+    foreground:
+        EXPORT_THEMES[theme]?.foreground ??
+        foreground,
+    padding,
+});
+
+// Reads an export theme from an untrusted object such as a preset file,
+// falling back to the default for anything missing or malformed.
+export const sanitizeExportTheme = (settings) => {
+    const pick = (key, isValid) =>
+        isValid(settings?.[key])
+            ? settings[key]
+            : DEFAULT_EXPORT_THEME[key];
+    const isColor = (value) =>
+        /^#[0-9a-f]{6}$/i.test(value);
+    return {
+        theme: pick(
+            "theme",
+            (value) =>
+                value === "custom" ||
+                Object.hasOwn(
+                    EXPORT_THEMES,
+                    value
+                )
+        ),
+        background: pick("background", isColor),
+        foreground: pick("foreground", isColor),
+        padding: Math.min(
+            MAX_EXPORT_PADDING,
+            Math.max(
+                0,
+                pick("padding", Number.isFinite)
+            )
+        ),
+    };
+};
+
+// Font size and line height for standalone HTML documents.
+const getDocumentTypography = (
+    requestedFontSize
+) => {
+    const normalizedFontSize = Math.max(
+        ASCII_MIN_FONT_SIZE,
+        Math.min(
+            ASCII_MAX_FONT_SIZE,
+            requestedFontSize
+        )
+    );
+    const fontSize = Number(
+        normalizedFontSize.toFixed(2)
+    );
+    const lineHeight = Number(
+        ASCII_BASE_LINE_HEIGHT *
+            Math.max(
+                0.75,
+                fontSize / ASCII_MAX_FONT_SIZE
+            )
+    ).toFixed(2);
+    return { fontSize, lineHeight };
+};
+
+// Wraps color HTML in a standalone page. Pass buildColorClassCss as
+// styles when the markup uses compact classes.
+export const buildColorAsciiDocument = (
+    content,
+    requestedFontSize = ASCII_MAX_FONT_SIZE,
+    {
+        styles = "",
+        theme = resolveExportTheme(),
+    } = {}
+) => {
+    const { fontSize, lineHeight } =
+        getDocumentTypography(requestedFontSize);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Colored ASCII Art</title>
+    <style>
+      body {
+        background: ${theme.background};
+        color: ${theme.foreground};
+        margin: 0;
+        min-height: 100vh;
+        padding: ${theme.padding}px;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+      }
+      .ascii-wrapper {
+        width: min(100%, 1400px);
+      }
+      pre {
+        font-family: ${ASCII_FONT_FAMILY};
+        font-size: ${fontSize}px;
+        line-height: ${lineHeight};
+        margin: 0;
+        white-space: pre;
+        overflow: auto;
+        width: 100%;
+      }
+      pre ${CELL_BACKGROUND_SELECTOR} {
+        display: inline-block;
+        height: ${lineHeight}em;
+        vertical-align: top;
+      }${styles
+          .split("\n")
+          .filter(Boolean)
+          .map((rule) => `\n      ${rule}`)
+          .join("")}
+    </style>
+  </head>
+  <body>
+    <div class="ascii-wrapper">
+      <pre>${content}</pre>
+    </div>
+  </body>
+</html>`;
+};
+
+// Family name an embedded font subset is registered under.
+const EMBEDDED_FONT_FAMILY = "PixelMuse Export";
+// Share of the font size above the baseline when no font file is given.
+const DEFAULT_ASCENT_RATIO = 0.8;
+
+const formatSvgNumber = (value) =>
+    value.toFixed(2);
+
+// Merges a row's equal background fills into one rect per run.
+const buildBackgroundRects = (
+    rowCells,
+    { x, y, charWidth, height }
+) => {
+    const rects = [];
+    let start = 0;
+    for (let i = 1; i <= rowCells.length; i++) {
+        const fill = rowCells[start].background;
+        if (
+            i < rowCells.length &&
+            rowCells[i].background === fill
+        )
+            continue;
+        if (fill)
+            rects.push(
+                `<rect x="${formatSvgNumber(
+                    x + start * charWidth
+                )}" y="${formatSvgNumber(
+                    y
+                )}" width="${formatSvgNumber(
+                    (i - start) * charWidth
+                )}" height="${formatSvgNumber(
+                    height
+                )}" fill="${fill}" shape-rendering="crispEdges" />`
+            );
+        start = i;
+    }
+    return rects;
+};
+
+// One <text> per row with a <tspan> per color run, stretched to the
+// grid width so columns line up whatever font the viewer falls back to.
+// With a TrueType font, glyphs can instead be embedded as a base64
+// subset or converted to outlined paths for cutters and plotters.
+export const buildAsciiSvgDocument = ({
+    lines,
+    fontSize,
+    lineHeight,
+    colorMatrix,
+    background = DEFAULT_EXPORT_THEME.background,
+    foreground = DEFAULT_EXPORT_THEME.foreground,
+    padding = DEFAULT_EXPORT_THEME.padding,
+    font = null,
+    embedFont = false,
+    outline = false,
+}) => {
+    if ((embedFont || outline) && !font)
+        throw new Error(
+            "Embedding or outlining glyphs needs a font file"
+        );
+    const charWidth =
+        fontSize * ASCII_CHAR_ASPECT_RATIO;
+    const lineHeightPx = fontSize * lineHeight;
+    // Columns are characters, not UTF-16 units, so astral glyphs
+    // take one cell like any other.
+    const maxColumns = lines.reduce(
+        (max, line) =>
+            Math.max(
+                max,
+                Array.from(line).length
+            ),
+        0
+    );
+    const width =
+        Math.max(1, maxColumns * charWidth) +
+        padding * 2;
+    const height =
+        Math.max(1, lines.length * lineHeightPx) +
+        padding * 2;
+    const fontFamily = `${
+        embedFont
+            ? `'${EMBEDDED_FONT_FAMILY}', `
+            : ""
+    }'JetBrains Mono', 'Fira Code', 'Cascadia Code', monospace`;
+    // Baseline of the em box centered in each line.
+    const ascent = font
+        ? font.ascender /
+          (font.ascender - font.descender)
+        : DEFAULT_ASCENT_RATIO;
+    const baselineOffset =
+        (lineHeightPx - fontSize) / 2 +
+        fontSize * ascent;
+    const glyphScale = font
+        ? fontSize / font.unitsPerEm
+        : 0;
+
+    const backgrounds = [];
+    const elements = [];
+    for (let y = 0; y < lines.length; y++) {
+        const row = lines[y];
+        const rowCells =
+            colorMatrix?.[y] ??
+            Array.from(row, (char) => ({
+                char,
+            }));
+        const top = padding + y * lineHeightPx;
+        const baseline = top + baselineOffset;
+        backgrounds.push(
+            ...buildBackgroundRects(rowCells, {
+                x: padding,
+                y: top,
+                charWidth,
+                height: lineHeightPx,
+            })
+        );
+        const length = Array.from(
+            row.trimEnd()
+        ).length;
+        if (!length) continue;
+        // Fills are separate rects, so runs only split on glyph color.
+        const runs = mergeColorRuns(
+            rowCells
+                .slice(0, length)
+                .map(({ char, color }) => ({
+                    char,
+                    color,
+                }))
+        );
+
+        if (outline) {
+            let column = 0;
+            for (const { text, color } of runs) {
+                let d = "";
+                for (const char of text) {
+                    const advance =
+                        font.getAdvance(
+                            font.getGlyphId(
+                                char.codePointAt(
+                                    0
+                                )
+                            )
+                        ) * glyphScale;
+                    if (char.trim())
+                        d += getGlyphPath(
+                            font,
+                            char,
+                            padding +
+                                column *
+                                    charWidth +
+                                (charWidth -
+                                    advance) /
+                                    2,
+                            baseline,
+                            fontSize
+                        );
+                    column++;
+                }
+                if (d)
+                    elements.push(
+                        `<path fill="${
+                            color || foreground
+                        }" d="${d}" />`
+                    );
+            }
+            continue;
+        }
+
+        const spans = runs
+            .map(({ text, color }) => {
+                const content = Array.from(
+                    text,
+                    escapeForSvg
+                ).join("");
+                return color
+                    ? `<tspan fill="${color}">${content}</tspan>`
+                    : content;
+            })
+            .join("");
+        elements.push(
+            `<text x="${formatSvgNumber(
+                padding
+            )}" y="${formatSvgNumber(
+                baseline
+            )}" textLength="${formatSvgNumber(
+                length * charWidth
+            )}" lengthAdjust="spacing">${spans}</text>`
+        );
+    }
+
+    const defs = embedFont
+        ? `<defs>
+    <style>@font-face { font-family: "${EMBEDDED_FONT_FAMILY}"; src: url(data:font/ttf;base64,${toBase64(
+        subsetFont(font, lines.join(""))
+    )}) format("truetype"); }</style>
+  </defs>
+  `
+        : "";
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${formatSvgNumber(
+        width
+    )}" height="${formatSvgNumber(
+        height
+    )}" viewBox="0 0 ${formatSvgNumber(
+        width
+    )} ${formatSvgNumber(
+        height
+    )}" font-family="${fontFamily}" font-size="${fontSize}" fill="${foreground}" xml:space="preserve">
+  ${defs}<rect width="100%" height="100%" fill="${background}" />
+  ${[...backgrounds, ...elements].join("\n  ")}
+</svg>`;
+};
+
+// Browsers refuse to create canvases much larger than this per side.
+export const MAX_PNG_SIDE = 16384;
+
+// Fixed cell grid for a PNG export. The font size is either the preview
+// size times a scale, or the largest size whose grid plus padding fits
+// an exact width and/or height; the grid is centered in that canvas.
+// Padding is given in pixels at the preview font size.
+export const getPngLayout = ({
+    columns,
+    rows,
+    fontSize,
+    lineHeight,
+    padding = DEFAULT_EXPORT_THEME.padding,
+    scale = 1,
+    width,
+    height,
+}) => {
+    const paddingEm = padding / fontSize;
+    const widthEm =
+        columns * ASCII_CHAR_ASPECT_RATIO +
+        paddingEm * 2;
+    const heightEm =
+        rows * lineHeight + paddingEm * 2;
+    const exportFontSize =
+        width || height
+            ? Math.min(
+                  width
+                      ? width / widthEm
+                      : Infinity,
+                  height
+                      ? height / heightEm
+                      : Infinity
+              )
+            : fontSize * scale;
+    const cellWidth =
+        exportFontSize * ASCII_CHAR_ASPECT_RATIO;
+    const cellHeight =
+        exportFontSize * lineHeight;
+    const canvasWidth =
+        width ||
+        Math.ceil(widthEm * exportFontSize);
+    const canvasHeight =
+        height ||
+        Math.ceil(heightEm * exportFontSize);
+    return {
+        fontSize: exportFontSize,
+        cellWidth,
+        cellHeight,
+        width: canvasWidth,
+        height: canvasHeight,
+        offsetX:
+            (canvasWidth - columns * cellWidth) /
+            2,
+        offsetY:
+            (canvasHeight - rows * cellHeight) /
+            2,
+    };
+};
+
+// Unit lengths in inches.
+export const PRINT_UNITS = {
+    in: 1,
+    cm: 1 / 2.54,
+};
+
+export const DEFAULT_PNG_SETTINGS = {
+    sizeMode: "scale",
+    scale: 1,
+    width: "",
+    height: "",
+    printWidth: 8,
+    printUnit: "in",
+    dpi: 300,
+    transparent: false,
+    useColors: true,
+};
+
+// Target canvas width and height for the settings; either may be
+// undefined to follow the grid's aspect ratio.
+export const getPngTargetSize = (settings) => {
+    if (settings.sizeMode === "pixels")
+        return {
+            width:
+                Math.round(
+                    Number(settings.width)
+                ) || undefined,
+            height:
+                Math.round(
+                    Number(settings.height)
+                ) || undefined,
+        };
+    if (settings.sizeMode === "print")
+        return {
+            width:
+                Math.round(
+                    settings.printWidth *
+                        PRINT_UNITS[
+                            settings.printUnit
+                        ] *
+                        settings.dpi
+                ) || undefined,
+        };
+    return {};
+};
+
+const CRC_TABLE = Array.from(
+    { length: 256 },
+    (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++)
+            c =
+                c & 1
+                    ? 0xedb88320 ^ (c >>> 1)
+                    : c >>> 1;
+        return c >>> 0;
+    }
+);
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (const byte of bytes)
+        crc =
+            CRC_TABLE[(crc ^ byte) & 0xff] ^
+            (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Returns PNG bytes with a pHYs chunk recording the print resolution,
+// inserted right after the IHDR chunk.
+export const setPngDpi = (bytes, dpi) => {
+    const pixelsPerMeter = Math.round(
+        dpi / 0.0254
+    );
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set(
+        Array.from("pHYs", (c) =>
+            c.charCodeAt(0)
+        ),
+        4
+    );
+    view.setUint32(8, pixelsPerMeter);
+    view.setUint32(12, pixelsPerMeter);
+    chunk[16] = 1;
+    view.setUint32(
+        17,
+        crc32(chunk.subarray(4, 17))
+    );
+    // Signature (8 bytes) plus the 25-byte IHDR chunk.
+    const ihdrEnd = 33;
+    const result = new Uint8Array(
+        bytes.length + chunk.length
+    );
+    result.set(bytes.subarray(0, ihdrEnd));
+    result.set(chunk, ihdrEnd);
+    result.set(
+        bytes.subarray(ihdrEnd),
+        ihdrEnd + chunk.length
+    );
+    return result;
+};
+
+// A self-contained HTML page that plays text frames with play/pause and
+// loop controls. Frames are embedded as a JSON array of strings.
+export const buildAnimationHtml = (
+    frames,
+    {
+        fps,
+        fontSize:
+            requestedFontSize = ASCII_MAX_FONT_SIZE,
+        theme = resolveExportTheme(),
+    }
+) => {
+    const { fontSize, lineHeight } =
+        getDocumentTypography(requestedFontSize);
+    // "<" is escaped so a frame can't close the script element early.
+    const data = JSON.stringify(frames).replace(
+        /</g,
+        "\\u003c"
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>ASCII Animation</title>
+    <style>
+      body {
+        background: ${theme.background};
+        color: ${theme.foreground};
+        margin: 0;
+        min-height: 100vh;
+        padding: ${theme.padding}px;
+        box-sizing: border-box;
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        gap: 16px;
+        font-family: system-ui, sans-serif;
+      }
+      pre {
+        font-family: ${ASCII_FONT_FAMILY};
+        font-size: ${fontSize}px;
+        line-height: ${lineHeight};
+        margin: 0;
+        white-space: pre;
+        overflow: auto;
+        max-width: 100%;
+      }
+      .controls {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        font-size: 14px;
+      }
+      button {
+        font: inherit;
+        color: inherit;
+        background: transparent;
+        border: 1px solid currentColor;
+        border-radius: 6px;
+        padding: 4px 12px;
+        cursor: pointer;
+      }
+    </style>
+  </head>
+  <body>
+    <pre id="screen"></pre>
+    <div class="controls">
+      <button id="toggle" type="button">Pause</button>
+      <label><input id="loop" type="checkbox" checked /> Loop</label>
+      <span id="counter"></span>
+    </div>
+    <script>
+      const frames = ${data};
+      const delay = 1000 / ${fps};
+      const screen = document.getElementById("screen");
+      const toggle = document.getElementById("toggle");
+      const loop = document.getElementById("loop");
+      const counter = document.getElementById("counter");
+      let index = 0;
+      let timer = null;
+      const show = (i) => {
+        index = i;
+        screen.textContent = frames[i];
+        counter.textContent = (i + 1) + " / " + frames.length;
+      };
+      const pause = () => {
+        clearTimeout(timer);
+        timer = null;
+        toggle.textContent = "Play";
+      };
+      const tick = () => {
+        if (index + 1 >= frames.length && !loop.checked) return pause();
+        show((index + 1) % frames.length);
+        timer = setTimeout(tick, delay);
+      };
+      const play = () => {
+        if (index + 1 >= frames.length && !loop.checked) show(0);
+        toggle.textContent = "Pause";
+        timer = setTimeout(tick, delay);
+      };
+      toggle.addEventListener("click", () => (timer ? pause() : play()));
+      show(0);
+      play();
+    </script>
+  </body>
+</html>`;
+};
+
+// DOS date for 1980-01-01; zip entries carry no meaningful timestamp.
+const ZIP_DOS_DATE = 0x21;
+
+// An uncompressed (stored) zip archive of text files, as bytes.
+export const buildZip = (files) => {
+    const encoder = new TextEncoder();
+    const entries = files.map(
+        ({ name, content }) => {
+            const data = encoder.encode(content);
+            return {
+                name: encoder.encode(name),
+                data,
+                crc: crc32(data),
+            };
+        }
+    );
+    const localSize = entries.reduce(
+        (sum, { name, data }) =>
+            sum + 30 + name.length + data.length,
+        0
+    );
+    const centralSize = entries.reduce(
+        (sum, { name }) => sum + 46 + name.length,
+        0
+    );
+    const bytes = new Uint8Array(
+        localSize + centralSize + 22
+    );
+    const view = new DataView(bytes.buffer);
+    // Fields shared by local and central headers: version needed, UTF-8
+    // names flag, stored method, time, date, crc and both sizes.
+    const writeCommon = (offset, entry) => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, 0, true);
+        view.setUint16(
+            offset + 8,
+            ZIP_DOS_DATE,
+            true
+        );
+        view.setUint32(
+            offset + 10,
+            entry.crc,
+            true
+        );
+        view.setUint32(
+            offset + 14,
+            entry.data.length,
+            true
+        );
+        view.setUint32(
+            offset + 18,
+            entry.data.length,
+            true
+        );
+        view.setUint16(
+            offset + 22,
+            entry.name.length,
+            true
+        );
+    };
+
+    let pos = 0;
+    const offsets = entries.map((entry) => {
+        const offset = pos;
+        view.setUint32(pos, 0x04034b50, true);
+        writeCommon(pos + 4, entry);
+        bytes.set(entry.name, pos + 30);
+        bytes.set(
+            entry.data,
+            pos + 30 + entry.name.length
+        );
+        pos +=
+            30 +
+            entry.name.length +
+            entry.data.length;
+        return offset;
+    });
+    entries.forEach((entry, i) => {
+        view.setUint32(pos, 0x02014b50, true);
+        view.setUint16(pos + 4, 20, true);
+        writeCommon(pos + 6, entry);
+        view.setUint32(
+            pos + 42,
+            offsets[i],
+            true
+        );
+        bytes.set(entry.name, pos + 46);
+        pos += 46 + entry.name.length;
+    });
+    view.setUint32(pos, 0x06054b50, true);
+    view.setUint16(pos + 8, entries.length, true);
+    view.setUint16(
+        pos + 10,
+        entries.length,
+        true
+    );
+    view.setUint32(pos + 12, centralSize, true);
+    view.setUint32(pos + 16, localSize, true);
+    return bytes;
+};
+
+// Plain-text frames bundle: one numbered .txt per frame plus the timing
+// needed to play them back.
+export const buildAnimationFramesZip = (
+    frames,
+    { fps }
+) => {
+    const digits = Math.max(
+        4,
+        String(frames.length).length
+    );
+    return buildZip([
+        ...frames.map((content, i) => ({
+            name: `frames/frame_${String(
+                i + 1
+            ).padStart(digits, "0")}.txt`,
+            content,
+        })),
+        {
+            name: "animation.json",
+            content: `${JSON.stringify(
+                {
+                    fps,
+                    frameCount: frames.length,
+                    frameDelayMs: Number(
+                        (1000 / fps).toFixed(2)
+                    ),
+                },
+                null,
+                2
+            )}\n`,
+        },
+    ]);
+};
+
+export const ANSI_COLOR_MODES = [
+    {
+        label: "Truecolor (24-bit)",
+        value: "truecolor",
+    },
+    { label: "256 colors", value: "256" },
+    { label: "16 colors", value: "16" },
+];
+
+// The 256-color mode only uses the color cube and gray ramp (16-255);
+// terminals theme the first 16 colors, so those can't be relied on.
+const XTERM_FIXED_COLORS =
+    PALETTES.xterm256.colors.slice(16);
+
+// SGR parameters for a foreground color, or a background color with
+// `background` (48 / 40-47 / 100-107 instead of 38 / 30-37 / 90-97).
+const getAnsiColorCode = (
+    color,
+    mode,
+    background = false
+) => {
+    const [r, g, b] = parseCssRgb(color);
+    const layer = background ? 48 : 38;
+    if (mode === "256")
+        return `${layer};5;${
+            16 +
+            findNearestColor(
+                XTERM_FIXED_COLORS,
+                r,
+                g,
+                b
+            )
+        }`;
+    if (mode === "16") {
+        const index = findNearestColor(
+            PALETTES.ansi16.colors,
+            r,
+            g,
+            b
+        );
+        const base = background ? 40 : 30;
+        return String(
+            index < 8
+                ? base + index
+                : base + 60 + index - 8
+        );
+    }
+    return `${layer};2;${r};${g};${b}`;
+};
+
+// Encodes a color matrix as text with ANSI SGR colors. Cells with a
+// background (the cell background mode) also set the background color.
+// A code is only written when a color differs from the previous cell's,
+// blanks never change the foreground, and every colored line ends with
+// a reset.
+export const buildAnsiText = (
+    colorMatrix,
+    { mode = "truecolor" } = {}
+) => {
+    const codes = new Map();
+    const getCode = (color, background) => {
+        const key = `${background}:${color}`;
+        let code = codes.get(key);
+        if (code === undefined) {
+            code = getAnsiColorCode(
+                color,
+                mode,
+                background
+            );
+            codes.set(key, code);
+        }
+        return code;
+    };
+    const rows = colorMatrix.map((rowCells) => {
+        let line = "";
+        let foreground = null;
+        let background = null;
+        let colored = false;
+        for (const cell of rowCells) {
+            const params = [];
+            if (cell.char.trim()) {
+                const code = getCode(
+                    cell.color,
+                    false
+                );
+                if (code !== foreground) {
+                    params.push(code);
+                    foreground = code;
+                }
+            }
+            const backgroundCode = cell.background
+                ? getCode(cell.background, true)
+                : null;
+            if (backgroundCode !== background) {
+                // 49 goes back to the terminal's own background.
+                params.push(
+                    backgroundCode ?? "49"
+                );
+                background = backgroundCode;
+            }
+            if (params.length) {
+                line += `\x1b[${params.join(";")}m`;
+                colored = true;
+            }
+            line += cell.char;
+        }
+        return colored ? `${line}\x1b[0m` : line;
+    });
+    return buildAsciiText(rows);
+};
+
+// Wraps ANSI text in a POSIX shell script that prints it with printf.
+export const buildAnsiShellScript = (
+    ansiText
+) => {
+    const lines = ansiText
+        .replace(/\n$/, "")
+        .split("\n")
+        .map(
+            (line) =>
+                `printf '%b\\n' '${line
+                    .replace(/\\/g, "\\\\")
+                    .replaceAll("\x1b", "\\033")
+                    .replace(/'/g, "'\\''")}'`
+        );
+    return `#!/bin/sh\n# ASCII art exported from PixelMuse\n${lines.join(
+        "\n"
+    )}\n`;
+};
@@ -0,0 +1,781 @@
+// Minimal TrueType reader for the SVG export: looks up glyphs, turns
+// their outlines into SVG path data and writes subset fonts that can be
+// embedded as base64. Only glyf-based fonts (.ttf) are supported; CFF
+// fonts (.otf) and WOFF files are rejected with an error.
+
+const readTag = (view, offset) =>
+    String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3)
+    );
+
+// Tables copied into subsets. Layout, variation and bitmap tables are
+// dropped; hinting programs stay so glyph instructions keep working.
+const SUBSET_TABLES = [
+    "OS/2",
+    "cmap",
+    "cvt ",
+    "fpgm",
+    "gasp",
+    "glyf",
+    "head",
+    "hhea",
+    "hmtx",
+    "loca",
+    "maxp",
+    "name",
+    "post",
+    "prep",
+];
+
+const REQUIRED_TABLES = [
+    "cmap",
+    "glyf",
+    "head",
+    "hhea",
+    "hmtx",
+    "loca",
+    "maxp",
+];
+
+// Composite glyph flags.
+const ARG_1_AND_2_ARE_WORDS = 0x1;
+const ARGS_ARE_XY_VALUES = 0x2;
+const WE_HAVE_A_SCALE = 0x8;
+const MORE_COMPONENTS = 0x20;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x40;
+const WE_HAVE_A_TWO_BY_TWO = 0x80;
+
+const readCmapLookup = (view, cmapOffset) => {
+    const count = view.getUint16(cmapOffset + 2);
+    let format4 = null;
+    let format12 = null;
+    for (let i = 0; i < count; i++) {
+        const record = cmapOffset + 4 + i * 8;
+        const platform = view.getUint16(record);
+        const encoding = view.getUint16(
+            record + 2
+        );
+        const offset =
+            cmapOffset +
+            view.getUint32(record + 4);
+        const format = view.getUint16(offset);
+        const unicode =
+            platform === 0 ||
+            (platform === 3 &&
+                (encoding === 1 ||
+                    encoding === 10));
+        if (!unicode) continue;
+        if (format === 12) format12 ??= offset;
+        if (format === 4) format4 ??= offset;
+    }
+
+    if (format12 !== null) {
+        const groups = view.getUint32(
+            format12 + 12
+        );
+        return (codePoint) => {
+            for (let i = 0; i < groups; i++) {
+                const group =
+                    format12 + 16 + i * 12;
+                const start =
+                    view.getUint32(group);
+                const end = view.getUint32(
+                    group + 4
+                );
+                if (codePoint < start) return 0;
+                if (codePoint <= end)
+                    return (
+                        view.getUint32(
+                            group + 8
+                        ) +
+                        codePoint -
+                        start
+                    );
+            }
+            return 0;
+        };
+    }
+
+    if (format4 !== null) {
+        const segCount =
+            view.getUint16(format4 + 6) / 2;
+        const endCodes = format4 + 14;
+        const startCodes =
+            endCodes + segCount * 2 + 2;
+        const idDeltas =
+            startCodes + segCount * 2;
+        const idRangeOffsets =
+            idDeltas + segCount * 2;
+        return (codePoint) => {
+            if (codePoint > 0xffff) return 0;
+            for (let i = 0; i < segCount; i++) {
+                if (
+                    view.getUint16(
+                        endCodes + i * 2
+                    ) < codePoint
+                )
+                    continue;
+                const start = view.getUint16(
+                    startCodes + i * 2
+                );
+                if (codePoint < start) return 0;
+                const delta = view.getUint16(
+                    idDeltas + i * 2
+                );
+                const rangeAt =
+                    idRangeOffsets + i * 2;
+                const rangeOffset =
+                    view.getUint16(rangeAt);
+                if (!rangeOffset)
+                    return (
+                        (codePoint + delta) &
+                        0xffff
+                    );
+                const glyph = view.getUint16(
+                    rangeAt +
+                        rangeOffset +
+                        (codePoint - start) * 2
+                );
+                return glyph
+                    ? (glyph + delta) & 0xffff
+                    : 0;
+            }
+            return 0;
+        };
+    }
+
+    throw new Error(
+        "The font has no Unicode character map"
+    );
+};
+
+/**
+ * Reads a TrueType font file.
+ * @param {ArrayBuffer} buffer
+ */
+export const parseFont = (buffer) => {
+    const view = new DataView(buffer);
+    const version =
+        buffer.byteLength >= 12
+            ? readTag(view, 0)
+            : "";
+    if (version === "OTTO")
+        throw new Error(
+            "CFF-based .otf fonts are not supported; use a TrueType (.ttf) font"
+        );
+    if (
+        version !== "\0\x01\0\0" &&
+        version !== "true"
+    )
+        throw new Error(
+            "Not a TrueType font; use an uncompressed .ttf file"
+        );
+
+    const tables = new Map();
+    const numTables = view.getUint16(4);
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        tables.set(readTag(view, record), {
+            offset: view.getUint32(record + 8),
+            length: view.getUint32(record + 12),
+        });
+    }
+    const missing = REQUIRED_TABLES.filter(
+        (tag) => !tables.has(tag)
+    );
+    if (missing.length)
+        throw new Error(
+            `The font is missing required tables: ${missing.join(
+                ", "
+            )}`
+        );
+
+    const head = tables.get("head").offset;
+    const hhea = tables.get("hhea").offset;
+    const numGlyphs = view.getUint16(
+        tables.get("maxp").offset + 4
+    );
+    const longLoca =
+        view.getInt16(head + 50) === 1;
+    const loca = tables.get("loca").offset;
+    const glyf = tables.get("glyf").offset;
+    const hmtx = tables.get("hmtx").offset;
+    const numberOfHMetrics = view.getUint16(
+        hhea + 34
+    );
+
+    const getGlyphRange = (glyph) => {
+        if (glyph < 0 || glyph >= numGlyphs)
+            return { offset: glyf, length: 0 };
+        const start = longLoca
+            ? view.getUint32(loca + glyph * 4)
+            : view.getUint16(loca + glyph * 2) *
+              2;
+        const end = longLoca
+            ? view.getUint32(loca + glyph * 4 + 4)
+            : view.getUint16(
+                  loca + glyph * 2 + 2
+              ) * 2;
+        return {
+            offset: glyf + start,
+            length: Math.max(0, end - start),
+        };
+    };
+
+    return {
+        buffer,
+        view,
+        tables,
+        numGlyphs,
+        unitsPerEm: view.getUint16(head + 18),
+        ascender: view.getInt16(hhea + 4),
+        descender: view.getInt16(hhea + 6),
+        getGlyphId: readCmapLookup(
+            view,
+            tables.get("cmap").offset
+        ),
+        getAdvance: (glyph) =>
+            view.getUint16(
+                hmtx +
+                    Math.min(
+                        glyph,
+                        numberOfHMetrics - 1
+                    ) *
+                        4
+            ),
+        getGlyphRange,
+    };
+};
+
+// Component glyph ids of a composite glyph, or an empty list.
+const getComponents = (font, glyph) => {
+    const { view, getGlyphRange } = font;
+    const { offset, length } =
+        getGlyphRange(glyph);
+    if (!length || view.getInt16(offset) >= 0)
+        return [];
+    const components = [];
+    let p = offset + 10;
+    let flags;
+    do {
+        flags = view.getUint16(p);
+        const component = view.getUint16(p + 2);
+        p += 4;
+        p +=
+            flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2;
+        if (flags & WE_HAVE_A_SCALE) p += 2;
+        else if (flags & WE_HAVE_AN_X_AND_Y_SCALE)
+            p += 4;
+        else if (flags & WE_HAVE_A_TWO_BY_TWO)
+            p += 8;
+        components.push(component);
+    } while (flags & MORE_COMPONENTS);
+    return components;
+};
+
+const readF2Dot14 = (view, offset) =>
+    view.getInt16(offset) / 16384;
+
+// Contours of a glyph as lists of { x, y, on } points in font units,
+// with composite glyphs resolved.
+const getGlyphContours = (
+    font,
+    glyph,
+    depth = 0
+) => {
+    const { view, getGlyphRange } = font;
+    const { offset, length } =
+        getGlyphRange(glyph);
+    if (!length || depth > 8) return [];
+    const contourCount = view.getInt16(offset);
+
+    if (contourCount < 0) {
+        const contours = [];
+        let p = offset + 10;
+        let flags;
+        do {
+            flags = view.getUint16(p);
+            const component = view.getUint16(
+                p + 2
+            );
+            p += 4;
+            let dx = 0;
+            let dy = 0;
+            if (flags & ARG_1_AND_2_ARE_WORDS) {
+                dx = view.getInt16(p);
+                dy = view.getInt16(p + 2);
+                p += 4;
+            } else {
+                dx = view.getInt8(p);
+                dy = view.getInt8(p + 1);
+                p += 2;
+            }
+            // Point-matched components are rare in monospace fonts;
+            // they are placed without an offset.
+            if (!(flags & ARGS_ARE_XY_VALUES)) {
+                dx = 0;
+                dy = 0;
+            }
+            let [a, b, c, d] = [1, 0, 0, 1];
+            if (flags & WE_HAVE_A_SCALE) {
+                a = d = readF2Dot14(view, p);
+                p += 2;
+            } else if (
+                flags & WE_HAVE_AN_X_AND_Y_SCALE
+            ) {
+                a = readF2Dot14(view, p);
+                d = readF2Dot14(view, p + 2);
+                p += 4;
+            } else if (
+                flags & WE_HAVE_A_TWO_BY_TWO
+            ) {
+                a = readF2Dot14(view, p);
+                b = readF2Dot14(view, p + 2);
+                c = readF2Dot14(view, p + 4);
+                d = readF2Dot14(view, p + 6);
+                p += 8;
+            }
+            for (const contour of getGlyphContours(
+                font,
+                component,
+                depth + 1
+            )) {
+                contours.push(
+                    contour.map(
+                        ({ x, y, on }) => ({
+                            x: a * x + c * y + dx,
+                            y: b * x + d * y + dy,
+                            on,
+                        })
+                    )
+                );
+            }
+        } while (flags & MORE_COMPONENTS);
+        return contours;
+    }
+
+    const endPoints = [];
+    for (let i = 0; i < contourCount; i++)
+        endPoints.push(
+            view.getUint16(offset + 10 + i * 2)
+        );
+    const pointCount = contourCount
+        ? endPoints[contourCount - 1] + 1
+        : 0;
+    let p = offset + 10 + contourCount * 2;
+    p += 2 + view.getUint16(p);
+
+    const flags = [];
+    while (flags.length < pointCount) {
+        const flag = view.getUint8(p++);
+        flags.push(flag);
+        if (flag & 8) {
+            let repeat = view.getUint8(p++);
+            while (repeat-- > 0) flags.push(flag);
+        }
+    }
+    const readCoordinates = (
+        shortBit,
+        sameBit
+    ) => {
+        const values = [];
+        let value = 0;
+        for (const flag of flags) {
+            if (flag & shortBit) {
+                const delta = view.getUint8(p++);
+                value +=
+                    flag & sameBit
+                        ? delta
+                        : -delta;
+            } else if (!(flag & sameBit)) {
+                value += view.getInt16(p);
+                p += 2;
+            }
+            values.push(value);
+        }
+        return values;
+    };
+    const xs = readCoordinates(2, 16);
+    const ys = readCoordinates(4, 32);
+
+    const contours = [];
+    let start = 0;
+    for (const end of endPoints) {
+        const contour = [];
+        for (let i = start; i <= end; i++)
+            contour.push({
+                x: xs[i],
+                y: ys[i],
+                on: Boolean(flags[i] & 1),
+            });
+        contours.push(contour);
+        start = end + 1;
+    }
+    return contours;
+};
+
+const formatNumber = (value) =>
+    String(Math.round(value * 100) / 100);
+
+/**
+ * SVG path data for one character, drawn with its baseline at
+ * (x, baseline) and scaled to fontSize. Returns "" for blank glyphs.
+ */
+export const getGlyphPath = (
+    font,
+    char,
+    x,
+    baseline,
+    fontSize
+) => {
+    const glyph = font.getGlyphId(
+        char.codePointAt(0)
+    );
+    const scale = fontSize / font.unitsPerEm;
+    const point = ({ x: px, y: py }) =>
+        `${formatNumber(
+            x + px * scale
+        )} ${formatNumber(baseline - py * scale)}`;
+    const mid = (a, b) => ({
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+    });
+
+    let d = "";
+    for (const contour of getGlyphContours(
+        font,
+        glyph
+    )) {
+        if (contour.length < 2) continue;
+        // Start on an on-curve point, or between two off-curve ones.
+        const first = contour.findIndex(
+            ({ on }) => on
+        );
+        const points =
+            first === -1
+                ? [
+                      {
+                          ...mid(
+                              contour[0],
+                              contour[1]
+                          ),
+                          on: true,
+                      },
+                      ...contour.slice(1),
+                      contour[0],
+                  ]
+                : [
+                      ...contour.slice(first),
+                      ...contour.slice(0, first),
+                  ];
+        d += `M${point(points[0])}`;
+        for (let i = 1; i <= points.length; i++) {
+            const current =
+                points[i % points.length];
+            if (current.on) {
+                d += `L${point(current)}`;
+                continue;
+            }
+            const next =
+                points[(i + 1) % points.length];
+            d += `Q${point(current)} ${point(
+                next.on
+                    ? next
+                    : mid(current, next)
+            )}`;
+            if (next.on) i++;
+        }
+        d += "Z";
+    }
+    return d;
+};
+
+const getChecksum = (bytes) => {
+    const view = new DataView(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength
+    );
+    let sum = 0;
+    for (let i = 0; i < bytes.byteLength; i += 4)
+        sum = (sum + view.getUint32(i)) >>> 0;
+    return sum;
+};
+
+const pad4 = (length) => (length + 3) & ~3;
+
+// A format 4 cmap with one segment per character. Only characters in
+// the Basic Multilingual Plane are mapped.
+const buildCmap = (mapping) => {
+    const entries = [...mapping]
+        .filter(
+            ([codePoint]) => codePoint < 0xffff
+        )
+        .sort((a, b) => a[0] - b[0]);
+    const segCount = entries.length + 1;
+    const subtableLength = 16 + segCount * 8;
+    const bytes = new Uint8Array(
+        12 + subtableLength
+    );
+    const view = new DataView(bytes.buffer);
+    view.setUint16(2, 1);
+    view.setUint16(4, 3);
+    view.setUint16(6, 1);
+    view.setUint32(8, 12);
+    const t = 12;
+    view.setUint16(t, 4);
+    view.setUint16(t + 2, subtableLength);
+    const searchPower =
+        2 ** Math.floor(Math.log2(segCount));
+    view.setUint16(t + 6, segCount * 2);
+    view.setUint16(t + 8, searchPower * 2);
+    view.setUint16(
+        t + 10,
+        Math.log2(searchPower)
+    );
+    view.setUint16(
+        t + 12,
+        (segCount - searchPower) * 2
+    );
+    const endCodes = t + 14;
+    const startCodes =
+        endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    [...entries, [0xffff, 0]].forEach(
+        ([codePoint, glyph], i) => {
+            view.setUint16(
+                endCodes + i * 2,
+                codePoint
+            );
+            view.setUint16(
+                startCodes + i * 2,
+                codePoint
+            );
+            view.setUint16(
+                idDeltas + i * 2,
+                (glyph - codePoint) & 0xffff
+            );
+        }
+    );
+    return bytes;
+};
+
+// Keeps only the family, style and identification names (ids 0-6);
+// license and description texts often make up most of a small subset.
+const trimNameTable = (bytes) => {
+    const view = new DataView(bytes.buffer);
+    const count = view.getUint16(2);
+    const storage = view.getUint16(4);
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        if (view.getUint16(record + 6) > 6)
+            continue;
+        const length = view.getUint16(record + 8);
+        const offset =
+            storage + view.getUint16(record + 10);
+        records.push({
+            header: bytes.slice(
+                record,
+                record + 8
+            ),
+            text: bytes.slice(
+                offset,
+                offset + length
+            ),
+        });
+    }
+    const headerLength = 6 + records.length * 12;
+    const result = new Uint8Array(
+        records.reduce(
+            (sum, { text }) => sum + text.length,
+            headerLength
+        )
+    );
+    const out = new DataView(result.buffer);
+    out.setUint16(2, records.length);
+    out.setUint16(4, headerLength);
+    let textOffset = 0;
+    records.forEach(({ header, text }, i) => {
+        const record = 6 + i * 12;
+        result.set(header, record);
+        out.setUint16(record + 8, text.length);
+        out.setUint16(record + 10, textOffset);
+        result.set(
+            text,
+            headerLength + textOffset
+        );
+        textOffset += text.length;
+    });
+    return result;
+};
+
+/**
+ * Writes a TrueType font containing only the glyphs for the given text.
+ * Glyph ids are kept, so unused glyphs are emptied rather than removed.
+ * @returns {Uint8Array}
+ */
+export const subsetFont = (font, text) => {
+    const { view, buffer, tables, numGlyphs } =
+        font;
+    const mapping = new Map();
+    const keep = new Set([0]);
+    const addGlyph = (glyph) => {
+        if (keep.has(glyph)) return;
+        keep.add(glyph);
+        for (const component of getComponents(
+            font,
+            glyph
+        ))
+            addGlyph(component);
+    };
+    for (const char of new Set(text)) {
+        const codePoint = char.codePointAt(0);
+        const glyph = font.getGlyphId(codePoint);
+        if (!glyph) continue;
+        mapping.set(codePoint, glyph);
+        addGlyph(glyph);
+    }
+
+    const glyphData = [];
+    const offsets = [0];
+    let glyfLength = 0;
+    for (
+        let glyph = 0;
+        glyph < numGlyphs;
+        glyph++
+    ) {
+        const { offset, length } = keep.has(glyph)
+            ? font.getGlyphRange(glyph)
+            : { offset: 0, length: 0 };
+        if (length) {
+            glyphData.push(
+                new Uint8Array(
+                    buffer,
+                    offset,
+                    length
+                )
+            );
+            glyfLength += pad4(length);
+        }
+        offsets.push(glyfLength);
+    }
+    const glyf = new Uint8Array(glyfLength);
+    let cursor = 0;
+    for (const bytes of glyphData) {
+        glyf.set(bytes, cursor);
+        cursor += pad4(bytes.length);
+    }
+    // Short offsets store half the byte offset in 16 bits.
+    const shortLoca = glyfLength < 0x20000;
+    const loca = new Uint8Array(
+        offsets.length * (shortLoca ? 2 : 4)
+    );
+    const locaView = new DataView(loca.buffer);
+    offsets.forEach((value, i) =>
+        shortLoca
+            ? locaView.setUint16(i * 2, value / 2)
+            : locaView.setUint32(i * 4, value)
+    );
+
+    const copy = (tag) => {
+        const { offset, length } =
+            tables.get(tag);
+        return new Uint8Array(
+            buffer.slice(offset, offset + length)
+        );
+    };
+    const output = new Map();
+    for (const tag of SUBSET_TABLES) {
+        if (tables.has(tag))
+            output.set(tag, copy(tag));
+    }
+    output.set("glyf", glyf);
+    output.set("loca", loca);
+    output.set("cmap", buildCmap(mapping));
+    if (tables.has("name"))
+        output.set(
+            "name",
+            trimNameTable(copy("name"))
+        );
+    // The loca format, and a cleared checksum adjustment until the
+    // whole file is summed below.
+    const head = new DataView(
+        output.get("head").buffer
+    );
+    head.setInt16(50, shortLoca ? 0 : 1);
+    head.setUint32(8, 0);
+    // post version 3 drops the glyph names.
+    if (output.has("post")) {
+        const post = output
+            .get("post")
+            .slice(0, 32);
+        new DataView(post.buffer).setUint32(
+            0,
+            0x00030000
+        );
+        output.set("post", post);
+    }
+
+    const tags = [...output.keys()].sort();
+    const headerLength = 12 + tags.length * 16;
+    const totalLength = tags.reduce(
+        (sum, tag) =>
+            sum + pad4(output.get(tag).length),
+        headerLength
+    );
+    const result = new Uint8Array(totalLength);
+    const out = new DataView(result.buffer);
+    const searchPower =
+        2 ** Math.floor(Math.log2(tags.length));
+    out.setUint32(0, view.getUint32(0));
+    out.setUint16(4, tags.length);
+    out.setUint16(6, searchPower * 16);
+    out.setUint16(8, Math.log2(searchPower));
+    out.setUint16(
+        10,
+        (tags.length - searchPower) * 16
+    );
+    let tableOffset = headerLength;
+    tags.forEach((tag, i) => {
+        const bytes = output.get(tag);
+        const padded = new Uint8Array(
+            pad4(bytes.length)
+        );
+        padded.set(bytes);
+        const record = 12 + i * 16;
+        for (let c = 0; c < 4; c++)
+            out.setUint8(
+                record + c,
+                tag.charCodeAt(c)
+            );
+        out.setUint32(
+            record + 4,
+            getChecksum(padded)
+        );
+        out.setUint32(record + 8, tableOffset);
+        out.setUint32(record + 12, bytes.length);
+        result.set(padded, tableOffset);
+        tableOffset += padded.length;
+    });
+    const headOffset = out.getUint32(
+        12 + tags.indexOf("head") * 16 + 8
+    );
+    out.setUint32(
+        headOffset + 8,
+        (0xb1b0afba - getChecksum(result)) >>> 0
+    );
+    return result;
+};
+
+export const toBase64 = (bytes) => {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000)
+        binary += String.fromCharCode(
+            ...bytes.subarray(i, i + 0x8000)
+        );
+    return btoa(binary);
+};
@@ -0,0 +1,332 @@
+// Minimal GIF decoder for animations: parses the block structure, inflates
+// the LZW image data and composites frames the way browsers play them.
+
+const MAX_LZW_CODES = 4096;
+
+// Browsers play frame delays under 20 ms at 100 ms, and so do we.
+const MIN_FRAME_DELAY = 20;
+const DEFAULT_FRAME_DELAY = 100;
+
+const readSubBlocks = (bytes, start) => {
+    const chunks = [];
+    let length = 0;
+    let pos = start;
+    while (pos < bytes.length && bytes[pos]) {
+        const size = bytes[pos];
+        chunks.push(
+            bytes.subarray(
+                pos + 1,
+                pos + 1 + size
+            )
+        );
+        length += size;
+        pos += size + 1;
+    }
+    const data = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return { data, end: pos + 1 };
+};
+
+const readColorTable = (bytes, pos, size) =>
+    bytes.subarray(pos, pos + size * 3);
+
+/**
+ * Parses a GIF file into its logical screen and a list of encoded frames.
+ * Pixel data stays LZW-compressed until renderGifFrames walks the frames.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{width: number, height: number, frames: Array}}
+ */
+export const parseGif = (buffer) => {
+    const bytes =
+        buffer instanceof Uint8Array
+            ? buffer
+            : new Uint8Array(buffer);
+    const signature = String.fromCharCode(
+        ...bytes.subarray(0, 6)
+    );
+    if (!/^GIF8[79]a$/.test(signature))
+        throw new Error("Not a GIF file");
+    const view = new DataView(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength
+    );
+    const width = view.getUint16(6, true);
+    const height = view.getUint16(8, true);
+    const flags = bytes[10];
+    let pos = 13;
+    let globalPalette = null;
+    if (flags & 0x80) {
+        const size = 1 << ((flags & 7) + 1);
+        globalPalette = readColorTable(
+            bytes,
+            pos,
+            size
+        );
+        pos += size * 3;
+    }
+
+    const frames = [];
+    let control = null;
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+        if (block === 0x3b) break;
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            if (label === 0xf9) {
+                const packed = bytes[pos + 1];
+                control = {
+                    disposal: (packed >> 2) & 7,
+                    delay:
+                        view.getUint16(
+                            pos + 2,
+                            true
+                        ) * 10,
+                    transparentIndex:
+                        packed & 1
+                            ? bytes[pos + 4]
+                            : -1,
+                };
+            }
+            pos = readSubBlocks(bytes, pos).end;
+            continue;
+        }
+        if (block !== 0x2c)
+            throw new Error(
+                "Corrupt GIF: unknown block"
+            );
+        const x = view.getUint16(pos, true);
+        const y = view.getUint16(pos + 2, true);
+        const w = view.getUint16(pos + 4, true);
+        const h = view.getUint16(pos + 6, true);
+        const packed = bytes[pos + 8];
+        pos += 9;
+        let palette = globalPalette;
+        if (packed & 0x80) {
+            const size = 1 << ((packed & 7) + 1);
+            palette = readColorTable(
+                bytes,
+                pos,
+                size
+            );
+            pos += size * 3;
+        }
+        const minCodeSize = bytes[pos++];
+        const { data, end } = readSubBlocks(
+            bytes,
+            pos
+        );
+        pos = end;
+        const delay = control?.delay ?? 0;
+        frames.push({
+            x,
+            y,
+            width: w,
+            height: h,
+            interlaced: Boolean(packed & 0x40),
+            palette,
+            minCodeSize,
+            data,
+            disposal: control?.disposal ?? 0,
+            transparentIndex:
+                control?.transparentIndex ?? -1,
+            delay:
+                delay < MIN_FRAME_DELAY
+                    ? DEFAULT_FRAME_DELAY
+                    : delay,
+        });
+        control = null;
+    }
+    if (!frames.length)
+        throw new Error("The GIF has no frames");
+    return { width, height, frames };
+};
+
+const decodeLzw = (
+    minCodeSize,
+    data,
+    pixelCount
+) => {
+    const out = new Uint8Array(pixelCount);
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const prefix = new Int16Array(MAX_LZW_CODES);
+    const suffix = new Uint8Array(MAX_LZW_CODES);
+    const stack = new Uint8Array(
+        MAX_LZW_CODES + 1
+    );
+    for (let i = 0; i < clear; i++) suffix[i] = i;
+
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let prev = -1;
+    let first = 0;
+    let bits = 0;
+    let bitCount = 0;
+    let pos = 0;
+    let outPos = 0;
+    while (outPos < pixelCount) {
+        while (bitCount < codeSize) {
+            if (pos >= data.length) return out;
+            bits |= data[pos++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bits & ((1 << codeSize) - 1);
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+        if (code === clear) {
+            codeSize = minCodeSize + 1;
+            next = end + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === end) break;
+        if (prev === -1) {
+            out[outPos++] = suffix[code];
+            prev = first = code;
+            continue;
+        }
+        // A code not in the table yet is the previous string plus its own
+        // first character.
+        let sp = 0;
+        let current = code;
+        if (code >= next) {
+            stack[sp++] = first;
+            current = prev;
+        }
+        while (current >= clear) {
+            stack[sp++] = suffix[current];
+            current = prefix[current];
+        }
+        stack[sp++] = current;
+        first = current;
+        while (sp > 0 && outPos < pixelCount)
+            out[outPos++] = stack[--sp];
+        if (next < MAX_LZW_CODES) {
+            prefix[next] = prev;
+            suffix[next] = first;
+            next++;
+            if (
+                next === 1 << codeSize &&
+                codeSize < 12
+            )
+                codeSize++;
+        }
+        prev = code;
+    }
+    return out;
+};
+
+// Interlaced frames store rows in four passes; maps a stored row to its
+// place in the image.
+const getInterlacedRows = (height) => {
+    const rows = [];
+    for (const [start, step] of [
+        [0, 8],
+        [4, 8],
+        [2, 4],
+        [1, 2],
+    ])
+        for (let y = start; y < height; y += step)
+            rows.push(y);
+    return rows;
+};
+
+/**
+ * Decodes and composites the frames of a parsed GIF one at a time,
+ * applying each frame's disposal method before the next is drawn.
+ *
+ * @param {{width: number, height: number, frames: Array}} gif
+ * @yields {{width: number, height: number, data: Uint8ClampedArray, delay: number}}
+ */
+export function* renderGifFrames(gif) {
+    const { width, height } = gif;
+    let canvas = new Uint8ClampedArray(
+        width * height * 4
+    );
+    for (const frame of gif.frames) {
+        const restore =
+            frame.disposal === 3
+                ? canvas.slice()
+                : null;
+        const indices = decodeLzw(
+            frame.minCodeSize,
+            frame.data,
+            frame.width * frame.height
+        );
+        const rows = frame.interlaced
+            ? getInterlacedRows(frame.height)
+            : null;
+        const { palette, transparentIndex } =
+            frame;
+        for (
+            let row = 0;
+            row < frame.height;
+            row++
+        ) {
+            const y =
+                frame.y +
+                (rows ? rows[row] : row);
+            if (y >= height) continue;
+            for (
+                let col = 0;
+                col < frame.width;
+                col++
+            ) {
+                const x = frame.x + col;
+                if (x >= width) break;
+                const index =
+                    indices[
+                        row * frame.width + col
+                    ];
+                if (
+                    index === transparentIndex ||
+                    !palette ||
+                    index * 3 >= palette.length
+                )
+                    continue;
+                const o = (y * width + x) * 4;
+                canvas[o] = palette[index * 3];
+                canvas[o + 1] =
+                    palette[index * 3 + 1];
+                canvas[o + 2] =
+                    palette[index * 3 + 2];
+                canvas[o + 3] = 255;
+            }
+        }
+        yield {
+            width,
+            height,
+            data: canvas.slice(),
+            delay: frame.delay,
+        };
+        if (frame.disposal === 2) {
+            for (
+                let y = frame.y;
+                y <
+                Math.min(
+                    height,
+                    frame.y + frame.height
+                );
+                y++
+            )
+                canvas.fill(
+                    0,
+                    (y * width + frame.x) * 4,
+                    (y * width +
+                        Math.min(
+                            width,
+                            frame.x + frame.width
+                        )) *
+                        4
+                );
+        } else if (restore) {
+            canvas = restore;
+        }
+    }
+}
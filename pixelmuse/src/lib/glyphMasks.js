@@ -0,0 +1,150 @@
+// Rasterized glyph coverage masks for shape matching and charset density
+// sorting. Needs a canvas, so it runs in the browser or a worker, not in
+// the Node CLI.
+import { getGlyphs } from "./ascii.js";
+import {
+    ASCII_BASE_LINE_HEIGHT,
+    ASCII_CHAR_ASPECT_RATIO,
+    ASCII_FONT_FAMILY,
+} from "./exporters.js";
+
+// Glyphs are drawn this large and box-filtered down to the sub-cell grid.
+const RASTER_FONT_SIZE = 48;
+
+const cache = new Map();
+
+const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== "undefined")
+        return new OffscreenCanvas(width, height);
+    const canvas =
+        document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+// Returns one Float32Array of ink coverage (0-1) per glyph, each
+// subX × subY values in row order. Cached per font, charset and grid.
+export const getGlyphMasks = (
+    charset,
+    { subX, subY, fontFamily = ASCII_FONT_FAMILY }
+) => {
+    const key = `${fontFamily}\n${subX}x${subY}\n${charset}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const width = Math.round(
+        RASTER_FONT_SIZE * ASCII_CHAR_ASPECT_RATIO
+    );
+    const height = Math.round(
+        RASTER_FONT_SIZE * ASCII_BASE_LINE_HEIGHT
+    );
+    const ctx = createCanvas(
+        width,
+        height
+    ).getContext("2d", {
+        willReadFrequently: true,
+    });
+    ctx.font = `${RASTER_FONT_SIZE}px ${fontFamily}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#000000";
+
+    const masks = getGlyphs(charset).map(
+        (glyph) => {
+            ctx.clearRect(0, 0, width, height);
+            ctx.fillText(
+                glyph,
+                width / 2,
+                height / 2
+            );
+            const { data } = ctx.getImageData(
+                0,
+                0,
+                width,
+                height
+            );
+            const mask = new Float32Array(
+                subX * subY
+            );
+            for (let y = 0; y < height; y++) {
+                const row =
+                    Math.floor(
+                        (y * subY) / height
+                    ) * subX;
+                for (let x = 0; x < width; x++) {
+                    mask[
+                        row +
+                            Math.floor(
+                                (x * subX) / width
+                            )
+                    ] +=
+                        data[
+                            (y * width + x) * 4 +
+                                3
+                        ];
+                }
+            }
+            const area =
+                (width / subX) * (height / subY);
+            return mask.map(
+                (sum) => sum / 255 / area
+            );
+        }
+    );
+    cache.set(key, masks);
+    return masks;
+};
+
+// Glyphs whose coverage differs by less than this fraction of the
+// charset's coverage range are flagged as near duplicates.
+export const NEAR_DUPLICATE_COVERAGE = 0.02;
+
+// Measures each glyph's ink coverage and returns the glyphs sorted from
+// light to dark (stable, so equal glyphs keep their typed order), along
+// with pairs of neighbours that are hard to tell apart.
+export const measureCharset = (
+    charset,
+    {
+        sort = true,
+        dedupe = false,
+        fontFamily = ASCII_FONT_FAMILY,
+    } = {}
+) => {
+    let glyphs = Array.from(charset);
+    if (dedupe) glyphs = [...new Set(glyphs)];
+    if (!glyphs.length)
+        return { glyphs: [], warnings: [] };
+    // Measured one glyph at a time so the cache stays small while the
+    // charset is being typed.
+    const measured = glyphs.map((glyph) => ({
+        glyph,
+        coverage: getGlyphMasks(glyph, {
+            subX: 1,
+            subY: 1,
+            fontFamily,
+        })[0][0],
+    }));
+    if (sort)
+        measured.sort(
+            (a, b) => a.coverage - b.coverage
+        );
+
+    const coverages = measured.map(
+        ({ coverage }) => coverage
+    );
+    const range =
+        Math.max(...coverages) -
+        Math.min(...coverages);
+    const warnings = [];
+    for (let i = 1; i < measured.length; i++) {
+        const a = measured[i - 1];
+        const b = measured[i];
+        if (
+            a.glyph !== b.glyph &&
+            Math.abs(b.coverage - a.coverage) <=
+                range * NEAR_DUPLICATE_COVERAGE
+        )
+            warnings.push([a.glyph, b.glyph]);
+    }
+    return { glyphs: measured, warnings };
+};
@@ -0,0 +1,141 @@
+// Undo/redo stack bounded by an approximate byte budget. Entries are
+// { label, bytes, undo(), redo() }; the oldest ones are dropped first
+// once the budget or the entry limit is exceeded.
+
+export const HISTORY_MAX_BYTES =
+    128 * 1024 * 1024;
+export const HISTORY_MAX_ENTRIES = 100;
+
+export const createHistory = ({
+    maxBytes = HISTORY_MAX_BYTES,
+    maxEntries = HISTORY_MAX_ENTRIES,
+} = {}) => {
+    let undoStack = [];
+    let redoStack = [];
+
+    const sumBytes = (entries) =>
+        entries.reduce(
+            (total, entry) =>
+                total + (entry.bytes || 0),
+            0
+        );
+
+    const trim = () => {
+        let total =
+            sumBytes(undoStack) +
+            sumBytes(redoStack);
+        while (
+            undoStack.length > 1 &&
+            (total > maxBytes ||
+                undoStack.length > maxEntries)
+        ) {
+            const dropped = undoStack.shift();
+            total -= dropped.bytes || 0;
+        }
+    };
+
+    return {
+        push(entry) {
+            undoStack.push(entry);
+            redoStack = [];
+            trim();
+        },
+        undo() {
+            const entry = undoStack.pop();
+            if (!entry) return null;
+            entry.undo();
+            redoStack.push(entry);
+            return entry;
+        },
+        redo() {
+            const entry = redoStack.pop();
+            if (!entry) return null;
+            entry.redo();
+            undoStack.push(entry);
+            return entry;
+        },
+        clear() {
+            undoStack = [];
+            redoStack = [];
+        },
+        getState() {
+            return {
+                canUndo: undoStack.length > 0,
+                canRedo: redoStack.length > 0,
+                undoLabel:
+                    undoStack.at(-1)?.label ??
+                    null,
+                redoLabel:
+                    redoStack.at(-1)?.label ??
+                    null,
+            };
+        },
+    };
+};
+
+export const getPatchBytes = (rect) =>
+    Math.max(0, rect.width) *
+    Math.max(0, rect.height) *
+    4;
+
+export const clampRect = (
+    rect,
+    width,
+    height
+) => {
+    const x = Math.max(0, Math.floor(rect.x));
+    const y = Math.max(0, Math.floor(rect.y));
+    const right = Math.min(
+        width,
+        Math.ceil(rect.x + rect.width)
+    );
+    const bottom = Math.min(
+        height,
+        Math.ceil(rect.y + rect.height)
+    );
+    return {
+        x,
+        y,
+        width: Math.max(0, right - x),
+        height: Math.max(0, bottom - y),
+    };
+};
+
+// Copies a region of `source` into its own canvas so it can be put back
+// later with restorePatch. Canvas copies avoid slow getImageData reads.
+export const capturePatch = (source, rect) => {
+    const canvas =
+        document.createElement("canvas");
+    canvas.width = Math.max(1, rect.width);
+    canvas.height = Math.max(1, rect.height);
+    canvas
+        .getContext("2d")
+        .drawImage(
+            source,
+            rect.x,
+            rect.y,
+            rect.width,
+            rect.height,
+            0,
+            0,
+            rect.width,
+            rect.height
+        );
+    return { rect, canvas };
+};
+
+export const restorePatch = (
+    ctx,
+    { rect, canvas }
+) => {
+    ctx.save();
+    ctx.globalCompositeOperation = "source-over";
+    ctx.clearRect(
+        rect.x,
+        rect.y,
+        rect.width,
+        rect.height
+    );
+    ctx.drawImage(canvas, rect.x, rect.y);
+    ctx.restore();
+};
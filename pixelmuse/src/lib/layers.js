@@ -0,0 +1,186 @@
+// Layers are plain objects backed by their own transparent canvas. They
+// are treated as immutable: updates create a new object that keeps the
+// same canvas, so history entries can hold on to the canvas directly.
+
+export const LAYER_KINDS = {
+    image: "image",
+    paint: "paint",
+};
+
+export const BLEND_MODES = [
+    { label: "Normal", value: "source-over" },
+    { label: "Multiply", value: "multiply" },
+    { label: "Screen", value: "screen" },
+    { label: "Overlay", value: "overlay" },
+    { label: "Darken", value: "darken" },
+    { label: "Lighten", value: "lighten" },
+    { label: "Difference", value: "difference" },
+    { label: "Luminosity", value: "luminosity" },
+];
+
+let nextLayerId = 1;
+
+export const createLayer = ({
+    kind = LAYER_KINDS.paint,
+    name,
+    width,
+    height,
+}) => {
+    const canvas =
+        document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const id = `layer-${nextLayerId++}`;
+    return {
+        id,
+        kind,
+        name: name || id,
+        visible: true,
+        opacity: 1,
+        blendMode: "source-over",
+        includeInConversion: true,
+        canvas,
+        // Image layers keep their source and a pending transform until
+        // the placement is applied; see src/lib/transform.js.
+        source: null,
+        transform: null,
+    };
+};
+
+export const updateLayer = (
+    layers,
+    id,
+    changes
+) =>
+    layers.map((layer) =>
+        layer.id === id
+            ? { ...layer, ...changes }
+            : layer
+    );
+
+export const insertLayer = (
+    layers,
+    layer,
+    index
+) => {
+    const next = layers.slice();
+    next.splice(
+        Math.max(0, Math.min(index, next.length)),
+        0,
+        layer
+    );
+    return next;
+};
+
+export const removeLayer = (layers, id) =>
+    layers.filter((layer) => layer.id !== id);
+
+// Moves a layer by `offset` positions; the array runs bottom to top.
+export const moveLayer = (layers, id, offset) => {
+    const from = layers.findIndex(
+        (layer) => layer.id === id
+    );
+    const to = from + offset;
+    if (
+        from === -1 ||
+        to < 0 ||
+        to >= layers.length
+    )
+        return layers;
+    const next = layers.slice();
+    const [layer] = next.splice(from, 1);
+    next.splice(to, 0, layer);
+    return next;
+};
+
+// Resizes a layer canvas in place, keeping the existing pixels
+// anchored to the top-left corner.
+export const resizeLayerCanvas = (
+    layer,
+    width,
+    height
+) => {
+    const { canvas } = layer;
+    if (
+        canvas.width === width &&
+        canvas.height === height
+    )
+        return;
+    const copy = document.createElement("canvas");
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    copy.getContext("2d").drawImage(canvas, 0, 0);
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(copy, 0, 0);
+};
+
+export const compositeLayers = (
+    ctx,
+    layers,
+    filter = () => true
+) => {
+    ctx.save();
+    for (const layer of layers) {
+        if (!layer.visible || layer.opacity <= 0)
+            continue;
+        if (!filter(layer)) continue;
+        ctx.globalAlpha = layer.opacity;
+        ctx.globalCompositeOperation =
+            layer.blendMode;
+        ctx.drawImage(layer.canvas, 0, 0);
+    }
+    ctx.restore();
+};
+
+// Redraws `rect` (or the whole canvas) as the background followed by
+// the composited layers. `background` is a CSS color or a canvas.
+export const renderLayers = (
+    ctx,
+    layers,
+    { background, rect, filter } = {}
+) => {
+    const area = rect ?? {
+        x: 0,
+        y: 0,
+        width: ctx.canvas.width,
+        height: ctx.canvas.height,
+    };
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(
+        area.x,
+        area.y,
+        area.width,
+        area.height
+    );
+    ctx.clip();
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = "source-over";
+    if (typeof background === "string") {
+        ctx.fillStyle = background;
+        ctx.fillRect(
+            area.x,
+            area.y,
+            area.width,
+            area.height
+        );
+    } else if (background) {
+        ctx.clearRect(
+            area.x,
+            area.y,
+            area.width,
+            area.height
+        );
+        ctx.drawImage(background, 0, 0);
+    } else {
+        ctx.clearRect(
+            area.x,
+            area.y,
+            area.width,
+            area.height
+        );
+    }
+    compositeLayers(ctx, layers, filter);
+    ctx.restore();
+};
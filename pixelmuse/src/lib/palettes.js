@@ -0,0 +1,255 @@
+// Fixed color palettes for quantized color output, plus parsing for
+// palettes imported as GIMP .gpl files or plain hex lists.
+
+const hexToRgb = (hex) => {
+    const value = hex.replace(/^#/, "");
+    const full =
+        value.length === 3
+            ? Array.from(
+                  value,
+                  (c) => c + c
+              ).join("")
+            : value;
+    return [0, 2, 4].map((i) =>
+        parseInt(full.slice(i, i + 2), 16)
+    );
+};
+
+const ANSI16 = [
+    "#000000",
+    "#cd0000",
+    "#00cd00",
+    "#cdcd00",
+    "#0000ee",
+    "#cd00cd",
+    "#00cdcd",
+    "#e5e5e5",
+    "#7f7f7f",
+    "#ff0000",
+    "#00ff00",
+    "#ffff00",
+    "#5c5cff",
+    "#ff00ff",
+    "#00ffff",
+    "#ffffff",
+].map(hexToRgb);
+
+// xterm's 256 colors: the 16 system colors, a 6×6×6 cube and 24 grays.
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+const XTERM256 = [
+    ...ANSI16,
+    ...Array.from({ length: 216 }, (_, i) => [
+        CUBE_LEVELS[Math.floor(i / 36)],
+        CUBE_LEVELS[Math.floor(i / 6) % 6],
+        CUBE_LEVELS[i % 6],
+    ]),
+    ...Array.from({ length: 24 }, (_, i) => {
+        const v = 8 + i * 10;
+        return [v, v, v];
+    }),
+];
+
+export const PALETTES = {
+    ansi16: { label: "ANSI 16", colors: ANSI16 },
+    xterm256: {
+        label: "xterm 256",
+        colors: XTERM256,
+    },
+    gameboy: {
+        label: "Game Boy",
+        colors: [
+            "#0f380f",
+            "#306230",
+            "#8bac0f",
+            "#9bbc0f",
+        ].map(hexToRgb),
+    },
+    pico8: {
+        label: "PICO-8",
+        colors: [
+            "#000000",
+            "#1d2b53",
+            "#7e2553",
+            "#008751",
+            "#ab5236",
+            "#5f574f",
+            "#c2c3c7",
+            "#fff1e8",
+            "#ff004d",
+            "#ffa300",
+            "#ffec27",
+            "#00e436",
+            "#29adff",
+            "#83769c",
+            "#ff77a8",
+            "#ffccaa",
+        ].map(hexToRgb),
+    },
+};
+
+// Select options: exact colors, the built-in palettes, then custom.
+export const PALETTE_OPTIONS = [
+    { label: "Full color", value: "none" },
+    ...Object.entries(PALETTES).map(
+        ([value, { label }]) => ({ label, value })
+    ),
+    { label: "Custom", value: "custom" },
+];
+
+export const MAX_CUSTOM_PALETTE_COLORS = 256;
+
+// Reads a GIMP palette ("R G B name" lines after the header) or a list
+// of #rgb / #rrggbb values separated by spaces, commas or new lines.
+// Returns [r, g, b] triples; unrecognized lines are skipped.
+export const parsePalette = (text) => {
+    const colors = [];
+    const lines = text.split(/\r?\n/);
+    const isGpl =
+        lines[0]?.trim() === "GIMP Palette";
+    for (const raw of isGpl
+        ? lines.slice(1)
+        : lines) {
+        const line = raw.trim();
+        if (!line || line.startsWith("//"))
+            continue;
+        if (isGpl) {
+            if (/^(Name|Columns):/i.test(line))
+                continue;
+            if (line.startsWith("#")) continue;
+            const match = line.match(
+                /^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})/
+            );
+            if (match)
+                colors.push(
+                    match
+                        .slice(1, 4)
+                        .map((v) =>
+                            Math.min(
+                                255,
+                                Number(v)
+                            )
+                        )
+                );
+            continue;
+        }
+        for (const token of line.split(
+            /[\s,;]+/
+        )) {
+            if (
+                /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(
+                    token
+                )
+            )
+                colors.push(hexToRgb(token));
+        }
+    }
+    return colors.slice(
+        0,
+        MAX_CUSTOM_PALETTE_COLORS
+    );
+};
+
+export const rgbToHex = ([r, g, b]) =>
+    `#${[r, g, b]
+        .map((v) =>
+            v.toString(16).padStart(2, "0")
+        )
+        .join("")}`;
+
+// Palette colors for resolved convert options, or null for exact colors.
+export const getPaletteColors = ({
+    palette,
+    customPalette,
+}) => {
+    if (palette === "custom")
+        return customPalette?.length
+            ? customPalette.map(hexToRgb)
+            : null;
+    return PALETTES[palette]?.colors ?? null;
+};
+
+// Index of the closest palette color, using the "redmean" weighted RGB
+// distance, which tracks perceived differences better than plain RGB.
+export const findNearestColor = (
+    colors,
+    r,
+    g,
+    b
+) => {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < colors.length; i++) {
+        const [pr, pg, pb] = colors[i];
+        const mean = (r + pr) / 2;
+        const dr = r - pr;
+        const dg = g - pg;
+        const db = b - pb;
+        const distance =
+            (2 + mean / 256) * dr * dr +
+            4 * dg * dg +
+            (2 + (255 - mean) / 256) * db * db;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+};
+
+// Returns a copy of a downsampled image with every cell snapped to the
+// palette, optionally with Floyd–Steinberg dithering across cells.
+export const quantizeImage = (
+    sampled,
+    colors,
+    { dither = false } = {}
+) => {
+    const { width, height, data } = sampled;
+    const out = new Uint8ClampedArray(
+        data.length
+    );
+    const work = dither
+        ? Float32Array.from(data)
+        : data;
+    const spread = (x, y, error, weight) => {
+        if (x < 0 || x >= width || y >= height)
+            return;
+        const o = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++)
+            work[o + c] += error[c] * weight;
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const [r, g, b] = [0, 1, 2].map((c) =>
+                Math.min(
+                    255,
+                    Math.max(0, work[o + c])
+                )
+            );
+            const color =
+                colors[
+                    findNearestColor(
+                        colors,
+                        r,
+                        g,
+                        b
+                    )
+                ];
+            out[o] = color[0];
+            out[o + 1] = color[1];
+            out[o + 2] = color[2];
+            out[o + 3] = 255;
+            if (!dither) continue;
+            const error = [
+                r - color[0],
+                g - color[1],
+                b - color[2],
+            ];
+            spread(x + 1, y, error, 7 / 16);
+            spread(x - 1, y + 1, error, 3 / 16);
+            spread(x, y + 1, error, 5 / 16);
+            spread(x + 1, y + 1, error, 1 / 16);
+        }
+    }
+    return { width, height, data: out };
+};
@@ -0,0 +1,348 @@
+// .pixelmuse project files: JSON holding the layer bitmaps as PNG data
+// URLs, the brush, the Style settings and the last generated output.
+// Autosaved sessions keep the same fields in IndexedDB, with Blobs for
+// the layer images and the color matrix instead.
+import { sanitizeConvertOptions } from "./ascii.js";
+import {
+    BLEND_MODES,
+    LAYER_KINDS,
+} from "./layers.js";
+
+export const PROJECT_FILE_EXTENSION =
+    ".pixelmuse";
+export const PROJECT_VERSION = 1;
+
+const PROJECT_FORMAT = "pixelmuse-project";
+
+export const DEFAULT_BRUSH = {
+    color: "#000000",
+    size: 8,
+    eraser: false,
+};
+
+export const MAX_BRUSH_SIZE = 32;
+
+// MIGRATIONS[i] upgrades a version i + 1 project to version i + 2. Files
+// are upgraded one step at a time on open, so every older version keeps
+// loading; bump PROJECT_VERSION and add a step when the schema changes.
+const MIGRATIONS = [];
+
+const NOT_A_PROJECT =
+    "This isn't a PixelMuse project file.";
+
+// The project fields, with `images[i]` as the image of `layers[i]`.
+const describeProject = (
+    {
+        width,
+        height,
+        layers,
+        brush,
+        style,
+        output,
+    },
+    images
+) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    canvas: { width, height },
+    // Bottom to top, like the layers array.
+    layers: layers.map(
+        (
+            {
+                name,
+                kind,
+                visible,
+                opacity,
+                blendMode,
+                includeInConversion,
+            },
+            index
+        ) => ({
+            name,
+            kind,
+            visible,
+            opacity,
+            blendMode,
+            includeInConversion,
+            image: images[index],
+        })
+    ),
+    brush,
+    style,
+    output,
+});
+
+export const serializeProject = (state) =>
+    JSON.stringify(
+        describeProject(
+            state,
+            state.layers.map(({ canvas }) =>
+                canvas.toDataURL("image/png")
+            )
+        )
+    );
+
+const canvasToBlob = (canvas) =>
+    new Promise((resolve, reject) =>
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else
+                reject(
+                    new Error(
+                        "Couldn't encode a layer image."
+                    )
+                );
+        }, "image/png")
+    );
+
+// A color matrix only changes on Generate, so each one is encoded once
+// rather than on every autosave.
+const colorMatrixBlobs = new WeakMap();
+
+const getColorMatrixBlob = (colorMatrix) => {
+    if (!colorMatrix) return null;
+    let blob = colorMatrixBlobs.get(colorMatrix);
+    if (!blob) {
+        blob = new Blob(
+            [JSON.stringify(colorMatrix)],
+            { type: "application/json" }
+        );
+        colorMatrixBlobs.set(colorMatrix, blob);
+    }
+    return blob;
+};
+
+/**
+ * Captures the project for an autosave: the fields of a project file,
+ * with the layer images as PNG Blobs from the asynchronous toBlob and the
+ * color matrix as a JSON Blob, so nothing large is encoded on the main
+ * thread while the user works.
+ *
+ * @returns {Promise<object>} A structured-clonable project for IndexedDB
+ */
+export const captureProject = async (state) => {
+    const images = await Promise.all(
+        state.layers.map(({ canvas }) =>
+            canvasToBlob(canvas)
+        )
+    );
+    return describeProject(
+        {
+            ...state,
+            output: {
+                ascii: state.output.ascii,
+                colorMatrix: getColorMatrixBlob(
+                    state.output.colorMatrix
+                ),
+            },
+        },
+        images
+    );
+};
+
+const sanitizeLayer = (layer) => ({
+    name:
+        typeof layer.name === "string"
+            ? layer.name
+            : "",
+    kind: Object.values(LAYER_KINDS).includes(
+        layer.kind
+    )
+        ? layer.kind
+        : LAYER_KINDS.paint,
+    visible: layer.visible !== false,
+    opacity: Number.isFinite(layer.opacity)
+        ? Math.min(1, Math.max(0, layer.opacity))
+        : 1,
+    blendMode: BLEND_MODES.some(
+        ({ value }) => value === layer.blendMode
+    )
+        ? layer.blendMode
+        : "source-over",
+    includeInConversion:
+        layer.includeInConversion !== false,
+    image: layer.image,
+});
+
+const sanitizeBrush = (brush) => ({
+    color: /^#[0-9a-f]{6}$/i.test(brush?.color)
+        ? brush.color
+        : DEFAULT_BRUSH.color,
+    size: Number.isFinite(brush?.size)
+        ? Math.min(
+              MAX_BRUSH_SIZE,
+              Math.max(1, Math.round(brush.size))
+          )
+        : DEFAULT_BRUSH.size,
+    eraser: brush?.eraser === true,
+});
+
+const RGB_PATTERN =
+    /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/;
+
+// An rgb() color rebuilt from its three channels, or null.
+const sanitizeRgb = (color) => {
+    const match =
+        typeof color === "string" &&
+        RGB_PATTERN.exec(color);
+    if (!match) return null;
+    const channels = match.slice(1).map(Number);
+    return channels.every((value) => value <= 255)
+        ? `rgb(${channels.join(", ")})`
+        : null;
+};
+
+// Colors from the matrix end up in inline styles, so every cell is
+// rebuilt from checked values. Null if any cell is malformed.
+const sanitizeColorMatrix = (matrix) => {
+    if (!Array.isArray(matrix)) return null;
+    const rows = [];
+    for (const row of matrix) {
+        if (!Array.isArray(row)) return null;
+        const cells = [];
+        for (const cell of row) {
+            const char = cell?.char;
+            const color = sanitizeRgb(
+                cell?.color
+            );
+            if (
+                typeof char !== "string" ||
+                [...char].length !== 1 ||
+                !color
+            )
+                return null;
+            if (cell.background === undefined) {
+                cells.push({ char, color });
+                continue;
+            }
+            const background = sanitizeRgb(
+                cell.background
+            );
+            if (!background) return null;
+            cells.push({
+                char,
+                color,
+                background,
+            });
+        }
+        rows.push(cells);
+    }
+    return rows;
+};
+
+// Upgrades and sanitizes parsed project data; see parseProject.
+const readProject = (data) => {
+    if (
+        data?.format !== PROJECT_FORMAT ||
+        !Number.isInteger(data.version) ||
+        data.version < 1
+    )
+        throw new Error(NOT_A_PROJECT);
+    if (data.version > PROJECT_VERSION)
+        throw new Error(
+            "This project was saved by a newer version of PixelMuse. Update the app to open it."
+        );
+    const project = MIGRATIONS.slice(
+        data.version - 1
+    ).reduce(
+        (current, migrate) => migrate(current),
+        data
+    );
+
+    const output = project.output ?? {};
+    return {
+        layers: (Array.isArray(project.layers)
+            ? project.layers
+            : []
+        )
+            .filter(
+                (layer) =>
+                    layer?.image instanceof
+                        Blob ||
+                    (typeof layer?.image ===
+                        "string" &&
+                        layer.image.startsWith(
+                            "data:image/"
+                        ))
+            )
+            .map(sanitizeLayer),
+        brush: sanitizeBrush(project.brush),
+        style: sanitizeConvertOptions(
+            project.style
+        ),
+        output: {
+            ascii:
+                typeof output.ascii === "string"
+                    ? output.ascii
+                    : "",
+            colorMatrix: sanitizeColorMatrix(
+                output.colorMatrix
+            ),
+        },
+    };
+};
+
+/**
+ * Parses and upgrades a project file, replacing anything missing or
+ * malformed with defaults. Throws for files that aren't projects or that
+ * come from a newer version.
+ *
+ * @param {string} text
+ * @returns {{layers: Array, brush: object, style: object, output: {ascii: string, colorMatrix: Array|null}}}
+ */
+export const parseProject = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error(NOT_A_PROJECT);
+    }
+    return readProject(data);
+};
+
+// Reads a project from captureProject back, like parseProject.
+export const readCapturedProject = async (
+    data
+) => {
+    const colorMatrix = data?.output?.colorMatrix;
+    return readProject({
+        ...data,
+        output: {
+            ...data?.output,
+            colorMatrix:
+                colorMatrix instanceof Blob
+                    ? JSON.parse(
+                          await colorMatrix.text()
+                      )
+                    : colorMatrix,
+        },
+    });
+};
+
+// Loads a layer image from a data URL or a Blob.
+export const loadImage = (src) =>
+    new Promise((resolve, reject) => {
+        const url =
+            src instanceof Blob
+                ? URL.createObjectURL(src)
+                : src;
+        const img = new Image();
+        const done = () => {
+            if (url !== src)
+                URL.revokeObjectURL(url);
+        };
+        img.onload = () => {
+            done();
+            resolve(img);
+        };
+        img.onerror = () => {
+            done();
+            reject(
+                new Error(
+                    "The project contains a damaged layer image."
+                )
+            );
+        };
+        img.src = url;
+    });
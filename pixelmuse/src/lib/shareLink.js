@@ -0,0 +1,125 @@
+// Share links: the main Style settings go in the query string, and the
+// ASCII output can ride along in the hash, deflated and base64url-encoded
+// so small pieces fit in a link.
+import { DEFAULT_CONVERT_OPTIONS } from "./ascii.js";
+
+// Query parameter for each shared option.
+const STYLE_PARAMS = {
+    columns: "columns",
+    lineHeightRatio: "lineHeight",
+    charset: "charset",
+    densityBias: "density",
+    invert: "invert",
+};
+
+const ASCII_HASH_PARAM = "ascii";
+
+// Longest encoded ASCII we put in a link, in characters. Longer links
+// get cut off by chat apps and some browsers.
+export const MAX_SHARED_ASCII_LENGTH = 16000;
+
+const toBase64Url = (bytes) => {
+    let binary = "";
+    for (const byte of bytes)
+        binary += String.fromCharCode(byte);
+    return btoa(binary)
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) =>
+    Uint8Array.from(
+        atob(
+            text
+                .replace(/-/g, "+")
+                .replace(/_/g, "/")
+        ),
+        (c) => c.charCodeAt(0)
+    );
+
+const pipeBytes = async (bytes, transform) =>
+    new Uint8Array(
+        await new Response(
+            new Blob([bytes])
+                .stream()
+                .pipeThrough(transform)
+        ).arrayBuffer()
+    );
+
+export const encodeSharedAscii = async (text) =>
+    toBase64Url(
+        await pipeBytes(
+            new TextEncoder().encode(text),
+            new CompressionStream("deflate-raw")
+        )
+    );
+
+export const decodeSharedAscii = async (
+    encoded
+) =>
+    new TextDecoder().decode(
+        await pipeBytes(
+            fromBase64Url(encoded),
+            new DecompressionStream("deflate-raw")
+        )
+    );
+
+// `href` with the shared options in its query and, when given, the
+// encoded ASCII in its hash.
+export const buildShareUrl = (
+    href,
+    options,
+    encodedAscii = null
+) => {
+    const url = new URL(href);
+    for (const [key, param] of Object.entries(
+        STYLE_PARAMS
+    )) {
+        const value = options[key];
+        url.searchParams.set(
+            param,
+            typeof value === "boolean"
+                ? Number(value)
+                : value
+        );
+    }
+    url.hash = encodedAscii
+        ? `${ASCII_HASH_PARAM}=${encodedAscii}`
+        : "";
+    return url.toString();
+};
+
+// Reads a share link. Returns null when `href` has no shared settings;
+// otherwise the options it sets (typed but not yet sanitized), the
+// encoded ASCII or null, and `href` without the shared parts.
+export const readShareUrl = (href) => {
+    const url = new URL(href);
+    const options = {};
+    for (const [key, param] of Object.entries(
+        STYLE_PARAMS
+    )) {
+        const raw = url.searchParams.get(param);
+        if (raw === null) continue;
+        url.searchParams.delete(param);
+        const fallback =
+            DEFAULT_CONVERT_OPTIONS[key];
+        options[key] =
+            typeof fallback === "number"
+                ? Number(raw)
+                : typeof fallback === "boolean"
+                  ? raw === "1" || raw === "true"
+                  : raw;
+    }
+    const ascii = new URLSearchParams(
+        url.hash.slice(1)
+    ).get(ASCII_HASH_PARAM);
+    if (ascii !== null) url.hash = "";
+    if (!Object.keys(options).length && !ascii)
+        return null;
+    return {
+        options,
+        ascii: ascii || null,
+        cleanUrl: url.toString(),
+    };
+};
@@ -0,0 +1,185 @@
+// Named style presets: every Style setting plus the export theme, kept in
+// localStorage and exchanged as JSON files. Ids only live in memory; they
+// are assigned whenever presets are loaded.
+import { sanitizeConvertOptions } from "./ascii.js";
+import { sanitizeExportTheme } from "./exporters.js";
+
+const STORAGE_KEY = "pixelmuse:style-presets";
+const FILE_FORMAT = "pixelmuse-style-presets";
+const FILE_VERSION = 1;
+
+export const MAX_STYLE_PRESETS = 100;
+export const MAX_PRESET_NAME_LENGTH = 60;
+
+let nextPresetId = 1;
+
+const withId = (preset) => ({
+    ...preset,
+    id: `preset-${nextPresetId++}`,
+});
+
+const toPlain = ({
+    name,
+    style,
+    exportTheme,
+}) => ({
+    name,
+    style,
+    exportTheme,
+});
+
+// Null for entries without a usable name.
+const sanitizePreset = (preset) => {
+    const name =
+        typeof preset?.name === "string"
+            ? preset.name
+                  .trim()
+                  .slice(
+                      0,
+                      MAX_PRESET_NAME_LENGTH
+                  )
+            : "";
+    if (!name) return null;
+    return {
+        name,
+        style: sanitizeConvertOptions(
+            preset.style
+        ),
+        exportTheme: sanitizeExportTheme(
+            preset.exportTheme
+        ),
+    };
+};
+
+const sanitizePresets = (presets) =>
+    (Array.isArray(presets) ? presets : [])
+        .map(sanitizePreset)
+        .filter(Boolean)
+        .slice(0, MAX_STYLE_PRESETS)
+        .map(withId);
+
+export const createStylePreset = (
+    name,
+    style,
+    exportTheme
+) => {
+    const preset = sanitizePreset({
+        name,
+        style,
+        exportTheme,
+    });
+    return preset && withId(preset);
+};
+
+export const loadStylePresets = () => {
+    try {
+        return sanitizePresets(
+            JSON.parse(
+                localStorage.getItem(STORAGE_KEY)
+            )
+        );
+    } catch {
+        return [];
+    }
+};
+
+export const storeStylePresets = (presets) => {
+    try {
+        localStorage.setItem(
+            STORAGE_KEY,
+            JSON.stringify(presets.map(toPlain))
+        );
+    } catch (error) {
+        console.error(
+            "Couldn't save style presets:",
+            error
+        );
+    }
+};
+
+// Adds presets to the list. One with the name of an existing preset
+// replaces it in place; new names go to the end, up to the limit.
+export const mergeStylePresets = (
+    presets,
+    added
+) => {
+    const next = presets.slice();
+    for (const preset of added) {
+        const index = next.findIndex(
+            ({ name }) => name === preset.name
+        );
+        if (index !== -1) next[index] = preset;
+        else if (next.length < MAX_STYLE_PRESETS)
+            next.push(preset);
+    }
+    return next;
+};
+
+export const removeStylePreset = (presets, id) =>
+    presets.filter((preset) => preset.id !== id);
+
+// Moves a preset by `offset` positions in the list.
+export const moveStylePreset = (
+    presets,
+    id,
+    offset
+) => {
+    const from = presets.findIndex(
+        (preset) => preset.id === id
+    );
+    const to = from + offset;
+    if (
+        from === -1 ||
+        to < 0 ||
+        to >= presets.length
+    )
+        return presets;
+    const next = presets.slice();
+    const [preset] = next.splice(from, 1);
+    next.splice(to, 0, preset);
+    return next;
+};
+
+export const buildStylePresetFile = (presets) =>
+    `${JSON.stringify(
+        {
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            presets: presets.map(toPlain),
+        },
+        null,
+        2
+    )}\n`;
+
+/**
+ * Reads presets from an exported JSON file. Malformed settings fall back
+ * to defaults; presets without a name are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<{id: string, name: string, style: object, exportTheme: object}>}
+ */
+export const parseStylePresetFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        data = null;
+    }
+    if (data?.format !== FILE_FORMAT)
+        throw new Error(
+            "This isn't a PixelMuse style preset file."
+        );
+    if (
+        !Number.isInteger(data.version) ||
+        data.version > FILE_VERSION
+    )
+        throw new Error(
+            "These presets were exported by a newer version of PixelMuse."
+        );
+    const presets = sanitizePresets(data.presets);
+    if (!presets.length)
+        throw new Error(
+            "The file doesn't contain any presets."
+        );
+    return presets;
+};
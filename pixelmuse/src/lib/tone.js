@@ -0,0 +1,179 @@
+// Tonal adjustments applied to luminance before the character mapping.
+// Settings are baked into a 256-entry curve per image, since auto-levels
+// and equalization depend on the image's own histogram.
+
+export const DEFAULT_TONE = {
+    brightness: 0,
+    contrast: 0,
+    gamma: 1,
+    blackLevel: 0,
+    whiteLevel: 255,
+    autoLevels: false,
+    equalize: false,
+};
+
+// Fraction of the darkest and brightest pixels auto-levels clips.
+export const AUTO_LEVELS_CLIP = 0.005;
+
+export const isNeutralTone = (settings) =>
+    Object.entries(DEFAULT_TONE).every(
+        ([key, value]) =>
+            (settings[key] ?? value) === value
+    );
+
+export const getHistogram = (luminance) => {
+    const histogram = new Uint32Array(256);
+    for (const lum of luminance) {
+        histogram[
+            Math.min(
+                255,
+                Math.max(0, Math.round(lum))
+            )
+        ]++;
+    }
+    return histogram;
+};
+
+export const findPercentile = (
+    histogram,
+    fraction
+) => {
+    const total = histogram.reduce(
+        (sum, count) => sum + count,
+        0
+    );
+    const target = total * fraction;
+    let seen = 0;
+    for (let i = 0; i < 256; i++) {
+        seen += histogram[i];
+        if (seen > target) return i;
+    }
+    return 255;
+};
+
+export const getAutoLevels = (histogram) => {
+    const black = findPercentile(
+        histogram,
+        AUTO_LEVELS_CLIP
+    );
+    const white = findPercentile(
+        histogram,
+        1 - AUTO_LEVELS_CLIP
+    );
+    return white > black
+        ? { black, white }
+        : { black: 0, white: 255 };
+};
+
+// Classic contrast factor for an amount from -100 to 100.
+const getContrastFactor = (amount) => {
+    const c = amount * 2.55;
+    return (259 * (c + 255)) / (255 * (259 - c));
+};
+
+const clamp01 = (value) =>
+    Math.min(1, Math.max(0, value));
+
+// Returns a Float32Array mapping luminance 0-255 to adjusted luminance,
+// or null when the settings leave the image unchanged. The order is
+// levels, equalization, gamma, contrast, then brightness.
+export const buildToneCurve = (
+    histogram,
+    settings
+) => {
+    if (isNeutralTone(settings)) return null;
+    const tone = { ...DEFAULT_TONE, ...settings };
+    const { black, white } = tone.autoLevels
+        ? getAutoLevels(histogram)
+        : {
+              black: tone.blackLevel,
+              white: Math.max(
+                  tone.blackLevel + 1,
+                  tone.whiteLevel
+              ),
+          };
+
+    const leveled = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+        leveled[i] = clamp01(
+            (i - black) / (white - black)
+        );
+    }
+
+    let equalized = null;
+    if (tone.equalize) {
+        const counts = new Float64Array(256);
+        for (let i = 0; i < 256; i++) {
+            counts[
+                Math.round(leveled[i] * 255)
+            ] += histogram[i];
+        }
+        const cdf = new Float64Array(256);
+        let sum = 0;
+        for (let i = 0; i < 256; i++) {
+            sum += counts[i];
+            cdf[i] = sum;
+        }
+        const min = cdf.find(
+            (value) => value > 0
+        );
+        equalized =
+            sum > min
+                ? cdf.map((value) =>
+                      clamp01(
+                          (value - min) /
+                              (sum - min)
+                      )
+                  )
+                : null;
+    }
+
+    const contrast = getContrastFactor(
+        tone.contrast
+    );
+    const curve = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let v = leveled[i];
+        if (equalized)
+            v = equalized[Math.round(v * 255)];
+        v = Math.pow(v, 1 / tone.gamma);
+        v = (v - 0.5) * contrast + 0.5;
+        v += tone.brightness / 100;
+        curve[i] = clamp01(v) * 255;
+    }
+    return curve;
+};
+
+// Histograms of a luminance array before and after the tone settings,
+// for the tonal panel.
+export const getToneHistograms = (
+    luminance,
+    settings
+) => {
+    const before = getHistogram(luminance);
+    const curve = buildToneCurve(
+        before,
+        settings
+    );
+    return {
+        before,
+        after: curve
+            ? getHistogram(
+                  luminance.map((lum) =>
+                      applyToneCurve(curve, lum)
+                  )
+              )
+            : before,
+    };
+};
+
+// Looks up a luminance value in the curve, interpolating between
+// entries.
+export const applyToneCurve = (curve, lum) => {
+    if (!curve) return lum;
+    const i = Math.min(254, Math.floor(lum));
+    const t = lum - i;
+    return (
+        curve[i] + (curve[i + 1] - curve[i]) * t
+    );
+};
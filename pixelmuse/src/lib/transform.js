@@ -0,0 +1,432 @@
+// Editable placement of an imported image. A transform maps the `crop`
+// rectangle of the source image (in source pixels) to a box centred on
+// (x, y), scaled, flipped and then rotated by `rotation` radians.
+
+export const TRANSFORM_MIN_SIZE = 8;
+export const TRANSFORM_HANDLE_RADIUS = 10;
+export const TRANSFORM_ROTATE_OFFSET = 32;
+
+const SCALE_HANDLES = [
+    { id: "nw", sx: -1, sy: -1 },
+    { id: "n", sx: 0, sy: -1 },
+    { id: "ne", sx: 1, sy: -1 },
+    { id: "e", sx: 1, sy: 0 },
+    { id: "se", sx: 1, sy: 1 },
+    { id: "s", sx: 0, sy: 1 },
+    { id: "sw", sx: -1, sy: 1 },
+    { id: "w", sx: -1, sy: 0 },
+];
+
+const clamp = (value, min, max) =>
+    Math.min(max, Math.max(min, value));
+
+export const createFitTransform = (
+    sourceWidth,
+    sourceHeight,
+    canvasWidth,
+    canvasHeight
+) => {
+    const ratio = Math.min(
+        canvasWidth / sourceWidth,
+        canvasHeight / sourceHeight
+    );
+    return {
+        x: canvasWidth / 2,
+        y: canvasHeight / 2,
+        scaleX: ratio,
+        scaleY: ratio,
+        rotation: 0,
+        flipX: false,
+        flipY: false,
+        crop: {
+            x: 0,
+            y: 0,
+            width: sourceWidth,
+            height: sourceHeight,
+        },
+    };
+};
+
+export const getTransformSize = ({
+    crop,
+    scaleX,
+    scaleY,
+}) => ({
+    width: crop.width * scaleX,
+    height: crop.height * scaleY,
+});
+
+// Box-local coordinates run from -width/2 to width/2 around the centre,
+// before flipping and rotation are applied.
+export const toLocal = (transform, point) => {
+    const dx = point.x - transform.x;
+    const dy = point.y - transform.y;
+    const cos = Math.cos(transform.rotation);
+    const sin = Math.sin(transform.rotation);
+    return {
+        x:
+            (dx * cos + dy * sin) *
+            (transform.flipX ? -1 : 1),
+        y:
+            (-dx * sin + dy * cos) *
+            (transform.flipY ? -1 : 1),
+    };
+};
+
+export const toWorld = (transform, local) => {
+    const lx =
+        local.x * (transform.flipX ? -1 : 1);
+    const ly =
+        local.y * (transform.flipY ? -1 : 1);
+    const cos = Math.cos(transform.rotation);
+    const sin = Math.sin(transform.rotation);
+    return {
+        x: transform.x + lx * cos - ly * sin,
+        y: transform.y + lx * sin + ly * cos,
+    };
+};
+
+export const getTransformCorners = (
+    transform
+) => {
+    const { width, height } =
+        getTransformSize(transform);
+    return [
+        [-1, -1],
+        [1, -1],
+        [1, 1],
+        [-1, 1],
+    ].map(([sx, sy]) =>
+        toWorld(transform, {
+            x: (sx * width) / 2,
+            y: (sy * height) / 2,
+        })
+    );
+};
+
+export const getTransformHandles = (
+    transform
+) => {
+    const { width, height } =
+        getTransformSize(transform);
+    const handles = SCALE_HANDLES.map(
+        (handle) => ({
+            ...handle,
+            kind: "scale",
+            ...toWorld(transform, {
+                x: (handle.sx * width) / 2,
+                y: (handle.sy * height) / 2,
+            }),
+        })
+    );
+    // The rotate handle always sits above the box on screen, whatever
+    // the flip state.
+    const cos = Math.cos(transform.rotation);
+    const sin = Math.sin(transform.rotation);
+    const distance =
+        height / 2 + TRANSFORM_ROTATE_OFFSET;
+    handles.push({
+        id: "rotate",
+        kind: "rotate",
+        sx: 0,
+        sy: 0,
+        x: transform.x + distance * sin,
+        y: transform.y - distance * cos,
+    });
+    return handles;
+};
+
+// Returns the handle under `point`, "move" inside the box, or null.
+export const hitTestTransform = (
+    transform,
+    point,
+    radius = TRANSFORM_HANDLE_RADIUS
+) => {
+    const handle = getTransformHandles(
+        transform
+    ).find(
+        ({ x, y }) =>
+            Math.hypot(
+                point.x - x,
+                point.y - y
+            ) <= radius
+    );
+    if (handle) return handle;
+    const { width, height } =
+        getTransformSize(transform);
+    const local = toLocal(transform, point);
+    if (
+        Math.abs(local.x) <= width / 2 &&
+        Math.abs(local.y) <= height / 2
+    )
+        return { id: "move", kind: "move" };
+    return null;
+};
+
+export const moveTransform = (
+    start,
+    from,
+    to
+) => ({
+    ...start,
+    x: start.x + to.x - from.x,
+    y: start.y + to.y - from.y,
+});
+
+export const rotateTransform = (
+    start,
+    from,
+    to,
+    { snap = false } = {}
+) => {
+    const angle = (point) =>
+        Math.atan2(
+            point.y - start.y,
+            point.x - start.x
+        );
+    let rotation =
+        start.rotation + angle(to) - angle(from);
+    if (snap) {
+        const step = Math.PI / 12;
+        rotation =
+            Math.round(rotation / step) * step;
+    }
+    return { ...start, rotation };
+};
+
+// Crops one axis of the source rectangle so it spans `size` display
+// pixels, keeping the edge opposite the dragged one fixed.
+const cropAxis = (
+    start,
+    end,
+    size,
+    scale,
+    limit,
+    side
+) => {
+    const length = clamp(
+        size / scale,
+        1,
+        side > 0 ? limit - start : end
+    );
+    return side > 0
+        ? { offset: start, length }
+        : { offset: end - length, length };
+};
+
+// Drags a scale handle to `point`. In crop mode the handle moves the
+// crop edge instead of stretching the image.
+export const resizeTransform = (
+    start,
+    handle,
+    point,
+    {
+        uniform = false,
+        cropping = false,
+        source,
+    } = {}
+) => {
+    const { width, height } =
+        getTransformSize(start);
+    const { sx, sy } = handle;
+    const local = toLocal(start, point);
+    const anchor = {
+        x: (-sx * width) / 2,
+        y: (-sy * height) / 2,
+    };
+    let nextWidth = sx
+        ? Math.max(
+              TRANSFORM_MIN_SIZE,
+              sx * (local.x - anchor.x)
+          )
+        : width;
+    let nextHeight = sy
+        ? Math.max(
+              TRANSFORM_MIN_SIZE,
+              sy * (local.y - anchor.y)
+          )
+        : height;
+
+    let next;
+    if (cropping && source) {
+        const crop = { ...start.crop };
+        if (sx) {
+            const { offset, length } = cropAxis(
+                crop.x,
+                crop.x + crop.width,
+                nextWidth,
+                start.scaleX,
+                source.width,
+                start.flipX ? -sx : sx
+            );
+            crop.x = offset;
+            crop.width = length;
+        }
+        if (sy) {
+            const { offset, length } = cropAxis(
+                crop.y,
+                crop.y + crop.height,
+                nextHeight,
+                start.scaleY,
+                source.height,
+                start.flipY ? -sy : sy
+            );
+            crop.y = offset;
+            crop.height = length;
+        }
+        next = { ...start, crop };
+    } else {
+        if (uniform && sx && sy) {
+            const factor = Math.max(
+                nextWidth / width,
+                nextHeight / height
+            );
+            nextWidth = width * factor;
+            nextHeight = height * factor;
+        }
+        next = {
+            ...start,
+            scaleX: nextWidth / start.crop.width,
+            scaleY:
+                nextHeight / start.crop.height,
+        };
+    }
+
+    const size = getTransformSize(next);
+    const center = toWorld(start, {
+        x: sx
+            ? anchor.x + (sx * size.width) / 2
+            : 0,
+        y: sy
+            ? anchor.y + (sy * size.height) / 2
+            : 0,
+    });
+    return { ...next, ...center };
+};
+
+// Draws the cropped source through the transform. With `full`, the whole
+// source is drawn where it would sit around the crop.
+export const drawTransformedImage = (
+    ctx,
+    source,
+    transform,
+    { full = false } = {}
+) => {
+    const { crop, scaleX, scaleY } = transform;
+    const { width, height } =
+        getTransformSize(transform);
+    ctx.save();
+    ctx.translate(transform.x, transform.y);
+    ctx.rotate(transform.rotation);
+    ctx.scale(
+        transform.flipX ? -1 : 1,
+        transform.flipY ? -1 : 1
+    );
+    if (full) {
+        ctx.drawImage(
+            source,
+            -width / 2 - crop.x * scaleX,
+            -height / 2 - crop.y * scaleY,
+            source.width * scaleX,
+            source.height * scaleY
+        );
+    } else {
+        ctx.drawImage(
+            source,
+            crop.x,
+            crop.y,
+            crop.width,
+            crop.height,
+            -width / 2,
+            -height / 2,
+            width,
+            height
+        );
+    }
+    ctx.restore();
+};
+
+export const drawTransformOverlay = (
+    ctx,
+    transform,
+    { source, cropping = false } = {}
+) => {
+    if (cropping && source) {
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        drawTransformedImage(
+            ctx,
+            source,
+            transform,
+            {
+                full: true,
+            }
+        );
+        ctx.restore();
+    }
+
+    const corners =
+        getTransformCorners(transform);
+    const handles =
+        getTransformHandles(transform);
+    const rotate = handles.find(
+        ({ id }) => id === "rotate"
+    );
+    const { height } =
+        getTransformSize(transform);
+    const top = {
+        x:
+            transform.x +
+            (height / 2) *
+                Math.sin(transform.rotation),
+        y:
+            transform.y -
+            (height / 2) *
+                Math.cos(transform.rotation),
+    };
+
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = cropping
+        ? "#f59e0b"
+        : "#0f172a";
+    ctx.setLineDash(cropping ? [6, 4] : []);
+    ctx.beginPath();
+    corners.forEach(({ x, y }, index) =>
+        index
+            ? ctx.lineTo(x, y)
+            : ctx.moveTo(x, y)
+    );
+    ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.beginPath();
+    ctx.moveTo(top.x, top.y);
+    ctx.lineTo(rotate.x, rotate.y);
+    ctx.stroke();
+
+    ctx.fillStyle = "#ffffff";
+    for (const handle of handles) {
+        ctx.beginPath();
+        if (handle.kind === "rotate") {
+            ctx.arc(
+                handle.x,
+                handle.y,
+                6,
+                0,
+                Math.PI * 2
+            );
+        } else {
+            ctx.rect(
+                handle.x - 5,
+                handle.y - 5,
+                10,
+                10
+            );
+        }
+        ctx.fill();
+        ctx.stroke();
+    }
+    ctx.restore();
+};
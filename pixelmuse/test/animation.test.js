@@ -0,0 +1,216 @@
+import {
+    afterEach,
+    beforeEach,
+    describe,
+    expect,
+    it,
+    vi,
+} from "vitest";
+import {
+    MAX_ANIMATION_FRAMES,
+    getFrameTimes,
+    openAnimationSource,
+} from "../src/lib/animation.js";
+
+const VIDEO_FILE = {
+    name: "clip.webm",
+    type: "video/webm",
+};
+
+// A <video> that loads at once and finishes each seek on the next task.
+// `length` is the real duration; `duration` may start as Infinity like
+// a recorded WebM's, and becomes known after seeking past the end.
+class FakeVideo extends EventTarget {
+    length = 5;
+    duration = 5;
+    videoWidth = 4;
+    videoHeight = 2;
+    // What a seek ends with: "seeked", "error", or null to never finish.
+    seekEvent = "seeked";
+    #time = 0;
+
+    set src(value) {
+        this.source = value;
+        queueMicrotask(() =>
+            this.dispatchEvent(
+                new Event("loadeddata")
+            )
+        );
+    }
+
+    get currentTime() {
+        return this.#time;
+    }
+
+    set currentTime(time) {
+        this.#time = Math.min(time, this.length);
+        if (time >= this.length)
+            this.duration = this.length;
+        if (this.seekEvent)
+            setTimeout(() =>
+                this.dispatchEvent(
+                    new Event(this.seekEvent)
+                )
+            );
+    }
+
+    removeAttribute() {}
+    load() {}
+}
+
+// Canvases whose frames record the video time they were drawn at.
+const createCanvas = () => {
+    let time = null;
+    return {
+        getContext: () => ({
+            drawImage: (video) => {
+                time = video.currentTime;
+            },
+            getImageData: (
+                x,
+                y,
+                width,
+                height
+            ) => ({
+                width,
+                height,
+                time,
+            }),
+        }),
+    };
+};
+
+const frameTime = ({ value }) => value.time;
+
+describe("video sources", () => {
+    let video;
+
+    beforeEach(() => {
+        video = new FakeVideo();
+        vi.stubGlobal("document", {
+            createElement: (tag) =>
+                tag === "video"
+                    ? video
+                    : createCanvas(),
+        });
+        vi.spyOn(
+            URL,
+            "createObjectURL"
+        ).mockReturnValue("blob:clip");
+        vi.spyOn(
+            URL,
+            "revokeObjectURL"
+        ).mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it("reads frames at the requested times", async () => {
+        const source =
+            await openAnimationSource(VIDEO_FILE);
+        expect(source).toMatchObject({
+            kind: "video",
+            width: 4,
+            height: 2,
+            duration: 5,
+        });
+        const times = [];
+        for await (const frame of source.readFrames(
+            [0, 2.5, 9]
+        ))
+            times.push(frame.time);
+        expect(times).toEqual([0, 2.5, 5]);
+    });
+
+    it("stops an older reader once a newer one starts", async () => {
+        const source =
+            await openAnimationSource(VIDEO_FILE);
+        const first = source.readFrames([
+            0, 1, 2,
+        ]);
+        expect(
+            frameTime(await first.next())
+        ).toBe(0);
+        const pending = first.next();
+        const second = source.readFrames([3, 4]);
+        const next = second.next();
+        expect(await pending).toEqual({
+            done: true,
+            value: undefined,
+        });
+        expect(frameTime(await next)).toBe(3);
+        expect(
+            frameTime(await second.next())
+        ).toBe(4);
+    });
+
+    it("finds the length of videos that report Infinity", async () => {
+        video.duration = Infinity;
+        const source =
+            await openAnimationSource(VIDEO_FILE);
+        expect(source.duration).toBe(5);
+        expect(video.currentTime).toBe(0);
+    });
+
+    it("rejects videos whose length stays unknown", async () => {
+        video.duration = Infinity;
+        video.length = Infinity;
+        await expect(
+            openAnimationSource(VIDEO_FILE)
+        ).rejects.toThrow(
+            "doesn't report its length"
+        );
+        expect(
+            URL.revokeObjectURL
+        ).toHaveBeenCalledWith("blob:clip");
+    });
+
+    it("gives up on a seek that never finishes", async () => {
+        const source =
+            await openAnimationSource(VIDEO_FILE);
+        vi.useFakeTimers();
+        video.seekEvent = null;
+        const frame = expect(
+            source.readFrames([1]).next()
+        ).rejects.toThrow(
+            "stopped responding while seeking"
+        );
+        await vi.advanceTimersByTimeAsync(10000);
+        await frame;
+    });
+
+    it("fails the seek on a media error", async () => {
+        const source =
+            await openAnimationSource(VIDEO_FILE);
+        video.seekEvent = "error";
+        await expect(
+            source.readFrames([1]).next()
+        ).rejects.toThrow("can't play the video");
+    });
+});
+
+describe("getFrameTimes", () => {
+    it("samples the range at the frame rate", () => {
+        expect(
+            getFrameTimes({
+                start: 1,
+                end: 2,
+                fps: 4,
+            })
+        ).toEqual([1, 1.25, 1.5, 1.75]);
+    });
+
+    it("caps the frame count", () => {
+        expect(
+            getFrameTimes({
+                start: 0,
+                end: 1000,
+                fps: 30,
+            })
+        ).toHaveLength(MAX_ANIMATION_FRAMES);
+    });
+});
@@ -0,0 +1,68 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import {
+    afterEach,
+    beforeAll,
+    expect,
+    it,
+} from "vitest";
+import ASCIIPainter from "../src/ASCIIPainter.jsx";
+
+// A smoke test for the whole page: jsdom has no canvas or workers, so
+// both are stubbed just enough for the component to mount.
+beforeAll(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    globalThis.Worker = class {
+        postMessage() {}
+        terminate() {}
+    };
+    globalThis.ResizeObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.matchMedia = () => ({
+        matches: false,
+        addEventListener() {},
+        removeEventListener() {},
+    });
+    HTMLCanvasElement.prototype.getContext =
+        function () {
+            const canvas = this;
+            return new Proxy(
+                {},
+                {
+                    get: (_, key) =>
+                        key === "canvas"
+                            ? canvas
+                            : key ===
+                                "getImageData"
+                              ? () => ({
+                                    width: 1,
+                                    height: 1,
+                                    data: new Uint8ClampedArray(
+                                        4
+                                    ),
+                                })
+                              : () => {},
+                }
+            );
+        };
+});
+
+let root;
+afterEach(() => act(() => root.unmount()));
+
+it("mounts without errors", async () => {
+    const container =
+        document.createElement("div");
+    document.body.append(container);
+    root = createRoot(container);
+    await act(async () =>
+        root.render(<ASCIIPainter />)
+    );
+    expect(
+        container.querySelector("canvas")
+    ).not.toBeNull();
+});
@@ -0,0 +1,254 @@
+import { execFile } from "node:child_process";
+import {
+    mkdtemp,
+    rm,
+    writeFile,
+} from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { PNG } from "pngjs";
+import {
+    afterAll,
+    beforeAll,
+    describe,
+    expect,
+    it,
+} from "vitest";
+import {
+    PRESETS,
+    resolveConvertOptions,
+} from "../src/lib/ascii.js";
+import {
+    DEFAULT_COLOR_TOLERANCE,
+    DEFAULT_EXPORT_THEME,
+    buildAsciiSvgDocument,
+    buildAsciiText,
+    buildColorAsciiDocument,
+    buildColorClassCss,
+    buildCompactColorHtml,
+    getAsciiFontSize,
+    getAsciiLineHeight,
+    resolveExportTheme,
+} from "../src/lib/exporters.js";
+import { createTestImage } from "./images.js";
+
+// The CLI promises output identical to the app's for the same pixels.
+// The app side runs the real conversion worker and then builds each
+// export the way ASCIIPainter does.
+const CLI = path.resolve(
+    import.meta.dirname,
+    "../bin/pixelmuse.js"
+);
+
+const options = resolveConvertOptions({
+    columns: 48,
+    lineHeightRatio: 1.8,
+    charset: PRESETS.Blocks,
+    densityBias: 10,
+    invert: true,
+});
+
+const cliArgs = [
+    "--columns",
+    "48",
+    "--line-height",
+    "1.8",
+    "--charset",
+    "blocks",
+    "--density-bias",
+    "10",
+    "--invert",
+];
+
+const posted = [];
+globalThis.self = {
+    postMessage: (message) =>
+        posted.push(message),
+};
+await import("../src/lib/ascii.worker.js");
+
+// Converts like toASCII: one "convert" message, rows collected until
+// "done".
+const convertInWorker = (imageData) =>
+    new Promise((resolve, reject) => {
+        posted.length = 0;
+        const rows = [];
+        const colorMatrix = [];
+        self.postMessage = (data) => {
+            if (data.type === "rows") {
+                rows.push(...data.rows);
+                colorMatrix.push(
+                    ...data.colorMatrix
+                );
+            } else if (data.type === "error") {
+                reject(new Error(data.message));
+            } else if (data.type === "done") {
+                resolve({ rows, colorMatrix });
+            }
+        };
+        self.onmessage({
+            data: {
+                type: "convert",
+                jobId: 1,
+                options,
+                imageData,
+            },
+        });
+    });
+
+const runCli = async (
+    format,
+    input,
+    extraArgs = []
+) => {
+    const { stdout } = await promisify(execFile)(
+        process.execPath,
+        [
+            CLI,
+            "-f",
+            format,
+            ...cliArgs,
+            ...extraArgs,
+            "-o",
+            "-",
+            input,
+        ],
+        { maxBuffer: 64 * 1024 * 1024 }
+    );
+    return stdout;
+};
+
+describe("pixelmuse CLI", () => {
+    let dir;
+    let input;
+    let app;
+
+    beforeAll(async () => {
+        dir = await mkdtemp(
+            path.join(tmpdir(), "pixelmuse-")
+        );
+        input = path.join(dir, "input.png");
+        const image = createTestImage(331, 207);
+        const png = new PNG({
+            width: image.width,
+            height: image.height,
+        });
+        png.data = Buffer.from(image.data);
+        await writeFile(
+            input,
+            PNG.sync.write(png)
+        );
+        // The app converts the pixels the PNG decodes to.
+        const decoded = PNG.sync.read(
+            PNG.sync.write(png)
+        );
+        app = await convertInWorker({
+            width: decoded.width,
+            height: decoded.height,
+            data: new Uint8ClampedArray(
+                decoded.data
+            ),
+        });
+    });
+
+    afterAll(() =>
+        rm(dir, { recursive: true, force: true })
+    );
+
+    const fontSize = getAsciiFontSize(
+        options.columns
+    );
+    const theme = resolveExportTheme(
+        DEFAULT_EXPORT_THEME
+    );
+
+    it("writes the app's text export", async () => {
+        expect(await runCli("txt", input)).toBe(
+            buildAsciiText(app.rows)
+        );
+    });
+
+    it("writes the app's color HTML export", async () => {
+        const { html, classes } =
+            buildCompactColorHtml(
+                app.colorMatrix,
+                {
+                    tolerance:
+                        DEFAULT_COLOR_TOLERANCE,
+                }
+            );
+        expect(await runCli("html", input)).toBe(
+            buildColorAsciiDocument(
+                html,
+                fontSize,
+                {
+                    styles: buildColorClassCss(
+                        classes
+                    ),
+                    theme,
+                }
+            )
+        );
+    });
+
+    it("writes the app's SVG export", async () => {
+        const lines = buildAsciiText(app.rows)
+            .replace(/\n+$/, "")
+            .split("\n");
+        expect(await runCli("svg", input)).toBe(
+            buildAsciiSvgDocument({
+                lines,
+                fontSize,
+                lineHeight:
+                    getAsciiLineHeight(fontSize),
+                colorMatrix: app.colorMatrix,
+                ...theme,
+                font: undefined,
+                outline: false,
+                embedFont: false,
+            })
+        );
+    });
+
+    it.each([
+        [
+            "--columns",
+            "2000",
+            "between 40 and 400",
+        ],
+        [
+            "--line-height",
+            "0.5",
+            "between 1 and 3",
+        ],
+        ["--gamma", "5", "between 0.2 and 3"],
+        [
+            "--edge-threshold",
+            "0.9",
+            "between 0.05 and 0.8",
+        ],
+    ])(
+        "rejects %s %s like the app's ranges",
+        async (flag, value, message) => {
+            await expect(
+                runCli("txt", input, [
+                    flag,
+                    value,
+                ])
+            ).rejects.toThrow(message);
+        }
+    );
+
+    it("states the app's ranges in the help", async () => {
+        const { stdout } = await promisify(
+            execFile
+        )(process.execPath, [CLI, "--help"]);
+        expect(stdout).toContain(
+            "Gamma from 0.2 to 3 (default: 1)"
+        );
+        expect(stdout).toContain(
+            "Columns from 40 to 400"
+        );
+    });
+});
@@ -0,0 +1,214 @@
+import { describe, expect, it } from "vitest";
+import {
+    PRESETS,
+    convert,
+} from "../src/lib/ascii.js";
+import { createTestImage } from "./images.js";
+
+// Golden outputs for the conversion engine. Any change to the mapping
+// shows up as a diff against the files in golden/; after an intended
+// change, review the new art and update them with `npm test -- -u`.
+const image = createTestImage(400, 300);
+
+const golden = (name) => `./golden/${name}`;
+
+const toText = ({ rows }) =>
+    rows.join("\n") + "\n";
+
+const slug = (name) =>
+    name.toLowerCase().replace(/\s+/g, "-");
+
+describe("convert", () => {
+    for (const [name, charset] of Object.entries(
+        PRESETS
+    )) {
+        it(`matches the ${name} preset golden`, async () => {
+            await expect(
+                toText(
+                    convert(image, {
+                        columns: 60,
+                        charset,
+                    })
+                )
+            ).toMatchFileSnapshot(
+                golden(`preset-${slug(name)}.txt`)
+            );
+        });
+    }
+
+    it("matches the inverted golden", async () => {
+        await expect(
+            toText(
+                convert(image, {
+                    columns: 60,
+                    invert: true,
+                })
+            )
+        ).toMatchFileSnapshot(
+            golden("invert.txt")
+        );
+    });
+
+    for (const densityBias of [-60, 40]) {
+        it(`matches the density bias ${densityBias} golden`, async () => {
+            await expect(
+                toText(
+                    convert(image, {
+                        columns: 60,
+                        densityBias,
+                    })
+                )
+            ).toMatchFileSnapshot(
+                golden(
+                    `density-bias-${
+                        densityBias < 0
+                            ? "minus"
+                            : "plus"
+                    }-${Math.abs(densityBias)}.txt`
+                )
+            );
+        });
+    }
+
+    for (const dither of [
+        "floyd-steinberg",
+        "atkinson",
+        "jarvis-judice-ninke",
+        "bayer",
+    ]) {
+        it(`matches the ${dither} dither golden`, async () => {
+            await expect(
+                toText(
+                    convert(image, {
+                        columns: 60,
+                        dither,
+                    })
+                )
+            ).toMatchFileSnapshot(
+                golden(`dither-${dither}.txt`)
+            );
+        });
+    }
+
+    describe("dithering a flat mid-gray", () => {
+        const gray = {
+            width: 64,
+            height: 64,
+            data: Uint8ClampedArray.from(
+                { length: 64 * 64 * 4 },
+                (_, i) =>
+                    i % 4 === 3 ? 255 : 128
+            ),
+        };
+        const rowsFor = (dither) =>
+            convert(gray, {
+                columns: 16,
+                lineHeightRatio: 1,
+                charset: " #",
+                dither,
+            }).rows;
+        const darkShare = (rows) => {
+            const text = rows.join("");
+            return (
+                text.replaceAll(" ", "").length /
+                text.length
+            );
+        };
+
+        it("leaves one glyph without dithering", () => {
+            expect(
+                new Set(rowsFor("none").join(""))
+                    .size
+            ).toBe(1);
+        });
+
+        it("tiles the Bayer matrix", () => {
+            const rows = rowsFor("bayer");
+            expect(rows.slice(0, 4)).toEqual([
+                " # #".repeat(4),
+                "# # ".repeat(4),
+                " # #".repeat(4),
+                "# # ".repeat(4),
+            ]);
+            expect(rows.slice(4, 8)).toEqual(
+                rows.slice(0, 4)
+            );
+            expect(darkShare(rows)).toBe(0.5);
+        });
+
+        it.each([
+            "floyd-steinberg",
+            "atkinson",
+            "jarvis-judice-ninke",
+        ])(
+            "%s keeps the average tone",
+            (dither) => {
+                const share = darkShare(
+                    rowsFor(dither)
+                );
+                expect(share).toBeGreaterThan(
+                    0.4
+                );
+                expect(share).toBeLessThan(0.6);
+            }
+        );
+    });
+
+    it("matches the golden for sizes the grid doesn't divide", async () => {
+        const odd = createTestImage(317, 211);
+        await expect(
+            toText(
+                convert(odd, {
+                    columns: 45,
+                    lineHeightRatio: 1.7,
+                })
+            )
+        ).toMatchFileSnapshot(
+            golden("non-divisible.txt")
+        );
+    });
+
+    it("matches the color matrix golden", async () => {
+        const { colorMatrix } = convert(
+            createTestImage(120, 90),
+            { columns: 12 }
+        );
+        await expect(
+            JSON.stringify(colorMatrix, null, 1) +
+                "\n"
+        ).toMatchFileSnapshot(
+            golden("color-matrix.json")
+        );
+    });
+
+    it("sizes the grid from columns and line height", () => {
+        const odd = createTestImage(317, 211);
+        const result = convert(odd, {
+            columns: 45,
+            lineHeightRatio: 1.7,
+        });
+        // 317 / 45 → 7 px cells, 11 px tall.
+        expect(result.width).toBe(45);
+        expect(result.height).toBe(19);
+        expect(result.rows).toHaveLength(19);
+        expect(
+            result.rows.every(
+                (row) => row.length === 45
+            )
+        ).toBe(true);
+        expect(result.colorMatrix).toHaveLength(
+            19
+        );
+    });
+
+    it("falls back to the default charset when it is empty", () => {
+        expect(
+            convert(image, {
+                columns: 60,
+                charset: "",
+            }).rows
+        ).toEqual(
+            convert(image, { columns: 60 }).rows
+        );
+    });
+});
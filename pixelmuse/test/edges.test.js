@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { convert } from "../src/lib/ascii.js";
+
+const SIZE = 15;
+
+// A white square with one-pixel black lines where `isInk(x, y)`; at one
+// column per pixel every pixel is a cell.
+const drawLines = (isInk) => {
+    const data = new Uint8ClampedArray(
+        SIZE * SIZE * 4
+    );
+    for (let y = 0; y < SIZE; y++)
+        for (let x = 0; x < SIZE; x++) {
+            const i = (y * SIZE + x) * 4;
+            const value = isInk(x, y) ? 0 : 255;
+            data.fill(value, i, i + 3);
+            data[i + 3] = 255;
+        }
+    return { width: SIZE, height: SIZE, data };
+};
+
+const LINES = {
+    horizontal: (x, y) => y === 7,
+    vertical: (x) => x === 7,
+    diagonal: (x, y) => x === y,
+    "anti-diagonal": (x, y) => x + y === SIZE - 1,
+};
+
+const toGrid = (image, options) =>
+    convert(image, {
+        columns: SIZE,
+        lineHeightRatio: 1,
+        edges: true,
+        ...options,
+    }).rows;
+
+// The glyphs along a line, leaving out its end cells on the border.
+const inner = (rows, isInk) => {
+    const glyphs = new Set();
+    rows.forEach((row, y) =>
+        [...row].forEach((char, x) => {
+            const border =
+                x === 0 ||
+                y === 0 ||
+                x === SIZE - 1 ||
+                y === SIZE - 1;
+            if (isInk(x, y) && !border)
+                glyphs.add(char);
+        })
+    );
+    return [...glyphs];
+};
+
+describe("edge glyphs", () => {
+    it.each([
+        ["horizontal", "-"],
+        ["vertical", "|"],
+        ["diagonal", "\\"],
+        ["anti-diagonal", "/"],
+    ])(
+        "draws a %s line with %s",
+        (name, glyph) => {
+            const isInk = LINES[name];
+            const rows = toGrid(drawLines(isInk));
+            expect(inner(rows, isInk)).toEqual([
+                glyph,
+            ]);
+            // Blank paper stays blank.
+            expect(rows[2][10]).toBe(" ");
+        }
+    );
+
+    it("puts strokes with ink below on the baseline", () => {
+        const rows = toGrid(
+            drawLines((x, y) => y >= 7)
+        );
+        expect(rows[7]).toBe("_".repeat(SIZE));
+        expect(rows[SIZE - 1]).toBe(
+            "@".repeat(SIZE)
+        );
+    });
+
+    it("keeps density glyphs below the edge threshold", () => {
+        const isInk = LINES.diagonal;
+        expect(
+            inner(
+                toGrid(drawLines(isInk), {
+                    edgeThreshold: 0.8,
+                }),
+                isInk
+            )
+        ).toEqual(["@"]);
+        // A straight line is a stronger edge and passes the same cut-off.
+        expect(
+            inner(
+                toGrid(
+                    drawLines(LINES.horizontal),
+                    {
+                        edgeThreshold: 0.8,
+                    }
+                ),
+                LINES.horizontal
+            )
+        ).toEqual(["-"]);
+    });
+
+    it("does nothing when edges are off", () => {
+        const isInk = LINES.vertical;
+        expect(
+            inner(
+                toGrid(drawLines(isInk), {
+                    edges: false,
+                }),
+                isInk
+            )
+        ).toEqual(["@"]);
+    });
+});
@@ -0,0 +1,272 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { crc32 } from "node:zlib";
+import { PNG } from "pngjs";
+import { describe, expect, it } from "vitest";
+import {
+    buildAnsiShellScript,
+    buildAnsiText,
+    buildAsciiSvgDocument,
+    buildColorClassCss,
+    buildCompactColorHtml,
+    getPngLayout,
+    setPngDpi,
+} from "../src/lib/exporters.js";
+
+const RED = "rgb(255, 0, 0)";
+const BLUE = "rgb(0, 0, 255)";
+const GRAY = "rgb(128, 128, 128)";
+
+// One matrix row from a string and a color per character.
+const cells = (chars, colors, backgrounds = []) =>
+    [...chars].map((char, i) => ({
+        char,
+        color: colors[i],
+        ...(backgrounds[i] && {
+            background: backgrounds[i],
+        }),
+    }));
+
+const ESC = "\x1b";
+
+describe("buildAnsiText", () => {
+    it("writes one code per run of a color", () => {
+        expect(
+            buildAnsiText([
+                cells("##@ #", [
+                    RED,
+                    RED,
+                    RED,
+                    BLUE,
+                    RED,
+                ]),
+            ])
+        ).toBe(
+            `${ESC}[38;2;255;0;0m##@ #${ESC}[0m\n`
+        );
+        expect(
+            buildAnsiText([
+                cells("#@", [RED, BLUE]),
+            ])
+        ).toBe(
+            `${ESC}[38;2;255;0;0m#${ESC}[38;2;0;0;255m@${ESC}[0m\n`
+        );
+    });
+
+    it("resets only lines that set a color", () => {
+        expect(
+            buildAnsiText([
+                cells("  ", [RED, RED]),
+                cells("# ", [RED, RED]),
+            ])
+        ).toBe(
+            `  \n${ESC}[38;2;255;0;0m# ${ESC}[0m\n`
+        );
+    });
+
+    it("maps colors to the 256 and 16 color palettes", () => {
+        const matrix = [cells("##", [RED, GRAY])];
+        expect(
+            buildAnsiText(matrix, { mode: "256" })
+        ).toBe(
+            `${ESC}[38;5;196m#${ESC}[38;5;244m#${ESC}[0m\n`
+        );
+        expect(
+            buildAnsiText(matrix, { mode: "16" })
+        ).toBe(
+            `${ESC}[91m#${ESC}[90m#${ESC}[0m\n`
+        );
+    });
+
+    it("writes cell backgrounds, blanks included", () => {
+        expect(
+            buildAnsiText([
+                cells(
+                    "#  #",
+                    [RED, RED, RED, RED],
+                    [BLUE, BLUE, null, BLUE]
+                ),
+            ])
+        ).toBe(
+            `${ESC}[38;2;255;0;0;48;2;0;0;255m# ${ESC}[49m ${ESC}[48;2;0;0;255m#${ESC}[0m\n`
+        );
+        expect(
+            buildAnsiText(
+                [cells(" ", [RED], [RED])],
+                { mode: "16" }
+            )
+        ).toBe(`${ESC}[101m ${ESC}[0m\n`);
+    });
+});
+
+describe("buildAnsiShellScript", () => {
+    it("prints the ANSI text unchanged, escapes included", async () => {
+        const ansi = buildAnsiText([
+            cells("100% \\n 'q'", [
+                ...Array(11).fill(RED),
+            ]),
+            cells("%s\\\\", [
+                ...Array(4).fill(BLUE),
+            ]),
+        ]);
+        const script = buildAnsiShellScript(ansi);
+        expect(script).toMatch(/^#!\/bin\/sh\n/);
+        const { stdout } = await promisify(
+            execFile
+        )("sh", ["-c", script]);
+        expect(stdout).toBe(ansi);
+    });
+});
+
+describe("buildColorClassCss", () => {
+    it("gives background classes the full-line box", () => {
+        const row = cells(
+            "#.#.",
+            [RED, BLUE, RED, BLUE],
+            [BLUE, RED, BLUE, RED]
+        );
+        const { html, classes } =
+            buildCompactColorHtml([row, row], {
+                tolerance: 0,
+            });
+        expect(html).not.toContain("style=");
+        const css = buildColorClassCss(
+            classes,
+            ".ascii-cells"
+        );
+        const names = [...classes.values()];
+        expect(names).toHaveLength(2);
+        expect(css).toContain(
+            `${names
+                .map(
+                    (name) =>
+                        `.ascii-cells .${name}`
+                )
+                .join(
+                    ", "
+                )} { display: inline-block; height: 1lh; vertical-align: top; }`
+        );
+    });
+
+    it("leaves foreground-only classes inline", () => {
+        const { classes } = buildCompactColorHtml(
+            [
+                cells("#.#", [RED, BLUE, RED]),
+                cells("#.#", [RED, BLUE, RED]),
+            ],
+            { tolerance: 0 }
+        );
+        expect(
+            buildColorClassCss(classes)
+        ).not.toContain("inline-block");
+    });
+});
+
+describe("buildAsciiSvgDocument", () => {
+    it("gives astral glyphs one cell each", () => {
+        const svg = buildAsciiSvgDocument({
+            lines: ["🙂🙂 ", "#"],
+            colorMatrix: [
+                cells("🙂🙂 ", [RED, BLUE, RED]),
+                cells("#", [RED]),
+            ],
+            fontSize: 10,
+            lineHeight: 1,
+            padding: 0,
+        });
+        // Three columns of 6px, two of them drawn on the first line.
+        expect(svg).toContain('width="18.00"');
+        expect(svg).toContain(
+            '<text x="0.00" y="8.00" textLength="12.00" lengthAdjust="spacing"><tspan fill="rgb(255, 0, 0)">🙂</tspan><tspan fill="rgb(0, 0, 255)">🙂</tspan></text>'
+        );
+    });
+});
+
+describe("getPngLayout", () => {
+    const grid = {
+        columns: 10,
+        rows: 4,
+        fontSize: 10,
+        lineHeight: 1.5,
+        padding: 5,
+    };
+
+    it("scales the preview font size", () => {
+        expect(
+            getPngLayout({ ...grid, scale: 2 })
+        ).toEqual({
+            fontSize: 20,
+            cellWidth: 12,
+            cellHeight: 30,
+            width: 140,
+            height: 140,
+            offsetX: 10,
+            offsetY: 10,
+        });
+    });
+
+    it("fits the grid inside a target size, centred", () => {
+        const layout = getPngLayout({
+            ...grid,
+            width: 280,
+            height: 400,
+        });
+        // The width limits the font: 280px over 7em.
+        expect(layout.fontSize).toBe(40);
+        expect(layout).toMatchObject({
+            width: 280,
+            height: 400,
+            offsetX: 20,
+            offsetY: 80,
+        });
+    });
+});
+
+describe("setPngDpi", () => {
+    const png = () => {
+        const image = new PNG({
+            width: 2,
+            height: 2,
+        });
+        image.data.fill(255);
+        return new Uint8Array(
+            PNG.sync.write(image)
+        );
+    };
+
+    it("adds a pHYs chunk after IHDR", () => {
+        const bytes = png();
+        const result = setPngDpi(bytes, 300);
+        expect(result).toHaveLength(
+            bytes.length + 21
+        );
+        const view = new DataView(result.buffer);
+        const chunk = result.subarray(33, 54);
+        expect(view.getUint32(33)).toBe(9);
+        expect(
+            String.fromCharCode(
+                ...chunk.subarray(4, 8)
+            )
+        ).toBe("pHYs");
+        // 300 dpi is 11811 pixels per metre on both axes; unit 1 is the metre.
+        expect(view.getUint32(41)).toBe(11811);
+        expect(view.getUint32(45)).toBe(11811);
+        expect(result[49]).toBe(1);
+        expect(view.getUint32(50)).toBe(
+            crc32(chunk.subarray(4, 17))
+        );
+        expect(result.subarray(54)).toEqual(
+            bytes.subarray(33)
+        );
+    });
+
+    it("keeps the image readable", () => {
+        const image = PNG.sync.read(
+            Buffer.from(setPngDpi(png(), 72))
+        );
+        expect(image.width).toBe(2);
+        expect([...image.data]).toEqual(
+            Array(16).fill(255)
+        );
+    });
+});
@@ -0,0 +1,270 @@
+// A tiny TrueType font built in memory, so the font tests don't need a
+// binary fixture. Glyphs: 0 .notdef (box), 1 space (empty), 2 "A"
+// (triangle with an off-curve apex), 3 "B" (square) and 4 "C" (a
+// composite of "B" moved right). It uses long loca offsets and two
+// horizontal metrics, so glyphs after the first two share an advance.
+
+// A simple glyph with every coordinate stored as a 16-bit delta.
+const simpleGlyph = (points) => {
+    const bytes = new Uint8Array(
+        14 + points.length * 5
+    );
+    const view = new DataView(bytes.buffer);
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    view.setInt16(0, 1);
+    view.setInt16(2, Math.min(...xs));
+    view.setInt16(4, Math.min(...ys));
+    view.setInt16(6, Math.max(...xs));
+    view.setInt16(8, Math.max(...ys));
+    view.setUint16(10, points.length - 1);
+    let p = 14;
+    for (const [, , on] of points)
+        view.setUint8(p++, on ? 1 : 0);
+    for (const axis of [0, 1]) {
+        let previous = 0;
+        for (const point of points) {
+            view.setInt16(
+                p,
+                point[axis] - previous
+            );
+            previous = point[axis];
+            p += 2;
+        }
+    }
+    return bytes;
+};
+
+const compositeGlyph = (component, dx, dy) => {
+    const bytes = new Uint8Array(18);
+    const view = new DataView(bytes.buffer);
+    view.setInt16(0, -1);
+    // ARG_1_AND_2_ARE_WORDS | ARGS_ARE_XY_VALUES
+    view.setUint16(10, 0x3);
+    view.setUint16(12, component);
+    view.setInt16(14, dx);
+    view.setInt16(16, dy);
+    return bytes;
+};
+
+const GLYPHS = [
+    simpleGlyph([
+        [50, 0, true],
+        [50, 700, true],
+        [450, 700, true],
+        [450, 0, true],
+    ]),
+    new Uint8Array(0),
+    simpleGlyph([
+        [0, 0, true],
+        [250, 700, false],
+        [500, 0, true],
+    ]),
+    simpleGlyph([
+        [100, 0, true],
+        [100, 500, true],
+        [400, 500, true],
+        [400, 0, true],
+    ]),
+    compositeGlyph(3, 200, 0),
+];
+
+const CHARACTERS = [
+    [0x20, 1],
+    [0x41, 2],
+    [0x42, 3],
+    [0x43, 4],
+];
+
+// Family name (id 1) and a license text (id 13) the subset drops.
+const NAMES = [
+    [1, "Test Mono"],
+    [13, "License text"],
+];
+
+const pad4 = (length) => (length + 3) & ~3;
+
+const table = (length, write) => {
+    const bytes = new Uint8Array(length);
+    write(new DataView(bytes.buffer));
+    return bytes;
+};
+
+const buildCmap = () => {
+    const segCount = CHARACTERS.length + 1;
+    return table(
+        12 + 16 + segCount * 8,
+        (view) => {
+            view.setUint16(2, 1);
+            view.setUint16(4, 3);
+            view.setUint16(6, 1);
+            view.setUint32(8, 12);
+            view.setUint16(12, 4);
+            view.setUint16(14, 16 + segCount * 8);
+            view.setUint16(18, segCount * 2);
+            const endCodes = 12 + 14;
+            const startCodes =
+                endCodes + segCount * 2 + 2;
+            const idDeltas =
+                startCodes + segCount * 2;
+            [...CHARACTERS, [0xffff, 0]].forEach(
+                ([codePoint, glyph], i) => {
+                    view.setUint16(
+                        endCodes + i * 2,
+                        codePoint
+                    );
+                    view.setUint16(
+                        startCodes + i * 2,
+                        codePoint
+                    );
+                    view.setUint16(
+                        idDeltas + i * 2,
+                        (glyph - codePoint) &
+                            0xffff
+                    );
+                }
+            );
+        }
+    );
+};
+
+const buildName = () => {
+    const texts = NAMES.map(([, text]) =>
+        [...text].flatMap((char) => [
+            0,
+            char.charCodeAt(0),
+        ])
+    );
+    const headerLength = 6 + NAMES.length * 12;
+    const bytes = table(
+        headerLength +
+            texts.reduce(
+                (sum, text) => sum + text.length,
+                0
+            ),
+        (view) => {
+            view.setUint16(2, NAMES.length);
+            view.setUint16(4, headerLength);
+            let offset = 0;
+            NAMES.forEach(([id], i) => {
+                const record = 6 + i * 12;
+                view.setUint16(record, 3);
+                view.setUint16(record + 2, 1);
+                view.setUint16(record + 4, 0x409);
+                view.setUint16(record + 6, id);
+                view.setUint16(
+                    record + 8,
+                    texts[i].length
+                );
+                view.setUint16(
+                    record + 10,
+                    offset
+                );
+                offset += texts[i].length;
+            });
+        }
+    );
+    bytes.set(texts.flat(), headerLength);
+    return bytes;
+};
+
+const buildTables = () => {
+    const offsets = [0];
+    for (const glyph of GLYPHS)
+        offsets.push(
+            offsets.at(-1) + pad4(glyph.length)
+        );
+    const glyf = new Uint8Array(offsets.at(-1));
+    GLYPHS.forEach((glyph, i) =>
+        glyf.set(glyph, offsets[i])
+    );
+    return new Map([
+        ["cmap", buildCmap()],
+        ["glyf", glyf],
+        [
+            "head",
+            table(54, (view) => {
+                view.setUint32(0, 0x00010000);
+                view.setUint32(12, 0x5f0f3cf5);
+                view.setUint16(18, 1000);
+                view.setInt16(50, 1);
+            }),
+        ],
+        [
+            "hhea",
+            table(36, (view) => {
+                view.setUint32(0, 0x00010000);
+                view.setInt16(4, 800);
+                view.setInt16(6, -200);
+                view.setUint16(34, 2);
+            }),
+        ],
+        [
+            "hmtx",
+            table(
+                8 + (GLYPHS.length - 2) * 2,
+                (view) => {
+                    view.setUint16(0, 500);
+                    view.setUint16(4, 250);
+                }
+            ),
+        ],
+        [
+            "loca",
+            table(offsets.length * 4, (view) =>
+                offsets.forEach((offset, i) =>
+                    view.setUint32(i * 4, offset)
+                )
+            ),
+        ],
+        [
+            "maxp",
+            table(6, (view) => {
+                view.setUint32(0, 0x00005000);
+                view.setUint16(4, GLYPHS.length);
+            }),
+        ],
+        ["name", buildName()],
+        [
+            "post",
+            table(40, (view) =>
+                view.setUint32(0, 0x00020000)
+            ),
+        ],
+    ]);
+};
+
+/**
+ * The test font as an ArrayBuffer, ready for parseFont.
+ * @param {string} [version] Overrides the four-byte sfnt version tag.
+ */
+export const createTestFont = (version) => {
+    const tables = buildTables();
+    const headerLength = 12 + tables.size * 16;
+    let length = headerLength;
+    for (const bytes of tables.values())
+        length += pad4(bytes.length);
+    const result = new Uint8Array(length);
+    const view = new DataView(result.buffer);
+    view.setUint32(0, 0x00010000);
+    if (version)
+        [...version].forEach((char, i) =>
+            view.setUint8(i, char.charCodeAt(0))
+        );
+    view.setUint16(4, tables.size);
+    let offset = headerLength;
+    [...tables].forEach(([tag, bytes], i) => {
+        const record = 12 + i * 16;
+        [...tag].forEach((char, c) =>
+            view.setUint8(
+                record + c,
+                char.charCodeAt(0)
+            )
+        );
+        view.setUint32(record + 8, offset);
+        view.setUint32(record + 12, bytes.length);
+        result.set(bytes, offset);
+        offset += pad4(bytes.length);
+    });
+    return result.buffer;
+};
@@ -0,0 +1,183 @@
+import { describe, expect, it } from "vitest";
+import {
+    getGlyphPath,
+    parseFont,
+    subsetFont,
+    toBase64,
+} from "../src/lib/fonts.js";
+import { createTestFont } from "./fonts.js";
+
+const sumWords = (bytes) => {
+    const view = new DataView(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength
+    );
+    let sum = 0;
+    for (let i = 0; i < bytes.byteLength; i += 4)
+        sum = (sum + view.getUint32(i)) >>> 0;
+    return sum;
+};
+
+const readNameIds = (font) => {
+    const { view, tables } = font;
+    const name = tables.get("name").offset;
+    return Array.from(
+        { length: view.getUint16(name + 2) },
+        (_, i) =>
+            view.getUint16(name + 6 + i * 12 + 6)
+    );
+};
+
+describe("parseFont", () => {
+    it("reads metrics, glyph ids and advances", () => {
+        const font = parseFont(createTestFont());
+        expect(font).toMatchObject({
+            numGlyphs: 5,
+            unitsPerEm: 1000,
+            ascender: 800,
+            descender: -200,
+        });
+        expect(
+            [..." ABCZ"].map((char) =>
+                font.getGlyphId(
+                    char.codePointAt(0)
+                )
+            )
+        ).toEqual([1, 2, 3, 4, 0]);
+        expect(
+            [0, 1, 2, 4].map(font.getAdvance)
+        ).toEqual([500, 250, 250, 250]);
+        expect(font.getGlyphRange(1).length).toBe(
+            0
+        );
+        expect(font.getGlyphRange(9).length).toBe(
+            0
+        );
+    });
+
+    it("rejects CFF fonts and other files", () => {
+        expect(() =>
+            parseFont(createTestFont("OTTO"))
+        ).toThrow(/CFF-based/);
+        expect(() =>
+            parseFont(createTestFont("wOFF"))
+        ).toThrow(/Not a TrueType font/);
+        expect(() =>
+            parseFont(new ArrayBuffer(4))
+        ).toThrow(/Not a TrueType font/);
+    });
+
+    it("names the missing tables", () => {
+        const buffer = createTestFont();
+        const view = new DataView(buffer);
+        // Rename the first table record (cmap).
+        view.setUint32(12, 0x78787878);
+        expect(() => parseFont(buffer)).toThrow(
+            "The font is missing required tables: cmap"
+        );
+    });
+});
+
+describe("getGlyphPath", () => {
+    const font = parseFont(createTestFont());
+
+    it("draws outlines at the baseline and size", () => {
+        expect(
+            getGlyphPath(font, "B", 10, 20, 10)
+        ).toBe("M11 20L11 15L14 15L14 20L11 20Z");
+    });
+
+    it("turns off-curve points into quadratic curves", () => {
+        expect(
+            getGlyphPath(font, "A", 0, 0, 1000)
+        ).toBe("M0 0Q250 -700 500 0L0 0Z");
+    });
+
+    it("resolves composite glyphs", () => {
+        expect(
+            getGlyphPath(font, "C", 10, 20, 10)
+        ).toBe("M13 20L13 15L16 15L16 20L13 20Z");
+    });
+
+    it("returns an empty path for blank glyphs", () => {
+        expect(
+            getGlyphPath(font, " ", 0, 0, 10)
+        ).toBe("");
+    });
+});
+
+describe("subsetFont", () => {
+    const font = parseFont(createTestFont());
+    const bytes = subsetFont(font, "C C");
+    const subset = parseFont(bytes.buffer);
+
+    it("keeps glyph ids and maps only the subset text", () => {
+        expect(subset.numGlyphs).toBe(5);
+        expect(
+            [..." ABC"].map((char) =>
+                subset.getGlyphId(
+                    char.codePointAt(0)
+                )
+            )
+        ).toEqual([1, 0, 0, 4]);
+    });
+
+    it("keeps used and component glyphs and empties the rest", () => {
+        const lengths = [0, 1, 2, 3, 4].map(
+            (glyph) =>
+                subset.getGlyphRange(glyph).length
+        );
+        expect(lengths).toEqual([
+            font.getGlyphRange(0).length,
+            0,
+            0,
+            font.getGlyphRange(3).length,
+            font.getGlyphRange(4).length,
+        ]);
+        expect(
+            getGlyphPath(subset, "C", 10, 20, 10)
+        ).toBe(
+            getGlyphPath(font, "C", 10, 20, 10)
+        );
+    });
+
+    it("switches to short loca offsets when they fit", () => {
+        const head =
+            subset.tables.get("head").offset;
+        expect(
+            subset.view.getInt16(head + 50)
+        ).toBe(0);
+        expect(bytes.length).toBeLessThan(
+            font.buffer.byteLength
+        );
+    });
+
+    it("drops long name records and post glyph names", () => {
+        expect(readNameIds(font)).toEqual([
+            1, 13,
+        ]);
+        expect(readNameIds(subset)).toEqual([1]);
+        const post = subset.tables.get("post");
+        expect(post.length).toBe(32);
+        expect(
+            subset.view.getUint32(post.offset)
+        ).toBe(0x00030000);
+    });
+
+    it("writes a valid checksum adjustment", () => {
+        expect(sumWords(bytes)).toBe(0xb1b0afba);
+    });
+});
+
+describe("toBase64", () => {
+    it("encodes bytes across chunk boundaries", () => {
+        const bytes = Uint8Array.from(
+            { length: 0x8000 * 2 + 5 },
+            (_, i) => (i * 7) % 256
+        );
+        expect(toBase64(bytes)).toBe(
+            Buffer.from(bytes).toString("base64")
+        );
+    });
+});
@@ -0,0 +1,337 @@
+import { describe, expect, it } from "vitest";
+import {
+    parseGif,
+    renderGifFrames,
+} from "../src/lib/gif.js";
+
+// Reference files: the usual 1x1 transparent and 1x1 near-black GIFs.
+const TRANSPARENT_GIF =
+    "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
+const DARK_GIF =
+    "R0lGODlhAQABAIAAAAUEBAAAACwAAAAAAQABAAACAkQBADs=";
+
+const fromBase64 = (text) =>
+    new Uint8Array(Buffer.from(text, "base64"));
+
+// A plain GIF LZW encoder: variable code sizes up to 12 bits, and a
+// clear code whenever the table fills up.
+const encodeLzw = (minCodeSize, indices) => {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const bytes = [];
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let table = new Map();
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    emit(clear);
+    let prefix = indices[0];
+    for (const index of indices.slice(1)) {
+        const key = prefix * 256 + index;
+        if (table.has(key)) {
+            prefix = table.get(key);
+            continue;
+        }
+        emit(prefix);
+        prefix = index;
+        if (
+            next === 1 << codeSize &&
+            codeSize < 12
+        )
+            codeSize++;
+        if (next < 4096) {
+            table.set(key, next++);
+            continue;
+        }
+        emit(clear);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        next = end + 1;
+    }
+    emit(prefix);
+    emit(end);
+    if (bitCount) bytes.push(bits & 0xff);
+    return bytes;
+};
+
+const subBlocks = (bytes) => {
+    const out = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const chunk = bytes.slice(i, i + 255);
+        out.push(chunk.length, ...chunk);
+    }
+    return [...out, 0];
+};
+
+const u16 = (value) => [value & 0xff, value >> 8];
+
+/**
+ * Builds a GIF with a four-color global palette. Each frame is
+ * { x, y, width, height, indices, delay, disposal, transparentIndex,
+ * interlaced }; indices are in stored (possibly interlaced) row order.
+ */
+const buildGif = (width, height, frames) => {
+    const palette = [
+        [0, 0, 0],
+        [255, 0, 0],
+        [0, 255, 0],
+        [0, 0, 255],
+    ];
+    const bytes = [
+        ...new TextEncoder().encode("GIF89a"),
+        ...u16(width),
+        ...u16(height),
+        0x81,
+        0,
+        0,
+        ...palette.flat(),
+    ];
+    for (const frame of frames) {
+        const transparent =
+            frame.transparentIndex ?? -1;
+        bytes.push(
+            0x21,
+            0xf9,
+            4,
+            ((frame.disposal ?? 0) << 2) |
+                (transparent >= 0 ? 1 : 0),
+            ...u16((frame.delay ?? 0) / 10),
+            Math.max(transparent, 0),
+            0,
+            0x2c,
+            ...u16(frame.x ?? 0),
+            ...u16(frame.y ?? 0),
+            ...u16(frame.width),
+            ...u16(frame.height),
+            frame.interlaced ? 0x40 : 0,
+            2,
+            ...subBlocks(
+                encodeLzw(2, frame.indices)
+            )
+        );
+    }
+    bytes.push(0x3b);
+    return Uint8Array.from(bytes);
+};
+
+const renderAll = (bytes) => [
+    ...renderGifFrames(parseGif(bytes)),
+];
+
+// The RGBA pixel at (x, y) of a rendered frame.
+const pixel = ({ width, data }, x, y) => [
+    ...data.subarray(
+        (y * width + x) * 4,
+        (y * width + x) * 4 + 4
+    ),
+];
+
+describe("parseGif", () => {
+    it("rejects other files", () => {
+        expect(() =>
+            parseGif(
+                new TextEncoder().encode("PNG...")
+            )
+        ).toThrow("Not a GIF file");
+    });
+
+    it("rejects a GIF without frames", () => {
+        expect(() =>
+            parseGif(buildGif(2, 2, []))
+        ).toThrow("The GIF has no frames");
+    });
+
+    it("reads frame timing and disposal", () => {
+        const { width, height, frames } =
+            parseGif(
+                buildGif(4, 3, [
+                    {
+                        width: 4,
+                        height: 3,
+                        indices:
+                            Array(12).fill(1),
+                        delay: 80,
+                        disposal: 2,
+                        transparentIndex: 0,
+                    },
+                    {
+                        width: 4,
+                        height: 3,
+                        indices:
+                            Array(12).fill(2),
+                        delay: 10,
+                    },
+                ])
+            );
+        expect({ width, height }).toEqual({
+            width: 4,
+            height: 3,
+        });
+        expect(frames).toHaveLength(2);
+        expect(frames[0]).toMatchObject({
+            delay: 80,
+            disposal: 2,
+            transparentIndex: 0,
+        });
+        // Delays under 20 ms play at 100 ms, as in browsers.
+        expect(frames[1]).toMatchObject({
+            delay: 100,
+            disposal: 0,
+            transparentIndex: -1,
+        });
+    });
+});
+
+describe("renderGifFrames", () => {
+    it("decodes the reference GIFs", () => {
+        const [transparent] = renderAll(
+            fromBase64(TRANSPARENT_GIF)
+        );
+        expect(pixel(transparent, 0, 0)).toEqual([
+            0, 0, 0, 0,
+        ]);
+        const [dark] = renderAll(
+            fromBase64(DARK_GIF)
+        );
+        expect(pixel(dark, 0, 0)).toEqual([
+            5, 4, 4, 255,
+        ]);
+    });
+
+    it("decodes LZW data through code size changes and table resets", () => {
+        const width = 200;
+        const height = 170;
+        // Noise fills the 4096-entry table; the flat rows repeat strings.
+        let seed = 7;
+        const indices = Array.from(
+            { length: width * height },
+            (_, i) => {
+                if (i >= width * 150) return 3;
+                seed =
+                    (seed * 1103515245 +
+                        12345) >>>
+                    0;
+                return seed >>> 30;
+            }
+        );
+        const [frame] = renderAll(
+            buildGif(width, height, [
+                { width, height, indices },
+            ])
+        );
+        const colors = [
+            [0, 0, 0],
+            [255, 0, 0],
+            [0, 255, 0],
+            [0, 0, 255],
+        ];
+        const decoded = [];
+        for (let i = 0; i < indices.length; i++)
+            decoded.push(
+                colors.findIndex(
+                    (color) =>
+                        color.join() ===
+                        pixel(
+                            frame,
+                            i % width,
+                            Math.floor(i / width)
+                        )
+                            .slice(0, 3)
+                            .join()
+                )
+            );
+        expect(decoded).toEqual(indices);
+    });
+
+    it("puts interlaced rows back in order", () => {
+        // Stored order for 8 rows: 0, 4, 2, 6, 1, 3, 5, 7.
+        const stored = [0, 4, 2, 6, 1, 3, 5, 7];
+        const [frame] = renderAll(
+            buildGif(1, 8, [
+                {
+                    width: 1,
+                    height: 8,
+                    interlaced: true,
+                    indices: stored.map((row) =>
+                        row < 4 ? 1 : 2
+                    ),
+                },
+            ])
+        );
+        expect(
+            Array.from(
+                { length: 8 },
+                (_, y) => pixel(frame, 0, y)[0]
+            )
+        ).toEqual([
+            255, 255, 255, 255, 0, 0, 0, 0,
+        ]);
+    });
+
+    it("composites frames with their disposal methods", () => {
+        const frames = renderAll(
+            buildGif(2, 1, [
+                {
+                    width: 2,
+                    height: 1,
+                    indices: [1, 1],
+                },
+                // Drawn over frame 1, then restored to it.
+                {
+                    x: 1,
+                    width: 1,
+                    height: 1,
+                    indices: [2],
+                    disposal: 3,
+                },
+                // Transparent pixels keep what is underneath, then the
+                // area is cleared.
+                {
+                    width: 2,
+                    height: 1,
+                    indices: [0, 3],
+                    transparentIndex: 0,
+                    disposal: 2,
+                },
+                {
+                    x: 1,
+                    width: 1,
+                    height: 1,
+                    indices: [2],
+                },
+            ])
+        );
+        expect(
+            frames.map((frame) => [
+                pixel(frame, 0, 0),
+                pixel(frame, 1, 0),
+            ])
+        ).toEqual([
+            [
+                [255, 0, 0, 255],
+                [255, 0, 0, 255],
+            ],
+            [
+                [255, 0, 0, 255],
+                [0, 255, 0, 255],
+            ],
+            [
+                [255, 0, 0, 255],
+                [0, 0, 255, 255],
+            ],
+            [
+                [0, 0, 0, 0],
+                [0, 255, 0, 255],
+            ],
+        ]);
+    });
+});
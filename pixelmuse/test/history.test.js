@@ -0,0 +1,297 @@
+import {
+    afterEach,
+    beforeEach,
+    describe,
+    expect,
+    it,
+    vi,
+} from "vitest";
+import {
+    HISTORY_MAX_BYTES,
+    HISTORY_MAX_ENTRIES,
+    capturePatch,
+    clampRect,
+    createHistory,
+    getPatchBytes,
+    restorePatch,
+} from "../src/lib/history.js";
+
+// An undo entry that records when it is undone and redone.
+const entry = (label, bytes = 0, log = []) => ({
+    label,
+    bytes,
+    undo: () => log.push(`undo ${label}`),
+    redo: () => log.push(`redo ${label}`),
+});
+
+// Undoes everything, returning the labels from newest to oldest.
+const undoAll = (history) => {
+    const labels = [];
+    let undone;
+    while ((undone = history.undo()))
+        labels.push(undone.label);
+    return labels;
+};
+
+describe("createHistory", () => {
+    it("undoes and redoes in order", () => {
+        const log = [];
+        const history = createHistory();
+        history.push(entry("a", 0, log));
+        history.push(entry("b", 0, log));
+        expect(history.getState()).toEqual({
+            canUndo: true,
+            canRedo: false,
+            undoLabel: "b",
+            redoLabel: null,
+        });
+        history.undo();
+        history.undo();
+        expect(history.undo()).toBeNull();
+        history.redo();
+        expect(log).toEqual([
+            "undo b",
+            "undo a",
+            "redo a",
+        ]);
+        expect(history.getState()).toEqual({
+            canUndo: true,
+            canRedo: true,
+            undoLabel: "a",
+            redoLabel: "b",
+        });
+    });
+
+    it("drops the redo stack on a new entry", () => {
+        const history = createHistory();
+        history.push(entry("a"));
+        history.undo();
+        history.push(entry("b"));
+        expect(history.redo()).toBeNull();
+        expect(undoAll(history)).toEqual(["b"]);
+    });
+
+    it("evicts the oldest entries past the entry limit", () => {
+        const history = createHistory();
+        for (
+            let i = 0;
+            i < HISTORY_MAX_ENTRIES + 5;
+            i++
+        )
+            history.push(entry(i));
+        const labels = undoAll(history);
+        expect(labels).toHaveLength(
+            HISTORY_MAX_ENTRIES
+        );
+        expect(labels.at(-1)).toBe(5);
+    });
+
+    it("evicts the oldest entries past the byte budget", () => {
+        const history = createHistory({
+            maxBytes: 100,
+        });
+        history.push(entry("a", 40));
+        history.push(entry("b", 40));
+        history.push(entry("c", 40));
+        expect(undoAll(history)).toEqual([
+            "c",
+            "b",
+        ]);
+    });
+
+    it("defaults to the 128 MB budget", () => {
+        const history = createHistory();
+        const half = HISTORY_MAX_BYTES / 2;
+        history.push(entry("a", half));
+        history.push(entry("b", half));
+        history.push(entry("c", half));
+        expect(undoAll(history)).toEqual([
+            "c",
+            "b",
+        ]);
+    });
+
+    it("keeps the newest entry even when it alone is over budget", () => {
+        const history = createHistory({
+            maxBytes: 10,
+        });
+        history.push(entry("small", 5));
+        history.push(entry("huge", 50));
+        expect(undoAll(history)).toEqual([
+            "huge",
+        ]);
+    });
+
+    it("forgets everything on clear", () => {
+        const history = createHistory();
+        history.push(entry("a"));
+        history.push(entry("b"));
+        history.undo();
+        history.clear();
+        expect(history.getState()).toMatchObject({
+            canUndo: false,
+            canRedo: false,
+        });
+    });
+});
+
+describe("patch rectangles", () => {
+    it("clamps to the canvas and rounds outwards", () => {
+        expect(
+            clampRect(
+                {
+                    x: -3.5,
+                    y: 2.2,
+                    width: 10,
+                    height: 100,
+                },
+                8,
+                20
+            )
+        ).toEqual({
+            x: 0,
+            y: 2,
+            width: 7,
+            height: 18,
+        });
+        expect(
+            clampRect(
+                {
+                    x: 30,
+                    y: 0,
+                    width: 5,
+                    height: 5,
+                },
+                8,
+                20
+            )
+        ).toMatchObject({ width: 0 });
+    });
+
+    it("sizes patches as RGBA bytes", () => {
+        expect(
+            getPatchBytes({ width: 3, height: 2 })
+        ).toBe(24);
+        expect(
+            getPatchBytes({
+                width: -1,
+                height: 2,
+            })
+        ).toBe(0);
+    });
+});
+
+// Canvases backed by plain RGBA arrays, with just the 2D calls the
+// patch helpers make.
+const createCanvas = () => {
+    const canvas = {
+        width: 0,
+        height: 0,
+        pixels: null,
+    };
+    const at = (x, y) =>
+        (y * canvas.width + x) * 4;
+    const ensure = () => {
+        if (
+            canvas.pixels?.length !==
+            canvas.width * canvas.height * 4
+        )
+            canvas.pixels = new Uint8ClampedArray(
+                canvas.width * canvas.height * 4
+            );
+    };
+    const ctx = {
+        globalCompositeOperation: "source-over",
+        save() {},
+        restore() {},
+        clearRect(x, y, w, h) {
+            ensure();
+            for (let row = y; row < y + h; row++)
+                canvas.pixels.fill(
+                    0,
+                    at(x, row),
+                    at(x + w, row)
+                );
+        },
+        drawImage(source, ...args) {
+            ensure();
+            const [sx, sy, sw, sh, dx, dy] =
+                args.length === 2
+                    ? [
+                          0,
+                          0,
+                          source.width,
+                          source.height,
+                          ...args,
+                      ]
+                    : args;
+            for (let row = 0; row < sh; row++)
+                for (
+                    let col = 0;
+                    col < sw;
+                    col++
+                ) {
+                    const from =
+                        ((sy + row) *
+                            source.width +
+                            sx +
+                            col) *
+                        4;
+                    canvas.pixels.set(
+                        source.pixels.subarray(
+                            from,
+                            from + 4
+                        ),
+                        at(dx + col, dy + row)
+                    );
+                }
+        },
+    };
+    canvas.getContext = () => ctx;
+    return canvas;
+};
+
+describe("patches", () => {
+    beforeEach(() => {
+        vi.stubGlobal("document", {
+            createElement: () => createCanvas(),
+        });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it("reverts a stroke and redoes it", () => {
+        const art = createCanvas();
+        art.width = 6;
+        art.height = 4;
+        const ctx = art.getContext("2d");
+        ctx.clearRect(0, 0, 6, 4);
+        art.pixels.forEach((_, i) => {
+            art.pixels[i] = i % 251;
+        });
+        const before = art.pixels.slice();
+        const rect = clampRect(
+            { x: 1, y: 1, width: 3, height: 2 },
+            art.width,
+            art.height
+        );
+
+        const undoPatch = capturePatch(art, rect);
+        // The "stroke" paints the rect white.
+        for (let y = 1; y < 3; y++)
+            art.pixels.fill(
+                255,
+                (y * 6 + 1) * 4,
+                (y * 6 + 4) * 4
+            );
+        const after = art.pixels.slice();
+        const redoPatch = capturePatch(art, rect);
+
+        restorePatch(ctx, undoPatch);
+        expect(art.pixels).toEqual(before);
+        restorePatch(ctx, redoPatch);
+        expect(art.pixels).toEqual(after);
+    });
+});
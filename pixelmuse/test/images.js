@@ -0,0 +1,39 @@
+// Deterministic test images. Each mixes a diagonal gradient, a dark
+// disc, thin stripes and a half-transparent band, so every part of the
+// mapping (luminance, color, alpha flattening) shows up in the output.
+export const createTestImage = (
+    width,
+    height
+) => {
+    const data = new Uint8ClampedArray(
+        width * height * 4
+    );
+    const cx = width * 0.6;
+    const cy = height * 0.45;
+    const radius = Math.min(width, height) * 0.3;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const t =
+                (x / width + y / height) / 2;
+            let r = 255 * t;
+            let g = 255 * (1 - t);
+            let b = 128 + 127 * Math.sin(x / 7);
+            if (
+                (x - cx) ** 2 + (y - cy) ** 2 <
+                radius ** 2
+            ) {
+                r *= 0.2;
+                g *= 0.3;
+                b *= 0.4;
+            }
+            if (x % 23 < 2) r = g = b = 0;
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] =
+                y > height * 0.8 ? 128 : 255;
+        }
+    }
+    return { width, height, data };
+};
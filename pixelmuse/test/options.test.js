@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import {
+    DEFAULT_CONVERT_OPTIONS,
+    sanitizeConvertOptions,
+} from "../src/lib/ascii.js";
+
+describe("sanitizeConvertOptions", () => {
+    it("returns the defaults for anything that isn't an object", () => {
+        expect(
+            sanitizeConvertOptions(null)
+        ).toEqual(DEFAULT_CONVERT_OPTIONS);
+        expect(
+            sanitizeConvertOptions("x")
+        ).toEqual(DEFAULT_CONVERT_OPTIONS);
+    });
+
+    it("keeps valid options and drops unknown keys", () => {
+        const options = {
+            ...DEFAULT_CONVERT_OPTIONS,
+            columns: 120,
+            charset: " .#",
+            invert: true,
+            dither: "atkinson",
+            palette: "custom",
+            customPalette: ["#112233", "#abc"],
+            cellBackground: "blur",
+            gamma: 1.5,
+        };
+        expect(
+            sanitizeConvertOptions({
+                ...options,
+                extra: 1,
+            })
+        ).toEqual(options);
+    });
+
+    it("clamps numbers to the control ranges", () => {
+        const sanitized = sanitizeConvertOptions({
+            columns: 5000,
+            densityBias: -500,
+            brightness: 1e6,
+            contrast: -1e6,
+            gamma: -2,
+            blackLevel: -10,
+            whiteLevel: 900,
+        });
+        expect(sanitized).toMatchObject({
+            columns: 400,
+            densityBias: -100,
+            brightness: 100,
+            contrast: -100,
+            gamma: 0.2,
+            blackLevel: 0,
+            whiteLevel: 255,
+        });
+        expect(
+            sanitizeConvertOptions({ gamma: 0 })
+                .gamma
+        ).toBe(0.2);
+    });
+
+    it("resets levels whose white is not above black", () => {
+        expect(
+            sanitizeConvertOptions({
+                blackLevel: 200,
+                whiteLevel: 100,
+            })
+        ).toMatchObject({
+            blackLevel: 0,
+            whiteLevel: 255,
+        });
+    });
+
+    it("falls back for unknown modes", () => {
+        expect(
+            sanitizeConvertOptions({
+                dither: "sparkle",
+                palette: "__proto__",
+                cellBackground: "stripes",
+            })
+        ).toMatchObject({
+            dither: "none",
+            palette: "none",
+            cellBackground: "none",
+        });
+    });
+
+    it("rejects custom palettes with invalid colors", () => {
+        expect(
+            sanitizeConvertOptions({
+                customPalette: ["#ffffff", "zzz"],
+            }).customPalette
+        ).toEqual([]);
+    });
+
+    it("falls back for values of the wrong type", () => {
+        expect(
+            sanitizeConvertOptions({
+                columns: "120",
+                invert: 1,
+                charset: "",
+                gamma: NaN,
+            })
+        ).toEqual(DEFAULT_CONVERT_OPTIONS);
+    });
+});
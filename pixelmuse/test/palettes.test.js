@@ -0,0 +1,172 @@
+import { describe, expect, it } from "vitest";
+import {
+    MAX_CUSTOM_PALETTE_COLORS,
+    PALETTES,
+    findNearestColor,
+    getPaletteColors,
+    parsePalette,
+    quantizeImage,
+    rgbToHex,
+} from "../src/lib/palettes.js";
+
+const BLACK_WHITE = [
+    [0, 0, 0],
+    [255, 255, 255],
+];
+
+// A one-row image of the given [r, g, b] cells.
+const row = (...cells) => ({
+    width: cells.length,
+    height: 1,
+    data: Uint8ClampedArray.from(
+        cells.flatMap((cell) => [...cell, 255])
+    ),
+});
+
+describe("palettes", () => {
+    it("builds the xterm 256 color table", () => {
+        const { colors } = PALETTES.xterm256;
+        expect(colors).toHaveLength(256);
+        expect(colors[16]).toEqual([0, 0, 0]);
+        expect(colors[231]).toEqual([
+            255, 255, 255,
+        ]);
+        expect(colors[255]).toEqual([
+            238, 238, 238,
+        ]);
+    });
+
+    it("parses GIMP palettes", () => {
+        expect(
+            parsePalette(
+                [
+                    "GIMP Palette",
+                    "Name: Test",
+                    "Columns: 2",
+                    "# a comment",
+                    "255   0   0 Red",
+                    "  0 128 300 Clamped",
+                    "not a color",
+                ].join("\n")
+            )
+        ).toEqual([
+            [255, 0, 0],
+            [0, 128, 255],
+        ]);
+    });
+
+    it("parses hex lists", () => {
+        expect(
+            parsePalette(
+                "#fff, 000000; #12ab34\n// skipped\nnope #abcd"
+            )
+        ).toEqual([
+            [255, 255, 255],
+            [0, 0, 0],
+            [18, 171, 52],
+        ]);
+    });
+
+    it("keeps at most the custom palette limit", () => {
+        expect(
+            parsePalette(
+                "#000000 ".repeat(
+                    MAX_CUSTOM_PALETTE_COLORS + 10
+                )
+            )
+        ).toHaveLength(MAX_CUSTOM_PALETTE_COLORS);
+    });
+
+    it("formats colors as hex", () => {
+        expect(rgbToHex([1, 171, 255])).toBe(
+            "#01abff"
+        );
+    });
+
+    it("resolves palette colors for the options", () => {
+        expect(
+            getPaletteColors({ palette: "none" })
+        ).toBeNull();
+        expect(
+            getPaletteColors({
+                palette: "ansi16",
+            })
+        ).toBe(PALETTES.ansi16.colors);
+        expect(
+            getPaletteColors({
+                palette: "custom",
+                customPalette: [
+                    "#f00",
+                    "#00ff00",
+                ],
+            })
+        ).toEqual([
+            [255, 0, 0],
+            [0, 255, 0],
+        ]);
+        expect(
+            getPaletteColors({
+                palette: "custom",
+                customPalette: [],
+            })
+        ).toBeNull();
+    });
+
+    it("finds the nearest color", () => {
+        expect(
+            findNearestColor(
+                BLACK_WHITE,
+                40,
+                40,
+                40
+            )
+        ).toBe(0);
+        expect(
+            findNearestColor(
+                BLACK_WHITE,
+                200,
+                200,
+                200
+            )
+        ).toBe(1);
+    });
+
+    it("snaps every cell to the palette", () => {
+        expect(
+            Array.from(
+                quantizeImage(
+                    row(
+                        [30, 30, 30],
+                        [220, 220, 220]
+                    ),
+                    BLACK_WHITE
+                ).data
+            )
+        ).toEqual([
+            0, 0, 0, 255, 255, 255, 255, 255,
+        ]);
+    });
+
+    it("diffuses the error when dithering", () => {
+        const gray = row(
+            ...Array.from({ length: 8 }, () => [
+                128, 128, 128,
+            ])
+        );
+        const plain = quantizeImage(
+            gray,
+            BLACK_WHITE
+        ).data;
+        const dithered = quantizeImage(
+            gray,
+            BLACK_WHITE,
+            { dither: true }
+        ).data;
+        const whites = (data) =>
+            data.filter(
+                (_, i) => i % 4 === 0 && data[i]
+            ).length;
+        expect(whites(plain)).toBe(8);
+        expect(whites(dithered)).toBe(4);
+    });
+});
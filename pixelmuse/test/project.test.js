@@ -0,0 +1,218 @@
+import { describe, expect, it } from "vitest";
+import {
+    captureProject,
+    parseProject,
+    readCapturedProject,
+} from "../src/lib/project.js";
+
+const projectWith = (fields) =>
+    JSON.stringify({
+        format: "pixelmuse-project",
+        version: 1,
+        ...fields,
+    });
+
+const withMatrix = (colorMatrix) =>
+    parseProject(
+        projectWith({
+            output: { ascii: "@\n", colorMatrix },
+        })
+    ).output.colorMatrix;
+
+describe("parseProject", () => {
+    it("rejects files that aren't projects", () => {
+        expect(() => parseProject("{")).toThrow(
+            "isn't a PixelMuse project"
+        );
+        expect(() =>
+            parseProject(
+                JSON.stringify({
+                    format: "other",
+                })
+            )
+        ).toThrow("isn't a PixelMuse project");
+    });
+
+    it("rejects projects from a newer version", () => {
+        expect(() =>
+            parseProject(
+                projectWith({ version: 99 })
+            )
+        ).toThrow("newer version");
+    });
+
+    it("fills in defaults for missing fields", () => {
+        const project = parseProject(
+            projectWith({})
+        );
+        expect(project.layers).toEqual([]);
+        expect(project.brush).toEqual({
+            color: "#000000",
+            size: 8,
+            eraser: false,
+        });
+        expect(project.output).toEqual({
+            ascii: "",
+            colorMatrix: null,
+        });
+    });
+
+    it("rebuilds valid color matrix cells", () => {
+        expect(
+            withMatrix([
+                [
+                    {
+                        char: "@",
+                        color: "rgb(1,2,3)",
+                    },
+                    {
+                        char: "█",
+                        color: "rgb(255, 0, 9)",
+                        background:
+                            "rgb(0, 0, 0)",
+                        extra: "dropped",
+                    },
+                ],
+            ])
+        ).toEqual([
+            [
+                {
+                    char: "@",
+                    color: "rgb(1, 2, 3)",
+                },
+                {
+                    char: "█",
+                    color: "rgb(255, 0, 9)",
+                    background: "rgb(0, 0, 0)",
+                },
+            ],
+        ]);
+    });
+
+    it.each([
+        [
+            "markup in a color",
+            {
+                char: "@",
+                color: 'rgb(1,2,3)"><img src=x onerror=alert(1)>',
+            },
+        ],
+        [
+            "markup in a background",
+            {
+                char: "@",
+                color: "rgb(1, 2, 3)",
+                background: "red;}</style>",
+            },
+        ],
+        ["an empty cell", {}],
+        [
+            "a channel above 255",
+            {
+                char: "@",
+                color: "rgb(1, 2, 256)",
+            },
+        ],
+        [
+            "several characters",
+            { char: "ab", color: "rgb(1, 2, 3)" },
+        ],
+    ])("drops the matrix for %s", (_, cell) => {
+        expect(
+            withMatrix([
+                [
+                    {
+                        char: "#",
+                        color: "rgb(0, 0, 0)",
+                    },
+                    cell,
+                ],
+            ])
+        ).toBeNull();
+    });
+
+    it("drops a matrix with rows that aren't arrays", () => {
+        expect(withMatrix(["@"])).toBeNull();
+    });
+});
+
+describe("captureProject", () => {
+    const fakeCanvas = (bytes) => ({
+        toBlob: (callback, type) =>
+            setTimeout(() =>
+                callback(
+                    new Blob([bytes], { type })
+                )
+            ),
+    });
+    const colorMatrix = [
+        [{ char: "@", color: "rgb(1, 2, 3)" }],
+    ];
+    const state = {
+        width: 10,
+        height: 20,
+        layers: [
+            {
+                name: "Sketch",
+                kind: "paint",
+                visible: true,
+                opacity: 0.5,
+                blendMode: "multiply",
+                includeInConversion: true,
+                canvas: fakeCanvas("png"),
+            },
+        ],
+        brush: {
+            color: "#ff0000",
+            size: 4,
+            eraser: false,
+        },
+        style: { columns: 80 },
+        output: { ascii: "@\n", colorMatrix },
+    };
+
+    it("stores layer images and the color matrix as Blobs", async () => {
+        const project =
+            await captureProject(state);
+        expect(
+            project.layers[0].image
+        ).toBeInstanceOf(Blob);
+        expect(
+            await project.layers[0].image.text()
+        ).toBe("png");
+        expect(
+            project.output.colorMatrix
+        ).toBeInstanceOf(Blob);
+    });
+
+    it("encodes each color matrix once", async () => {
+        const first = await captureProject(state);
+        const second =
+            await captureProject(state);
+        expect(second.output.colorMatrix).toBe(
+            first.output.colorMatrix
+        );
+    });
+
+    it("reads a captured project back", async () => {
+        const project = await readCapturedProject(
+            await captureProject(state)
+        );
+        expect(project.layers).toEqual([
+            expect.objectContaining({
+                name: "Sketch",
+                opacity: 0.5,
+                blendMode: "multiply",
+                image: expect.any(Blob),
+            }),
+        ]);
+        expect(project.brush).toEqual(
+            state.brush
+        );
+        expect(project.style.columns).toBe(80);
+        expect(project.output).toEqual({
+            ascii: "@\n",
+            colorMatrix,
+        });
+    });
+});
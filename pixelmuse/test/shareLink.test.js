@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CONVERT_OPTIONS } from "../src/lib/ascii.js";
+import {
+    buildShareUrl,
+    decodeSharedAscii,
+    encodeSharedAscii,
+    readShareUrl,
+} from "../src/lib/shareLink.js";
+
+const STYLE = {
+    ...DEFAULT_CONVERT_OPTIONS,
+    columns: 96,
+    lineHeightRatio: 1.8,
+    charset: "blocks",
+    densityBias: -20,
+    invert: true,
+};
+
+describe("shared ASCII", () => {
+    it("round-trips text through a URL-safe encoding", async () => {
+        const text = `${"@%#*+=-:. ".repeat(40)}\n█▓▒░ ünï`;
+        const encoded =
+            await encodeSharedAscii(text);
+        expect(encoded).toMatch(
+            /^[A-Za-z0-9_-]+$/
+        );
+        expect(encoded.length).toBeLessThan(
+            text.length
+        );
+        expect(
+            await decodeSharedAscii(encoded)
+        ).toBe(text);
+    });
+
+    it("rejects data that isn't deflated", async () => {
+        await expect(
+            decodeSharedAscii("bm90IGRlZmxhdGVk")
+        ).rejects.toThrow();
+    });
+});
+
+describe("share URLs", () => {
+    it("puts the style in the query and the ASCII in the hash", () => {
+        const href = buildShareUrl(
+            "https://example.com/app/?page=2#old",
+            STYLE,
+            "abc_-"
+        );
+        const url = new URL(href);
+        expect(
+            Object.fromEntries(url.searchParams)
+        ).toEqual({
+            page: "2",
+            columns: "96",
+            lineHeight: "1.8",
+            charset: "blocks",
+            density: "-20",
+            invert: "1",
+        });
+        expect(url.hash).toBe("#ascii=abc_-");
+        expect(
+            new URL(
+                buildShareUrl(
+                    "https://example.com/#old",
+                    STYLE
+                )
+            ).hash
+        ).toBe("");
+    });
+
+    it("reads back typed options and a clean URL", () => {
+        expect(
+            readShareUrl(
+                buildShareUrl(
+                    "https://example.com/app/?page=2",
+                    STYLE,
+                    "abc_-"
+                )
+            )
+        ).toEqual({
+            options: {
+                columns: 96,
+                lineHeightRatio: 1.8,
+                charset: "blocks",
+                densityBias: -20,
+                invert: true,
+            },
+            ascii: "abc_-",
+            cleanUrl:
+                "https://example.com/app/?page=2",
+        });
+    });
+
+    it("reads links with only some settings", () => {
+        expect(
+            readShareUrl(
+                "https://example.com/?invert=true&other=1#ascii="
+            )
+        ).toEqual({
+            options: { invert: true },
+            ascii: null,
+            cleanUrl:
+                "https://example.com/?other=1",
+        });
+        expect(
+            readShareUrl(
+                "https://example.com/#ascii=xyz"
+            )
+        ).toEqual({
+            options: {},
+            ascii: "xyz",
+            cleanUrl: "https://example.com/",
+        });
+    });
+
+    it("returns null for ordinary URLs", () => {
+        expect(
+            readShareUrl(
+                "https://example.com/?page=2#top"
+            )
+        ).toBeNull();
+    });
+});
@@ -0,0 +1,239 @@
+import {
+    afterEach,
+    beforeEach,
+    describe,
+    expect,
+    it,
+    vi,
+} from "vitest";
+import { DEFAULT_CONVERT_OPTIONS } from "../src/lib/ascii.js";
+import { DEFAULT_EXPORT_THEME } from "../src/lib/exporters.js";
+import {
+    MAX_PRESET_NAME_LENGTH,
+    MAX_STYLE_PRESETS,
+    buildStylePresetFile,
+    createStylePreset,
+    loadStylePresets,
+    mergeStylePresets,
+    moveStylePreset,
+    parseStylePresetFile,
+    removeStylePreset,
+    storeStylePresets,
+} from "../src/lib/stylePresets.js";
+
+const STYLE = {
+    ...DEFAULT_CONVERT_OPTIONS,
+    columns: 64,
+    charset: "blocks",
+};
+
+const create = (name, style = STYLE) =>
+    createStylePreset(
+        name,
+        style,
+        DEFAULT_EXPORT_THEME
+    );
+
+const names = (presets) =>
+    presets.map(({ name }) => name);
+
+const withoutIds = (presets) =>
+    presets.map(
+        ({ name, style, exportTheme }) => ({
+            name,
+            style,
+            exportTheme,
+        })
+    );
+
+describe("createStylePreset", () => {
+    it("trims the name and assigns a fresh id", () => {
+        const a = create("  Dense  ");
+        const b = create("Dense");
+        expect(a.name).toBe("Dense");
+        expect(a.id).not.toBe(b.id);
+        expect(a.style).toEqual(STYLE);
+        expect(
+            create("x".repeat(100)).name
+        ).toHaveLength(MAX_PRESET_NAME_LENGTH);
+    });
+
+    it("rejects blank names and sanitizes settings", () => {
+        expect(create("   ")).toBeNull();
+        const preset = createStylePreset(
+            "Odd",
+            {
+                columns: "many",
+                charset: "blocks",
+            },
+            { theme: 42 }
+        );
+        expect(preset.style).toEqual({
+            ...DEFAULT_CONVERT_OPTIONS,
+            charset: "blocks",
+        });
+        expect(preset.exportTheme).toEqual(
+            DEFAULT_EXPORT_THEME
+        );
+    });
+});
+
+describe("preset lists", () => {
+    const list = ["A", "B", "C"].map((name) =>
+        create(name)
+    );
+
+    it("replaces presets by name and appends new ones", () => {
+        const replacement = create("B", {
+            ...STYLE,
+            columns: 200,
+        });
+        const merged = mergeStylePresets(list, [
+            replacement,
+            create("D"),
+        ]);
+        expect(names(merged)).toEqual([
+            "A",
+            "B",
+            "C",
+            "D",
+        ]);
+        expect(merged[1]).toBe(replacement);
+        expect(names(list)).toEqual([
+            "A",
+            "B",
+            "C",
+        ]);
+    });
+
+    it("stops adding at the limit", () => {
+        const full = Array.from(
+            { length: MAX_STYLE_PRESETS },
+            (_, i) => create(`Preset ${i}`)
+        );
+        expect(
+            mergeStylePresets(full, [
+                create("Extra"),
+            ])
+        ).toHaveLength(MAX_STYLE_PRESETS);
+    });
+
+    it("moves presets within bounds", () => {
+        const [a, b, c] = list;
+        expect(
+            names(moveStylePreset(list, c.id, -2))
+        ).toEqual(["C", "A", "B"]);
+        expect(
+            names(moveStylePreset(list, a.id, 1))
+        ).toEqual(["B", "A", "C"]);
+        expect(
+            moveStylePreset(list, a.id, -1)
+        ).toBe(list);
+        expect(
+            moveStylePreset(list, "nope", 1)
+        ).toBe(list);
+        expect(
+            names(removeStylePreset(list, b.id))
+        ).toEqual(["A", "C"]);
+    });
+});
+
+describe("preset files", () => {
+    it("round-trips presets with new ids", () => {
+        const presets = [
+            create("A"),
+            create("B"),
+        ];
+        const read = parseStylePresetFile(
+            buildStylePresetFile(presets)
+        );
+        expect(withoutIds(read)).toEqual(
+            withoutIds(presets)
+        );
+        expect(read[0].id).not.toBe(
+            presets[0].id
+        );
+    });
+
+    it.each([
+        [
+            "not json",
+            "isn't a PixelMuse style preset file",
+        ],
+        [
+            JSON.stringify({ format: "other" }),
+            "isn't a PixelMuse style preset file",
+        ],
+        [
+            JSON.stringify({
+                format: "pixelmuse-style-presets",
+                version: 2,
+                presets: [],
+            }),
+            "exported by a newer version",
+        ],
+        [
+            JSON.stringify({
+                format: "pixelmuse-style-presets",
+                version: 1,
+                presets: [{ name: " " }, null],
+            }),
+            "doesn't contain any presets",
+        ],
+    ])("rejects %s", (text, message) => {
+        expect(() =>
+            parseStylePresetFile(text)
+        ).toThrow(message);
+    });
+});
+
+describe("stored presets", () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new Map();
+        vi.stubGlobal("localStorage", {
+            getItem: (key) =>
+                storage.get(key) ?? null,
+            setItem: (key, value) =>
+                storage.set(key, String(value)),
+        });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it("saves and loads presets", () => {
+        expect(loadStylePresets()).toEqual([]);
+        storeStylePresets([
+            create("A"),
+            create("B"),
+        ]);
+        const loaded = loadStylePresets();
+        expect(names(loaded)).toEqual(["A", "B"]);
+        expect(loaded[0].style).toEqual(STYLE);
+    });
+
+    it("ignores corrupt storage", () => {
+        storage.set(
+            "pixelmuse:style-presets",
+            "{"
+        );
+        expect(loadStylePresets()).toEqual([]);
+    });
+
+    it("logs instead of throwing when storage is full", () => {
+        const error = vi
+            .spyOn(console, "error")
+            .mockImplementation(() => {});
+        localStorage.setItem = () => {
+            throw new Error("QuotaExceededError");
+        };
+        expect(() =>
+            storeStylePresets([create("A")])
+        ).not.toThrow();
+        expect(error).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, expect, it } from "vitest";
+import {
+    DEFAULT_TONE,
+    applyToneCurve,
+    buildToneCurve,
+    findPercentile,
+    getAutoLevels,
+    getHistogram,
+    getToneHistograms,
+    isNeutralTone,
+} from "../src/lib/tone.js";
+
+// A histogram with every pixel between 100 and 150.
+const narrow = getHistogram(
+    Array.from(
+        { length: 510 },
+        (_, i) => 100 + (i % 51)
+    )
+);
+
+describe("tone", () => {
+    it("treats the defaults as neutral", () => {
+        expect(isNeutralTone(DEFAULT_TONE)).toBe(
+            true
+        );
+        expect(isNeutralTone({})).toBe(true);
+        expect(
+            isNeutralTone({ gamma: 1.2 })
+        ).toBe(false);
+        expect(
+            buildToneCurve(narrow, {})
+        ).toBeNull();
+    });
+
+    it("buckets luminance into 256 bins", () => {
+        const histogram = getHistogram([
+            -4, 0, 0.4, 127.6, 255, 300,
+        ]);
+        expect(histogram[0]).toBe(3);
+        expect(histogram[128]).toBe(1);
+        expect(histogram[255]).toBe(2);
+    });
+
+    it("finds percentiles and auto levels", () => {
+        expect(findPercentile(narrow, 0)).toBe(
+            100
+        );
+        expect(findPercentile(narrow, 0.5)).toBe(
+            125
+        );
+        expect(getAutoLevels(narrow)).toEqual({
+            black: 100,
+            white: 150,
+        });
+        // A flat image has no range to stretch.
+        expect(
+            getAutoLevels(getHistogram([80, 80]))
+        ).toEqual({ black: 0, white: 255 });
+    });
+
+    it("maps levels linearly between black and white", () => {
+        const curve = buildToneCurve(narrow, {
+            blackLevel: 50,
+            whiteLevel: 150,
+        });
+        expect(curve[50]).toBe(0);
+        expect(curve[100]).toBeCloseTo(127.5);
+        expect(curve[150]).toBe(255);
+        expect(curve[200]).toBe(255);
+    });
+
+    it("stretches auto levels to the full range", () => {
+        const curve = buildToneCurve(narrow, {
+            autoLevels: true,
+        });
+        expect(curve[100]).toBe(0);
+        expect(curve[150]).toBe(255);
+    });
+
+    it("applies gamma, contrast and brightness", () => {
+        const gamma = buildToneCurve(narrow, {
+            gamma: 2,
+        });
+        expect(gamma[64]).toBeCloseTo(
+            Math.sqrt(64 / 255) * 255,
+            3
+        );
+        const contrast = buildToneCurve(narrow, {
+            contrast: 50,
+        });
+        expect(contrast[64]).toBeLessThan(64);
+        expect(contrast[192]).toBeGreaterThan(
+            192
+        );
+        const brightness = buildToneCurve(
+            narrow,
+            {
+                brightness: 20,
+            }
+        );
+        expect(brightness[100]).toBeCloseTo(
+            151,
+            3
+        );
+        expect(brightness[250]).toBe(255);
+    });
+
+    it("spreads an equalized histogram across the range", () => {
+        const { after } = getToneHistograms(
+            Array.from(
+                { length: 510 },
+                (_, i) => 100 + (i % 51)
+            ),
+            { equalize: true }
+        );
+        const used = [...after.keys()].filter(
+            (i) => after[i]
+        );
+        expect(used[0]).toBe(0);
+        expect(used.at(-1)).toBe(255);
+    });
+
+    it("interpolates between curve entries", () => {
+        const curve = new Float32Array(256).map(
+            (_, i) => i * 2
+        );
+        expect(applyToneCurve(curve, 10.25)).toBe(
+            20.5
+        );
+        expect(applyToneCurve(null, 42)).toBe(42);
+    });
+});
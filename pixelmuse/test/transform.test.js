@@ -0,0 +1,288 @@
+import { describe, expect, it } from "vitest";
+import {
+    createFitTransform,
+    drawTransformedImage,
+    getTransformCorners,
+    toLocal,
+    toWorld,
+} from "../src/lib/transform.js";
+
+// A 3x2 source whose red channel numbers the pixels:
+//   1 2 3
+//   4 5 6
+const SOURCE = {
+    width: 3,
+    height: 2,
+    data: Uint8ClampedArray.from(
+        { length: 24 },
+        (_, i) => (i % 4 === 0 ? i / 4 + 1 : 255)
+    ),
+};
+
+// A 2D context over a plain RGBA buffer that supports the calls
+// drawTransformedImage makes. drawImage samples the source nearest to
+// each destination pixel centre through the current transform.
+const createContext = (width, height) => {
+    const data = new Uint8ClampedArray(
+        width * height * 4
+    );
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const stack = [];
+    const multiply = ([a, b, c, d, e, f]) => {
+        const [ma, mb, mc, md, me, mf] = matrix;
+        matrix = [
+            ma * a + mc * b,
+            mb * a + md * b,
+            ma * c + mc * d,
+            mb * c + md * d,
+            ma * e + mc * f + me,
+            mb * e + md * f + mf,
+        ];
+    };
+    return {
+        data,
+        save: () => stack.push(matrix),
+        restore: () => {
+            matrix = stack.pop();
+        },
+        translate: (x, y) =>
+            multiply([1, 0, 0, 1, x, y]),
+        rotate: (angle) =>
+            multiply([
+                Math.cos(angle),
+                Math.sin(angle),
+                -Math.sin(angle),
+                Math.cos(angle),
+                0,
+                0,
+            ]),
+        scale: (x, y) =>
+            multiply([x, 0, 0, y, 0, 0]),
+        drawImage(source, ...args) {
+            const [
+                sx,
+                sy,
+                sw,
+                sh,
+                dx,
+                dy,
+                dw,
+                dh,
+            ] =
+                args.length === 4
+                    ? [
+                          0,
+                          0,
+                          source.width,
+                          source.height,
+                          ...args,
+                      ]
+                    : args;
+            const [a, b, c, d, e, f] = matrix;
+            const det = a * d - b * c;
+            for (let y = 0; y < height; y++)
+                for (let x = 0; x < width; x++) {
+                    const px = x + 0.5 - e;
+                    const py = y + 0.5 - f;
+                    const u =
+                        (d * px - c * py) / det;
+                    const v =
+                        (a * py - b * px) / det;
+                    if (
+                        u < dx ||
+                        v < dy ||
+                        u >= dx + dw ||
+                        v >= dy + dh
+                    )
+                        continue;
+                    const col = Math.floor(
+                        sx + ((u - dx) * sw) / dw
+                    );
+                    const row = Math.floor(
+                        sy + ((v - dy) * sh) / dh
+                    );
+                    const from =
+                        (row * source.width +
+                            col) *
+                        4;
+                    data.set(
+                        source.data.subarray(
+                            from,
+                            from + 4
+                        ),
+                        (y * width + x) * 4
+                    );
+                }
+        },
+    };
+};
+
+// Draws SOURCE through `transform` and returns the red channel rows.
+const render = (
+    width,
+    height,
+    transform,
+    options
+) => {
+    const ctx = createContext(width, height);
+    drawTransformedImage(
+        ctx,
+        SOURCE,
+        transform,
+        options
+    );
+    return Array.from(
+        { length: height },
+        (_, y) =>
+            Array.from(
+                { length: width },
+                (_, x) =>
+                    ctx.data[(y * width + x) * 4]
+            )
+    );
+};
+
+const placed = (overrides) => ({
+    ...createFitTransform(3, 2, 3, 2),
+    ...overrides,
+});
+
+describe("drawTransformedImage", () => {
+    it("draws the source unchanged at a fit transform", () => {
+        expect(render(3, 2, placed({}))).toEqual([
+            [1, 2, 3],
+            [4, 5, 6],
+        ]);
+    });
+
+    it("rotates a quarter turn clockwise into a tall box", () => {
+        expect(
+            render(
+                2,
+                3,
+                placed({
+                    x: 1,
+                    y: 1.5,
+                    rotation: Math.PI / 2,
+                })
+            )
+        ).toEqual([
+            [4, 1],
+            [5, 2],
+            [6, 3],
+        ]);
+    });
+
+    it("flips around the box centre", () => {
+        expect(
+            render(3, 2, placed({ flipX: true }))
+        ).toEqual([
+            [3, 2, 1],
+            [6, 5, 4],
+        ]);
+        expect(
+            render(3, 2, placed({ flipY: true }))
+        ).toEqual([
+            [4, 5, 6],
+            [1, 2, 3],
+        ]);
+    });
+
+    it("flips before rotating", () => {
+        expect(
+            render(
+                2,
+                3,
+                placed({
+                    x: 1,
+                    y: 1.5,
+                    rotation: Math.PI / 2,
+                    flipX: true,
+                })
+            )
+        ).toEqual([
+            [6, 3],
+            [5, 2],
+            [4, 1],
+        ]);
+    });
+
+    it("draws only the crop, scaled to the box", () => {
+        expect(
+            render(
+                4,
+                2,
+                placed({
+                    x: 2,
+                    y: 1,
+                    scaleX: 2,
+                    scaleY: 1,
+                    crop: {
+                        x: 1,
+                        y: 0,
+                        width: 2,
+                        height: 2,
+                    },
+                })
+            )
+        ).toEqual([
+            [2, 2, 3, 3],
+            [5, 5, 6, 6],
+        ]);
+    });
+});
+
+describe("transform geometry", () => {
+    const bounds = (points) => ({
+        width:
+            Math.max(
+                ...points.map(({ x }) => x)
+            ) -
+            Math.min(...points.map(({ x }) => x)),
+        height:
+            Math.max(
+                ...points.map(({ y }) => y)
+            ) -
+            Math.min(...points.map(({ y }) => y)),
+    });
+
+    it("fits the source inside the canvas, centred", () => {
+        expect(
+            createFitTransform(300, 100, 400, 400)
+        ).toMatchObject({
+            x: 200,
+            y: 200,
+            scaleX: 4 / 3,
+            scaleY: 4 / 3,
+            crop: { width: 300, height: 100 },
+        });
+    });
+
+    it("swaps width and height on a quarter turn", () => {
+        const transform = {
+            ...createFitTransform(30, 10, 60, 20),
+            rotation: Math.PI / 2,
+        };
+        const { width, height } = bounds(
+            getTransformCorners(transform)
+        );
+        expect(width).toBeCloseTo(20);
+        expect(height).toBeCloseTo(60);
+    });
+
+    it("maps between world and box coordinates both ways", () => {
+        const transform = {
+            ...createFitTransform(30, 10, 60, 20),
+            rotation: 0.7,
+            flipX: true,
+            flipY: true,
+        };
+        const point = { x: 13, y: -4 };
+        const back = toLocal(
+            transform,
+            toWorld(transform, point)
+        );
+        expect(back.x).toBeCloseTo(point.x);
+        expect(back.y).toBeCloseTo(point.y);
+    });
+});
@@ -0,0 +1,158 @@
+import {
+    beforeEach,
+    describe,
+    expect,
+    it,
+    vi,
+} from "vitest";
+import * as ascii from "../src/lib/ascii.js";
+import { createTestImage } from "./images.js";
+
+vi.mock(
+    "../src/lib/ascii.js",
+    async (importOriginal) => {
+        const original = await importOriginal();
+        return {
+            ...original,
+            mapRows: vi.fn(original.mapRows),
+        };
+    }
+);
+
+const messages = [];
+globalThis.self = {
+    postMessage: (message) =>
+        messages.push(message),
+};
+await import("../src/lib/ascii.worker.js");
+
+// Posts a message to the worker and collects its replies until the job
+// finishes or fails.
+const run = (data) =>
+    new Promise((resolve) => {
+        messages.length = 0;
+        self.postMessage = (message) => {
+            messages.push(message);
+            if (
+                message.type === "done" ||
+                message.type === "error"
+            )
+                resolve(messages.slice());
+        };
+        self.onmessage({ data });
+    });
+
+// Luminance replies are a single message.
+const runLuminance = (data) =>
+    new Promise((resolve) => {
+        self.postMessage = (message) =>
+            resolve([message]);
+        self.onmessage({ data });
+    });
+
+// 400 × 250 at 400 columns and a line height of 1 is one cell per pixel,
+// which the worker sends in three chunks.
+const imageData = createTestImage(400, 250);
+const options = {
+    columns: 400,
+    lineHeightRatio: 1,
+};
+
+describe("ascii worker", () => {
+    beforeEach(() => {
+        ascii.mapRows.mockClear();
+    });
+
+    it("streams rows in chunks and finishes", async () => {
+        const replies = await run({
+            type: "convert",
+            jobId: 1,
+            options,
+            imageData,
+        });
+        expect(
+            replies.map(({ type }) => type)
+        ).toEqual([
+            "start",
+            "rows",
+            "rows",
+            "rows",
+            "done",
+        ]);
+        expect(
+            replies
+                .filter(
+                    ({ type }) => type === "rows"
+                )
+                .flatMap(({ rows }) => rows)
+        ).toEqual(
+            ascii.convert(imageData, options).rows
+        );
+    });
+
+    it("reports errors from later chunks", async () => {
+        ascii.mapRows
+            .mockImplementationOnce(
+                ascii.mapRows.getMockImplementation()
+            )
+            .mockImplementationOnce(() => {
+                throw new Error("chunk failed");
+            });
+        const replies = await run({
+            type: "convert",
+            jobId: 2,
+            options,
+            imageData,
+        });
+        expect(replies.at(-1)).toEqual({
+            type: "error",
+            jobId: 2,
+            message: "chunk failed",
+        });
+    });
+
+    it("returns the grid luminance for new and cached images", async () => {
+        const grid = {
+            columns: 40,
+            lineHeightRatio: 2,
+        };
+        const expected = ascii.computeLuminance(
+            ascii.sampleImage(imageData, grid)
+        );
+        const [fresh] = await runLuminance({
+            type: "luminance",
+            jobId: 4,
+            options: grid,
+            imageData,
+        });
+        expect(fresh.luminance).toEqual(expected);
+        const [cached] = await runLuminance({
+            type: "luminance",
+            jobId: 5,
+            options: grid,
+        });
+        expect(cached).toMatchObject({
+            type: "luminance",
+            jobId: 5,
+        });
+        expect(cached.luminance).toEqual(
+            expected
+        );
+    });
+
+    it("reports a remap before any convert", async () => {
+        vi.resetModules();
+        await import("../src/lib/ascii.worker.js");
+        const replies = await run({
+            type: "remap",
+            jobId: 3,
+            options,
+        });
+        expect(replies).toEqual([
+            expect.objectContaining({
+                type: "error",
+                jobId: 3,
+            }),
+        ]);
+    });
+});
@@ -0,0 +1,151 @@
+import { crc32 } from "node:zlib";
+import { describe, expect, it } from "vitest";
+import {
+    buildAnimationFramesZip,
+    buildZip,
+} from "../src/lib/exporters.js";
+
+// Reads a stored zip through its central directory, checking that each
+// local header agrees with it.
+const readZip = (bytes) => {
+    const view = new DataView(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength
+    );
+    const decoder = new TextDecoder();
+    const eocd = bytes.length - 22;
+    expect(view.getUint32(eocd, true)).toBe(
+        0x06054b50
+    );
+    const count = view.getUint16(eocd + 10, true);
+    const centralSize = view.getUint32(
+        eocd + 12,
+        true
+    );
+    let pos = view.getUint32(eocd + 16, true);
+    expect(pos + centralSize).toBe(eocd);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        expect(view.getUint32(pos, true)).toBe(
+            0x02014b50
+        );
+        const flags = view.getUint16(
+            pos + 8,
+            true
+        );
+        const method = view.getUint16(
+            pos + 10,
+            true
+        );
+        const crc = view.getUint32(
+            pos + 16,
+            true
+        );
+        const size = view.getUint32(
+            pos + 20,
+            true
+        );
+        const nameLength = view.getUint16(
+            pos + 28,
+            true
+        );
+        const local = view.getUint32(
+            pos + 42,
+            true
+        );
+        const name = decoder.decode(
+            bytes.subarray(
+                pos + 46,
+                pos + 46 + nameLength
+            )
+        );
+        expect(view.getUint32(local, true)).toBe(
+            0x04034b50
+        );
+        expect(
+            bytes.subarray(local + 4, local + 30)
+        ).toEqual(
+            bytes.subarray(pos + 6, pos + 32)
+        );
+        const start = local + 30 + nameLength;
+        const data = bytes.subarray(
+            start,
+            start + size
+        );
+        entries.push({
+            name,
+            flags,
+            method,
+            crc,
+            data,
+        });
+        pos += 46 + nameLength;
+    }
+    return entries;
+};
+
+describe("buildZip", () => {
+    it("stores files with their CRCs", () => {
+        const files = [
+            { name: "a.txt", content: "hello\n" },
+            { name: "dir/b.txt", content: "" },
+            { name: "ünï.txt", content: "█▓▒░" },
+        ];
+        const entries = readZip(buildZip(files));
+        expect(
+            entries.map(({ name }) => name)
+        ).toEqual(files.map(({ name }) => name));
+        for (const [
+            i,
+            entry,
+        ] of entries.entries()) {
+            expect(entry.method).toBe(0);
+            // UTF-8 names
+            expect(entry.flags).toBe(0x0800);
+            expect(
+                new TextDecoder().decode(
+                    entry.data
+                )
+            ).toBe(files[i].content);
+            expect(entry.crc).toBe(
+                crc32(entry.data)
+            );
+        }
+    });
+
+    it("writes an empty archive", () => {
+        const bytes = buildZip([]);
+        expect(bytes).toHaveLength(22);
+        expect(readZip(bytes)).toEqual([]);
+    });
+});
+
+describe("buildAnimationFramesZip", () => {
+    it("numbers the frames and records the timing", () => {
+        const entries = readZip(
+            buildAnimationFramesZip(["#", "@"], {
+                fps: 12,
+            })
+        );
+        expect(
+            entries.map(({ name }) => name)
+        ).toEqual([
+            "frames/frame_0001.txt",
+            "frames/frame_0002.txt",
+            "animation.json",
+        ]);
+        expect(
+            JSON.parse(
+                new TextDecoder().decode(
+                    entries[2].data
+                )
+            )
+        ).toEqual({
+            fps: 12,
+            frameCount: 2,
+            frameDelayMs: 83.33,
+        });
+    });
+});